@@ -0,0 +1,202 @@
+const { checkAdminToken } = require("../../lib/admin-auth");
+const { getStore } = require("../../lib/store");
+const { QUOTE_STATUSES, setQuoteStatus } = require("../../lib/quote-status");
+const { uploadLink } = require("../../lib/uploads");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+// URL segment -> store collection
+const COLLECTIONS = {
+  quotes: "quotes",
+  contacts: "contacts",
+  orders: "orders",
+  outbox: "outbox",
+  "dead-letters": "outbox-dead",
+  quarantine: "quarantine",
+  subscribers: "subscribers",
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// ---------------------------------------------------------------------------
+// Filtering
+// ---------------------------------------------------------------------------
+function searchableText(record) {
+  const d = record.data || {};
+  return [record.id, d.name, d.firstName, d.lastName, d.email]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+}
+
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  // Bare dates (YYYY-MM-DD) cover the whole day
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`
+    : value;
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+function buildFilter(query) {
+  const from = parseDate(query.from, false);
+  const to = parseDate(query.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: "from/to must be ISO dates (e.g. 2026-03-01)" };
+  }
+
+  const q = (query.q || "").toString().trim().toLowerCase();
+
+  return {
+    match(record) {
+      const d = record.data || {};
+      if (query.service && d.service !== query.service) return false;
+      if (query.timeline && d.timeline !== query.timeline) return false;
+      if (query.status && record.status !== query.status) return false;
+      if (query.topic && record.topic?.topic !== query.topic) return false;
+
+      const created = Date.parse(record.createdAt);
+      if (from !== null && created < from) return false;
+      if (to !== null && created > to) return false;
+
+      if (q && !searchableText(record).includes(q)) return false;
+      return true;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+// Uploaded files get a fresh download link
+function publicRecord(record) {
+  if (Array.isArray(record.files) && record.files.length > 0) {
+    const files = record.files.map((file) => {
+      const url = uploadLink(file.id);
+      return url ? { ...file, url } : file;
+    });
+    return { ...record, files };
+  }
+  return record;
+}
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+//   GET   /api/admin/{quotes|contacts|orders|outbox|dead-letters}?service=&timeline=&status=
+//                                              &topic=&from=&to=&q=&page=&pageSize=
+//   GET   /api/admin/{type}?id=PPP-Q-2026-0142
+//   PATCH /api/admin/{quotes|orders}  { id, status, note }
+module.exports = withRequestLog("admin", async function handler(req, res) {
+  // -- Auth ----------------------------------------------------------------
+  const authError = checkAdminToken(req);
+  if (authError) {
+    return res.status(authError.status).json({ error: authError.error });
+  }
+
+  const collection = COLLECTIONS[req.query.type];
+  if (!collection) {
+    return res.status(404).json({
+      error: `Unknown type. Must be one of: ${Object.keys(COLLECTIONS).join(", ")}`,
+    });
+  }
+
+  const store = getStore();
+
+  // -- Status update -------------------------------------------------------
+  if (req.method === "PATCH") {
+    if (collection !== "quotes" && collection !== "orders") {
+      return res.status(405).json({ error: "Only quotes and orders have a status" });
+    }
+
+    let data;
+    try {
+      data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    } catch {
+      return res.status(400).json({ error: "Invalid JSON body" });
+    }
+    if (!data || typeof data !== "object" || !data.id) {
+      return res.status(400).json({ error: "id is required" });
+    }
+    if (!QUOTE_STATUSES.includes(data.status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${QUOTE_STATUSES.join(", ")}`,
+      });
+    }
+
+    try {
+      const updated = await setQuoteStatus(store, data.id, data.status, {
+        note: (data.note || "").toString().substring(0, 500),
+        by: (data.by || "admin-api").toString().substring(0, 100),
+        collection,
+      });
+      if (!updated) {
+        return res.status(404).json({ error: "Not found" });
+      }
+      return res.status(200).json({ success: true, record: updated });
+    } catch (err) {
+      log.error("Admin status update error", { err });
+      return res.status(500).json({ error: "Could not update status" });
+    }
+  }
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // -- Single record -------------------------------------------------------
+  if (req.query.id) {
+    try {
+      // References are uppercase; outbox ids are lowercase UUIDs
+      const id = req.query.id.toString().trim();
+      const record = await store.get(collection, /^ppp-/i.test(id) ? id.toUpperCase() : id);
+      if (!record) {
+        return res.status(404).json({ error: "Not found" });
+      }
+      return res.status(200).json({ success: true, record: publicRecord(record) });
+    } catch (err) {
+      log.error("Admin lookup error", { err });
+      return res.status(500).json({ error: "Could not load record" });
+    }
+  }
+
+  // -- List ----------------------------------------------------------------
+  const filter = buildFilter(req.query);
+  if (filter.error) {
+    return res.status(400).json({ error: filter.error });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE)
+  );
+
+  let records;
+  try {
+    records = await store.list(collection);
+  } catch (err) {
+    log.error("Admin list error", { err });
+    return res.status(500).json({ error: "Could not load records" });
+  }
+
+  const matched = records
+    .filter((r) => filter.match(r))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+  return res.status(200).json({
+    success: true,
+    type: req.query.type,
+    page,
+    pageSize,
+    total: matched.length,
+    totalPages: Math.ceil(matched.length / pageSize),
+    results: matched
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map((record) => publicRecord(record)),
+  });
+});
@@ -0,0 +1,122 @@
+const { checkAdminToken } = require("../../lib/admin-auth");
+const { getStore } = require("../../lib/store");
+const {
+  SUBSCRIBERS,
+  SUBSCRIBER_STATUSES,
+  isNewsletterEnabled,
+  subscriberLink,
+} = require("../../lib/newsletter");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const COLUMNS = [
+  "email",
+  "name",
+  "status",
+  "source",
+  "requestedAt",
+  "requestIp",
+  "confirmedAt",
+  "confirmIp",
+  "unsubscribedAt",
+  "unsubscribeUrl",
+];
+
+const FORMATS = ["csv", "json"];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function exportRow(record) {
+  const consent = record.consent || {};
+  return {
+    email: record.email,
+    name: record.name || "",
+    status: record.status,
+    source: consent.source || "",
+    requestedAt: consent.requestedAt || "",
+    requestIp: consent.requestIp || "",
+    confirmedAt: consent.confirmedAt || "",
+    confirmIp: consent.confirmIp || "",
+    unsubscribedAt: record.unsubscribedAt || "",
+    unsubscribeUrl: record.status === "unsubscribed" ? "" : subscriberLink("unsubscribe", record.email),
+  };
+}
+
+// Quoted as needed, and cells that a spreadsheet would run as a formula
+// (names are user input) are prefixed with '
+function csvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(COLUMNS.map((column) => csvCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// ---------------------------------------------------------------------------
+// Handler — newsletter list export for the mailing tool
+// ---------------------------------------------------------------------------
+//   GET /api/admin/newsletter-export?status=subscribed|pending|unsubscribed|all
+//                                   &format=csv|json
+//
+// Defaults to confirmed subscribers as CSV. Each row carries the consent
+// record and the subscriber's unsubscribe link for the mailing footer.
+module.exports = withRequestLog("admin/newsletter-export", async function handler(req, res) {
+  // -- Auth ----------------------------------------------------------------
+  const authError = checkAdminToken(req);
+  if (authError) {
+    return res.status(authError.status).json({ error: authError.error });
+  }
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isNewsletterEnabled()) {
+    return res.status(503).json({ error: "Newsletter is not configured" });
+  }
+
+  // -- Validation ----------------------------------------------------------
+  const status = (req.query.status || "subscribed").toString();
+  if (status !== "all" && !SUBSCRIBER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `Invalid status. Must be one of: ${[...SUBSCRIBER_STATUSES, "all"].join(", ")}`,
+    });
+  }
+  const format = (req.query.format || "csv").toString();
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format. Must be one of: ${FORMATS.join(", ")}` });
+  }
+
+  // -- Export --------------------------------------------------------------
+  let records;
+  try {
+    records = await getStore().list(SUBSCRIBERS);
+  } catch (err) {
+    log.error("Newsletter export error", { err });
+    return res.status(500).json({ error: "Could not load subscribers" });
+  }
+
+  const rows = records
+    .filter((record) => status === "all" || record.status === status)
+    .sort((a, b) => (a.email < b.email ? -1 : 1))
+    .map(exportRow);
+
+  res.setHeader("Cache-Control", "no-store");
+  if (format === "json") {
+    return res.status(200).json({ success: true, status, total: rows.length, results: rows });
+  }
+
+  const filename = `newsletter-${status}-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(toCsv(rows));
+});
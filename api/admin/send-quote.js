@@ -0,0 +1,114 @@
+const { checkAdminToken } = require("../../lib/admin-auth");
+const { getStore } = require("../../lib/store");
+const { setQuoteStatus } = require("../../lib/quote-status");
+const { DELIVERED, QUEUED } = require("../../lib/outbox");
+const { isEmailConfigured, sendEmail } = require("../../lib/email");
+const { PricedQuoteError, buildPricedQuote, formatDate } = require("../../lib/priced-quote");
+const { renderQuotePdf } = require("../../lib/quote-pdf");
+const { decisionLinks } = require("../../lib/quote-decision");
+const { buildPricedQuoteEmail } = require("../../lib/notifications/quote");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Handler — price a stored quote and email it to the customer as a PDF
+// ---------------------------------------------------------------------------
+//   POST /api/admin/send-quote
+//     { id, lineItems: [{ description, quantity, unitPrice }], taxRate,
+//       validUntil, notes?, by?, preview? }
+//
+// With `preview: true` the PDF is returned instead of sent, and nothing is
+// recorded.
+module.exports = withRequestLog("admin/send-quote", async function handler(req, res) {
+  // -- Auth ----------------------------------------------------------------
+  const authError = checkAdminToken(req);
+  if (authError) {
+    return res.status(authError.status).json({ error: authError.error });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // -- Validation ----------------------------------------------------------
+  let data;
+  try {
+    data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+  if (!data || typeof data !== "object" || !data.id) {
+    return res.status(400).json({ error: "id is required" });
+  }
+
+  let pricedQuote;
+  try {
+    pricedQuote = buildPricedQuote(data);
+  } catch (err) {
+    if (err instanceof PricedQuoteError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+
+  const store = getStore();
+  const reference = data.id.toString().trim().toUpperCase();
+
+  let record;
+  try {
+    record = await store.get("quotes", reference);
+  } catch (err) {
+    log.error("Send quote lookup error", { err });
+    return res.status(500).json({ error: "Could not load quote" });
+  }
+  if (!record) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  // -- Render --------------------------------------------------------------
+  let pdf;
+  try {
+    pdf = renderQuotePdf(record, pricedQuote);
+  } catch (err) {
+    log.error("Quote PDF error", { err });
+    return res.status(500).json({ error: "Could not render quote PDF" });
+  }
+
+  if (data.preview) {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${reference}.pdf"`);
+    return res.status(200).send(pdf);
+  }
+
+  // -- Send ----------------------------------------------------------------
+  if (!isEmailConfigured()) {
+    return res.status(503).json({ error: "Email is not configured" });
+  }
+
+  const links = decisionLinks(reference, pricedQuote);
+  const delivery = await sendEmail(store, buildPricedQuoteEmail(record, pricedQuote, pdf, links), {
+    ref: reference,
+  });
+  if (delivery !== DELIVERED && delivery !== QUEUED) {
+    return res.status(502).json({ error: "Could not email the quote. Nothing was recorded." });
+  }
+
+  // -- Record --------------------------------------------------------------
+  try {
+    // A revised quote replaces the last one, and any answer to it
+    await store.update("quotes", reference, ({ decision, ...current }) => ({ ...current, pricedQuote }));
+    await setQuoteStatus(store, reference, "quoted", {
+      note: `Quote sent — valid until ${formatDate(pricedQuote.validUntil)}`,
+      by: (data.by || "admin-api").toString().substring(0, 100),
+    });
+  } catch (err) {
+    // The email is already out; report success but flag the missing record
+    log.error("Send quote record error", { reference, err });
+  }
+
+  return res.status(200).json({
+    success: true,
+    reference,
+    total: pricedQuote.total,
+    delivery,
+  });
+});
@@ -0,0 +1,205 @@
+const { getStore } = require("../../lib/store");
+const { UploadError, readRawBody } = require("../../lib/uploads");
+const { cleanText } = require("../../lib/escape");
+const { SKIPPED, isHandled } = require("../../lib/outbox");
+const { isEmailConfigured, sendEmail } = require("../../lib/email");
+const { renderComponents } = require("../../lib/notifier/discord");
+const { buildInfoRequestEmail } = require("../../lib/notifications/quote");
+const {
+  INTERACTION_TYPES,
+  RESPONSE_TYPES,
+  verifyInteraction,
+  ephemeral,
+  interactionUser,
+} = require("../../lib/discord-interactions");
+const {
+  quoteActions,
+  parseTriageId,
+  applyTriageAction,
+  triageSummary,
+} = require("../../lib/quote-triage");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const MAX_BODY_BYTES = 100_000;
+
+// "Request Info" opens a modal; its submission comes back with this id
+const INFO_MODAL_PREFIX = "triage-info:";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+// Optional comma-separated role ids allowed to triage; anyone who can see
+// the channel may click when unset
+function canTriage(user) {
+  const allowed = (process.env.DISCORD_TRIAGE_ROLE_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  return allowed.length === 0 || user.roles.some((role) => allowed.includes(role));
+}
+
+function infoRequestModal(reference) {
+  return {
+    type: RESPONSE_TYPES.MODAL,
+    data: {
+      custom_id: `${INFO_MODAL_PREFIX}${reference}`,
+      title: `Request info — ${reference}`,
+      components: [
+        {
+          type: 1,
+          components: [
+            {
+              type: 4,
+              custom_id: "question",
+              label: "What do you need from the customer?",
+              style: 2,
+              min_length: 5,
+              max_length: 1000,
+              required: true,
+            },
+          ],
+        },
+      ],
+    },
+  };
+}
+
+function modalValue(interaction, customId) {
+  for (const row of interaction.data.components || []) {
+    const input = (row.components || []).find((c) => c.custom_id === customId);
+    if (input) return input.value;
+  }
+  return "";
+}
+
+// Rewrites the clicked message: status block on the first embed, buttons
+// reflecting the new status
+function updatedMessage(message, record, warning) {
+  const summary = triageSummary(record) + (warning ? `\n⚠️ ${warning}` : "");
+  const embeds = (message?.embeds || []).map((embed, i) =>
+    i === 0 ? { ...embed, description: summary } : embed
+  );
+  return {
+    type: RESPONSE_TYPES.UPDATE_MESSAGE,
+    data: {
+      embeds,
+      components: renderComponents(quoteActions(record.id, record.status)),
+      allowed_mentions: { parse: [] },
+    },
+  };
+}
+
+async function handleTriage(interaction) {
+  const user = interactionUser(interaction);
+  if (!canTriage(user)) {
+    return ephemeral("You don't have permission to triage quotes.");
+  }
+
+  const customId = interaction.data?.custom_id || "";
+  let action;
+  let reference;
+  let question = "";
+  if (customId.startsWith(INFO_MODAL_PREFIX)) {
+    action = "request-info";
+    reference = customId.slice(INFO_MODAL_PREFIX.length);
+    question = cleanText(modalValue(interaction, "question"), { multiline: true });
+    if (!question) return ephemeral("Please enter what you need from the customer.");
+  } else {
+    const parsed = parseTriageId(customId);
+    if (!parsed) return ephemeral("Unknown action.");
+    ({ action, reference } = parsed);
+    // Ask for the question first; nothing changes until the modal is sent
+    if (action === "request-info") return infoRequestModal(reference);
+  }
+
+  const store = getStore();
+  let record;
+  try {
+    record = await applyTriageAction(store, reference, action, user, { note: question });
+  } catch (err) {
+    log.error("Triage update error", { err });
+    return ephemeral(`Could not update ${reference}. Please try again.`);
+  }
+  if (!record) {
+    return ephemeral(`Quote ${reference} was not found.`);
+  }
+
+  // Only queued here: a slow email provider would run past Discord's
+  // response deadline, and the outbox processor sends it on its next run
+  let warning = "";
+  if (action === "request-info") {
+    const state = isEmailConfigured()
+      ? await sendEmail(store, buildInfoRequestEmail(record, question), {
+          ref: reference,
+          queueOnly: true,
+        })
+      : SKIPPED;
+    if (!isHandled(state)) {
+      warning = "The question could not be emailed to the customer. Please follow up directly.";
+    }
+  }
+
+  return updatedMessage(interaction.message, record, warning);
+}
+
+// ---------------------------------------------------------------------------
+// Handler — Discord interactions endpoint (set as the app's Interactions
+// Endpoint URL)
+// ---------------------------------------------------------------------------
+module.exports = withRequestLog("discord/interactions", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const publicKey = process.env.DISCORD_PUBLIC_KEY;
+  if (!publicKey) {
+    return res.status(503).json({ error: "Discord interactions are not configured" });
+  }
+
+  // -- Signature validation ------------------------------------------------
+  let rawBody;
+  try {
+    rawBody = await readRawBody(req, MAX_BODY_BYTES);
+  } catch (err) {
+    if (err instanceof UploadError && err.status === 413) {
+      return res.status(413).json({ error: "Payload too large" });
+    }
+    throw err;
+  }
+
+  const valid = verifyInteraction(
+    rawBody,
+    req.headers["x-signature-ed25519"],
+    req.headers["x-signature-timestamp"],
+    publicKey
+  );
+  if (!valid) {
+    return res.status(401).json({ error: "Invalid request signature" });
+  }
+
+  let interaction;
+  try {
+    interaction = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  // -- Dispatch ------------------------------------------------------------
+  switch (interaction.type) {
+    case INTERACTION_TYPES.PING:
+      return res.status(200).json({ type: RESPONSE_TYPES.PONG });
+    case INTERACTION_TYPES.MESSAGE_COMPONENT:
+    case INTERACTION_TYPES.MODAL_SUBMIT:
+      return res.status(200).json(await handleTriage(interaction));
+    default:
+      return res.status(400).json({ error: "Unsupported interaction type" });
+  }
+});
+
+// The Ed25519 signature covers the exact bytes sent, so Vercel must leave the
+// body unparsed
+module.exports.config = { api: { bodyParser: false } };
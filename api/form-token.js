@@ -0,0 +1,45 @@
+const { FORMS, issueFormToken } = require("../lib/spam");
+const { checkRateLimit, setRateLimitHeaders } = require("../lib/rate-limit");
+const { withRequestLog } = require("../lib/log");
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+// Issues the signed form token the quote, contact and newsletter signup
+// forms fetch on load.
+// GET /api/form-token?form=quote|contact|newsletter
+module.exports = withRequestLog("form-token", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // -- Rate limit ----------------------------------------------------------
+  const ip =
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown";
+
+  const ipLimit = await checkRateLimit("form-token", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    return res.status(429).json({ error: "Too many requests. Try again later." });
+  }
+
+  // -- Validate ------------------------------------------------------------
+  const form = (req.query?.form || "").toString();
+  if (!FORMS.includes(form)) {
+    return res.status(400).json({ error: `Invalid form. Must be one of: ${FORMS.join(", ")}` });
+  }
+
+  // -- Issue token ---------------------------------------------------------
+  res.setHeader("Cache-Control", "no-store");
+
+  const secret = process.env.FORM_TOKEN_SECRET;
+  if (!secret) {
+    // Dev mode: submissions skip the token check, see lib/spam.js
+    return res.status(200).json({ token: null });
+  }
+
+  return res.status(200).json({ token: issueFormToken(form, secret) });
+});
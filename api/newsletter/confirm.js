@@ -0,0 +1,87 @@
+const { getStore } = require("../../lib/store");
+const { checkRateLimit, setRateLimitHeaders } = require("../../lib/rate-limit");
+const {
+  isNewsletterEnabled,
+  verifySubscriberToken,
+  confirmSubscription,
+  subscriberLink,
+} = require("../../lib/newsletter");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const TOKEN_ERRORS = {
+  missing: [400, "This link is incomplete. Please use the link from your confirmation email."],
+  invalid: [400, "This link is invalid. Please use the link from your confirmation email."],
+  expired: [410, "This confirmation link has expired. Please sign up again and we'll send you a new one."],
+};
+
+const OUTCOME_ERRORS = {
+  "not-found": [404, "We couldn't find your signup. Please sign up again."],
+  unsubscribed: [409, "You've unsubscribed since this link was sent. Please sign up again to resubscribe."],
+};
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+// POST /api/newsletter/confirm  { token } — from public/poly-newsletter.html
+module.exports = withRequestLog("newsletter/confirm", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isNewsletterEnabled()) {
+    return res.status(503).json({ error: "Newsletter signup is not available right now" });
+  }
+
+  // -- Rate limit ----------------------------------------------------------
+  const ip =
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown";
+
+  const ipLimit = await checkRateLimit("newsletter-link", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    return res.status(429).json({ error: "Too many requests. Try again later." });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  // -- Token ---------------------------------------------------------------
+  let data;
+  try {
+    data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  const check = verifySubscriberToken(data?.token, "confirm");
+  if (!check.ok) {
+    const [status, error] = TOKEN_ERRORS[check.reason];
+    return res.status(status).json({ error });
+  }
+
+  // -- Confirm -------------------------------------------------------------
+  let result;
+  try {
+    result = await confirmSubscription(getStore(), check.email, { ip });
+  } catch (err) {
+    log.error("Newsletter confirm store error", { err });
+    return res.status(500).json({ error: "Could not confirm your subscription. Please try again." });
+  }
+
+  if (OUTCOME_ERRORS[result.outcome]) {
+    const [status, error] = OUTCOME_ERRORS[result.outcome];
+    return res.status(status).json({ error });
+  }
+
+  return res.status(200).json({
+    success: true,
+    outcome: result.outcome,
+    email: result.record.email,
+    unsubscribeUrl: subscriberLink("unsubscribe", result.record.email),
+  });
+});
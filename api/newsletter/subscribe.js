@@ -0,0 +1,130 @@
+const { getStore } = require("../../lib/store");
+const { cleanText } = require("../../lib/escape");
+const { sanitizeEmail } = require("../../lib/schemas");
+const { DELIVERED, QUEUED } = require("../../lib/outbox");
+const { isEmailConfigured, sendEmail } = require("../../lib/email");
+const { isNewsletterEnabled, requestSubscription } = require("../../lib/newsletter");
+const { buildNewsletterConfirmEmail } = require("../../lib/notifications/newsletter");
+const { checkRateLimit, setRateLimitHeaders } = require("../../lib/rate-limit");
+const { assessSubmission, formTokenRetry, quarantineSubmission } = require("../../lib/spam");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const MAX_BODY_BYTES = 5_000;
+
+// Same answer whether or not the address was already on the list, so the
+// form can't be used to find out who subscribes
+const SUCCESS_MESSAGE = "Almost done! Check your inbox for a link to confirm your subscription.";
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+// Signup form on the home page: POST { email, name?, website, formToken }
+module.exports = withRequestLog("newsletter/subscribe", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isNewsletterEnabled() || !isEmailConfigured()) {
+    return res.status(503).json({ error: "Newsletter signup is not available right now" });
+  }
+
+  // -- Rate limit ----------------------------------------------------------
+  const ip =
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown";
+
+  const ipLimit = await checkRateLimit("newsletter-subscribe", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    return res.status(429).json({ error: "Too many requests. Try again later." });
+  }
+
+  // -- Body size guard -----------------------------------------------------
+  const rawBody =
+    typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+
+  if (Buffer.byteLength(rawBody, "utf8") > MAX_BODY_BYTES) {
+    return res.status(413).json({ error: "Payload too large" });
+  }
+
+  // -- Parse body ----------------------------------------------------------
+  let data;
+  try {
+    data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  if (!data || typeof data !== "object") {
+    return res.status(400).json({ error: "Request body must be a JSON object" });
+  }
+
+  // -- Validate & sanitize -------------------------------------------------
+  const sanitizedData = {
+    email: sanitizeEmail(data.email),
+    name: cleanText(data.name, { max: 100 }),
+    timestamp: new Date().toISOString(),
+  };
+
+  if (!sanitizedData.email) {
+    return res.status(400).json({ error: "Valid email address is required" });
+  }
+
+  // -- Per-email rate limit ------------------------------------------------
+  const emailLimit = await checkRateLimit("newsletter-subscribe", { email: sanitizedData.email });
+  setRateLimitHeaders(res, emailLimit);
+  if (!emailLimit.allowed) {
+    return res
+      .status(429)
+      .json({ error: "Too many requests from this email address. Try again later." });
+  }
+
+  // -- Spam screening ------------------------------------------------------
+  const screening = await assessSubmission({
+    form: "newsletter",
+    fields: data,
+    text: sanitizedData.name,
+  });
+  // Token timing was the only signal; see formTokenRetry
+  if (screening.retry) {
+    const retry = formTokenRetry();
+    return res.status(retry.status).json(retry.body);
+  }
+  if (screening.suspicious) {
+    await quarantineSubmission({ type: "newsletter", ip, data: sanitizedData, screening });
+    // Answer like a normal signup so bots get no signal
+    return res.status(200).json({ success: true, message: SUCCESS_MESSAGE });
+  }
+
+  // -- Record signup -------------------------------------------------------
+  const store = getStore();
+  let result;
+  try {
+    result = await requestSubscription(store, {
+      email: sanitizedData.email,
+      name: sanitizedData.name,
+      source: "signup-form",
+      ip,
+    });
+  } catch (err) {
+    log.error("Newsletter store error", { err });
+    return res.status(500).json({ error: "Could not sign you up. Please try again." });
+  }
+
+  // -- Send confirm email --------------------------------------------------
+  if (result.outcome === "requested") {
+    const email = await sendEmail(store, buildNewsletterConfirmEmail(result.record), { ref: result.record.id });
+    if (email !== DELIVERED && email !== QUEUED) {
+      log.error("Newsletter confirm email was not sent", { state: email });
+      return res.status(502).json({ error: "Could not send the confirmation email. Please try again." });
+    }
+  }
+
+  // -- Success response ----------------------------------------------------
+  return res.status(200).json({ success: true, message: SUCCESS_MESSAGE });
+});
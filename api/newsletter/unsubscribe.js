@@ -0,0 +1,73 @@
+const { getStore } = require("../../lib/store");
+const { checkRateLimit, setRateLimitHeaders } = require("../../lib/rate-limit");
+const { isNewsletterEnabled, verifySubscriberToken, unsubscribe } = require("../../lib/newsletter");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const TOKEN_ERRORS = {
+  missing: [400, "This link is incomplete. Please use the unsubscribe link from one of our emails."],
+  invalid: [400, "This link is invalid. Please use the unsubscribe link from one of our emails."],
+};
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+// POST /api/newsletter/unsubscribe  { token } — from
+// public/poly-newsletter.html. The token may also come in the query string,
+// so the URL works as a one-click List-Unsubscribe-Post target.
+module.exports = withRequestLog("newsletter/unsubscribe", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isNewsletterEnabled()) {
+    return res.status(503).json({ error: "Newsletter is not available right now" });
+  }
+
+  // -- Rate limit ----------------------------------------------------------
+  const ip =
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown";
+
+  const ipLimit = await checkRateLimit("newsletter-link", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    return res.status(429).json({ error: "Too many requests. Try again later." });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  // -- Token ---------------------------------------------------------------
+  let token = req.query?.token;
+  if (!token) {
+    let data;
+    try {
+      data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    } catch {
+      return res.status(400).json({ error: "Invalid JSON body" });
+    }
+    token = data?.token;
+  }
+
+  const check = verifySubscriberToken(token, "unsubscribe");
+  if (!check.ok) {
+    const [status, error] = TOKEN_ERRORS[check.reason];
+    return res.status(status).json({ error });
+  }
+
+  // -- Unsubscribe ---------------------------------------------------------
+  let result;
+  try {
+    result = await unsubscribe(getStore(), check.email, { ip });
+  } catch (err) {
+    log.error("Newsletter unsubscribe store error", { err });
+    return res.status(500).json({ error: "Could not unsubscribe you. Please try again." });
+  }
+
+  // Addresses we no longer hold are as unsubscribed as they can get
+  return res.status(200).json({ success: true, outcome: result.outcome, email: check.email });
+});
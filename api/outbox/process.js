@@ -0,0 +1,31 @@
+const { checkAdminToken } = require("../../lib/admin-auth");
+const { getStore } = require("../../lib/store");
+const { processOutbox } = require("../../lib/outbox");
+const { log, annotate, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Handler — retries queued alert and email deliveries (run by Vercel Cron)
+// ---------------------------------------------------------------------------
+module.exports = withRequestLog("outbox/process", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  // Vercel Cron issues GET requests
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // -- Auth ----------------------------------------------------------------
+  const authError = checkAdminToken(req, { allowCron: true });
+  if (authError) {
+    return res.status(authError.status).json({ error: authError.error });
+  }
+
+  // -- Process -------------------------------------------------------------
+  try {
+    const summary = await processOutbox(getStore());
+    annotate(summary);
+    return res.status(200).json({ success: true, ...summary });
+  } catch (err) {
+    log.error("Outbox processing error", { err });
+    return res.status(500).json({ error: "Outbox processing failed" });
+  }
+});
@@ -0,0 +1,165 @@
+const { getStore } = require("../lib/store");
+const { QUOTE_STATUS_LABELS } = require("../lib/quote-status");
+const { SERVICE_LABELS } = require("../lib/catalog");
+const { DELIVERED, QUEUED, SKIPPED } = require("../lib/outbox");
+const { notify } = require("../lib/notifier");
+const { isEmailConfigured, sendEmail } = require("../lib/email");
+const { checkRateLimit, setRateLimitHeaders } = require("../lib/rate-limit");
+const { formatMoney, formatDate } = require("../lib/priced-quote");
+const {
+  isDecisionLinksEnabled,
+  verifyDecisionToken,
+  decisionBlocker,
+  applyDecision,
+} = require("../lib/quote-decision");
+const {
+  buildQuoteDecisionAlert,
+  buildQuoteAcceptedEmail,
+} = require("../lib/notifications/quote");
+const { log, withRequestLog } = require("../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const TOKEN_ERRORS = {
+  missing: [400, "This link is incomplete. Please use the link from your quote email."],
+  invalid: [400, "This link is invalid. Please use the link from your quote email."],
+  expired: [410, "This quote has expired. Reply to your quote email and we'll send you an updated one."],
+};
+
+const BLOCKER_ERRORS = {
+  "not-found": [404, "We couldn't find this quote. Please reply to your quote email."],
+  superseded: [409, "We've sent you a newer quote since this one. Please use the links in the latest email."],
+  closed: [409, "This quote can no longer be answered online. Reply to your quote email and we'll help."],
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function summary(record, decision) {
+  const { pricedQuote } = record;
+  const status = record.status || "received";
+  return {
+    reference: record.id,
+    decision,
+    service: SERVICE_LABELS[record.data.service] || record.data.service,
+    total: formatMoney(pricedQuote.total, pricedQuote.currency),
+    validUntil: formatDate(pricedQuote.validUntil),
+    status,
+    statusLabel: QUOTE_STATUS_LABELS[status] || status,
+    ...(record.decision && { decided: { decision: record.decision.decision, at: record.decision.at } }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+// Backs public/poly-quote-response.html:
+//   GET  /api/quote-decision?token=…   what the link is for, and whether
+//                                      the quote was already answered
+//   POST /api/quote-decision  { token } records the decision
+module.exports = withRequestLog("quote-decision", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isDecisionLinksEnabled()) {
+    return res.status(503).json({ error: "Online quote responses are not available" });
+  }
+
+  // -- Rate limit ----------------------------------------------------------
+  const ip =
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown";
+
+  const ipLimit = await checkRateLimit("quote-decision", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    return res.status(429).json({ error: "Too many requests. Try again later." });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  // -- Token ---------------------------------------------------------------
+  let token = req.query?.token;
+  if (req.method === "POST") {
+    let data;
+    try {
+      data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    } catch {
+      return res.status(400).json({ error: "Invalid JSON body" });
+    }
+    token = data?.token;
+  }
+
+  const check = verifyDecisionToken(token, process.env.QUOTE_LINK_SECRET);
+  if (!check.ok) {
+    const [status, error] = TOKEN_ERRORS[check.reason];
+    return res.status(status).json({ error });
+  }
+  const { claims } = check;
+  const store = getStore();
+
+  // -- Look up -------------------------------------------------------------
+  if (req.method === "GET") {
+    let record;
+    try {
+      record = await store.get("quotes", claims.reference);
+    } catch (err) {
+      log.error("Quote decision lookup error", { err });
+      return res.status(500).json({ error: "Could not load your quote. Please try again." });
+    }
+    const blocker = record ? decisionBlocker(record, claims) : "not-found";
+    if (blocker && blocker !== "decided") {
+      const [status, error] = BLOCKER_ERRORS[blocker];
+      return res.status(status).json({ error });
+    }
+    return res.status(200).json({ success: true, ...summary(record, claims.decision) });
+  }
+
+  // -- Record decision -----------------------------------------------------
+  let result;
+  try {
+    result = await applyDecision(store, claims, { ip });
+  } catch (err) {
+    log.error("Quote decision store error", { err });
+    return res.status(500).json({ error: "Could not record your response. Please try again." });
+  }
+
+  const { outcome, record } = result;
+  if (outcome === "decided") {
+    // Repeat clicks of the same link are fine; switching answers isn't
+    if (record.decision.decision !== claims.decision) {
+      return res.status(409).json({
+        error: "You've already responded to this quote. Reply to your quote email if you've changed your mind.",
+      });
+    }
+    return res.status(200).json({ success: true, ...summary(record, claims.decision) });
+  }
+  if (outcome !== "recorded") {
+    const [status, error] = BLOCKER_ERRORS[outcome];
+    return res.status(status).json({ error });
+  }
+
+  // -- Notify --------------------------------------------------------------
+  const delivery = await notify(store, "quote", buildQuoteDecisionAlert(record), { ref: record.id });
+  if (Object.keys(delivery).length === 0) {
+    log.warn("Quote decision not notified (no notification route)", {
+      reference: record.id,
+      status: record.status,
+    });
+  }
+
+  if (claims.decision === "accept") {
+    const email = isEmailConfigured()
+      ? await sendEmail(store, buildQuoteAcceptedEmail(record), { ref: record.id })
+      : SKIPPED;
+    if (email !== DELIVERED && email !== QUEUED) {
+      log.error("Next-steps email for accepted quote was not sent", { reference: record.id, state: email });
+    }
+  }
+
+  return res.status(200).json({ success: true, ...summary(record, claims.decision) });
+});
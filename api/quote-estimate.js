@@ -0,0 +1,84 @@
+const { VALID_SERVICES, VALID_TIMELINES, SERVICE_LABELS, TIMELINE_LABELS } = require("../lib/catalog");
+const { estimateQuote, formatEstimate } = require("../lib/pricing");
+const { checkRateLimit, setRateLimitHeaders } = require("../lib/rate-limit");
+const { withRequestLog } = require("../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const MAX_BODY_BYTES = 50_000;
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+module.exports = withRequestLog("quote-estimate", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // -- Rate limit ----------------------------------------------------------
+  const ip =
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown";
+
+  const ipLimit = await checkRateLimit("quote-estimate", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    return res.status(429).json({ error: "Too many requests. Try again later." });
+  }
+
+  // -- Body size guard -----------------------------------------------------
+  const rawBody =
+    typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+
+  if (Buffer.byteLength(rawBody, "utf8") > MAX_BODY_BYTES) {
+    return res.status(413).json({ error: "Payload too large" });
+  }
+
+  // -- Parse body ----------------------------------------------------------
+  let data;
+  try {
+    data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  if (!data || typeof data !== "object") {
+    return res.status(400).json({ error: "Request body must be a JSON object" });
+  }
+
+  // -- Validate ------------------------------------------------------------
+  // Accepts the full quote payload, but only these fields affect the price
+  if (!VALID_SERVICES.includes(data.service)) {
+    return res.status(400).json({
+      error: `Invalid service. Must be one of: ${VALID_SERVICES.join(", ")}`,
+    });
+  }
+
+  if (!VALID_TIMELINES.includes(data.timeline)) {
+    return res.status(400).json({
+      error: `Invalid timeline. Must be one of: ${VALID_TIMELINES.join(", ")}`,
+    });
+  }
+
+  const quantity = parseInt(data.quantity) || 0;
+  if (quantity < 1) {
+    return res.status(400).json({ error: "Quantity must be at least 1" });
+  }
+
+  // -- Estimate ------------------------------------------------------------
+  const estimate = estimateQuote({ service: data.service, quantity, timeline: data.timeline });
+
+  return res.status(200).json({
+    success: true,
+    estimate: {
+      ...estimate,
+      display: formatEstimate(estimate),
+      service: SERVICE_LABELS[data.service],
+      timeline: TIMELINE_LABELS[data.timeline],
+      quantity,
+    },
+  });
+});
@@ -0,0 +1,90 @@
+const { getStore } = require("../lib/store");
+const { QUOTE_STATUS_LABELS } = require("../lib/quote-status");
+const { SERVICE_LABELS, TIMELINE_LABELS } = require("../lib/catalog");
+const { checkRateLimit, setRateLimitHeaders } = require("../lib/rate-limit");
+const { log, withRequestLog } = require("../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const REFERENCE_PATTERN = /^PPP-Q-\d{4}-\d{4,}$/;
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+// POST rather than GET so the customer's email never ends up in a URL or
+// access log.
+module.exports = withRequestLog("quote-status", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // -- Rate limit ----------------------------------------------------------
+  const ip =
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown";
+
+  const ipLimit = await checkRateLimit("quote-status", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    return res.status(429).json({ error: "Too many requests. Try again later." });
+  }
+
+  // -- Parse body ----------------------------------------------------------
+  let data;
+  try {
+    data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  if (!data || typeof data !== "object") {
+    return res.status(400).json({ error: "Request body must be a JSON object" });
+  }
+
+  const reference = (data.reference || "").toString().trim().toUpperCase();
+  const email = (data.email || "").toString().trim().toLowerCase();
+
+  if (!REFERENCE_PATTERN.test(reference) || !email) {
+    return res
+      .status(400)
+      .json({ error: "A quote reference (e.g. PPP-Q-2026-0142) and email are required" });
+  }
+
+  // -- Look up -------------------------------------------------------------
+  let record;
+  try {
+    record = await getStore().get("quotes", reference);
+  } catch (err) {
+    log.error("Quote status lookup error", { err });
+    return res.status(500).json({ error: "Could not look up quote status" });
+  }
+
+  // Same response for "no such quote" and "wrong email" so references
+  // can't be probed
+  if (!record || record.data?.email !== email) {
+    return res
+      .status(404)
+      .json({ error: "No quote found for that reference and email address" });
+  }
+
+  const history = (record.statusHistory || []).map((entry) => ({
+    status: entry.status,
+    label: QUOTE_STATUS_LABELS[entry.status] || entry.status,
+    at: entry.at,
+    ...(entry.note && { note: entry.note }),
+  }));
+
+  return res.status(200).json({
+    success: true,
+    reference,
+    status: record.status || "received",
+    statusLabel: QUOTE_STATUS_LABELS[record.status || "received"],
+    service: SERVICE_LABELS[record.data.service] || record.data.service,
+    timeline: TIMELINE_LABELS[record.data.timeline] || record.data.timeline,
+    submittedAt: record.createdAt,
+    history,
+  });
+});
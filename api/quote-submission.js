@@ -1,209 +1,42 @@
 const crypto = require("crypto");
-const https = require("https");
+const {
+  MAX_TOTAL_BYTES,
+  UploadError,
+  readRawBody,
+  getBoundary,
+  parseMultipart,
+  validateFiles,
+  storeFiles,
+} = require("../lib/uploads");
+const { analyzeMesh } = require("../lib/mesh-analysis");
+const { SERVICE_LABELS, TIMELINE_LABELS } = require("../lib/catalog");
+const { estimateQuote } = require("../lib/pricing");
+const { getBlobStore, getStore, nextReference } = require("../lib/store");
+const { cleanText } = require("../lib/escape");
+const { validate, validationErrorBody } = require("../lib/schemas");
+const { initialStatus } = require("../lib/quote-status");
+const { SKIPPED, isHandled } = require("../lib/outbox");
+const { isEmailConfigured, sendEmail } = require("../lib/email");
+const { notify, summarize } = require("../lib/notifier");
+const { buildQuoteNotifications } = require("../lib/notifications/quote");
+const { isNewsletterEnabled, requestSubscription } = require("../lib/newsletter");
+const { buildNewsletterConfirmEmail } = require("../lib/notifications/newsletter");
+const { checkRateLimit, setRateLimitHeaders } = require("../lib/rate-limit");
+const { assessSubmission, formTokenRetry, quarantineSubmission } = require("../lib/spam");
+const { IdempotencyError, claimRequest } = require("../lib/idempotency");
+const { log, logRecovery, withRequestLog } = require("../lib/log");
 
 // ---------------------------------------------------------------------------
 // Config
 // ---------------------------------------------------------------------------
-const VALID_SERVICES = [
-  "3d-printing",
-  "dtf-transfers",
-  "laser-services",
-  "sublimation",
-];
-
-const VALID_TIMELINES = ["rush", "standard", "flexible", "ongoing"];
-
-const REQUIRED_FIELDS = ["service", "firstName", "lastName", "email", "phone", "quantity", "timeline"];
-
 const MAX_BODY_BYTES = 50_000;
-const RATE_LIMIT_WINDOW_MS = 60_000;
-const RATE_LIMIT_MAX = 10;
-
-const EMBED_COLOR = 0x9333ea; // Purple
-
-const SERVICE_LABELS = {
-  "3d-printing": "3D Printing",
-  "dtf-transfers": "DTF Transfers",
-  "laser-services": "Laser Services",
-  "sublimation": "Sublimation",
-};
-
-const TIMELINE_LABELS = {
-  rush: "Rush (3-5 days)",
-  standard: "Standard (1-2 weeks)",
-  flexible: "Flexible (2+ weeks)",
-  ongoing: "Ongoing/Multiple Orders",
-};
-
-// ---------------------------------------------------------------------------
-// In-memory rate limiter (per-IP, resets on cold start)
-// ---------------------------------------------------------------------------
-const rateLimitMap = new Map();
-
-function isRateLimited(ip) {
-  const now = Date.now();
-  const entry = rateLimitMap.get(ip);
-
-  if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
-    rateLimitMap.set(ip, { windowStart: now, count: 1 });
-    return false;
-  }
-
-  entry.count += 1;
-  return entry.count > RATE_LIMIT_MAX;
-}
-
-// ---------------------------------------------------------------------------
-// Sanitization helpers
-// ---------------------------------------------------------------------------
-function sanitizeString(str) {
-  if (!str) return "";
-  return str
-    .toString()
-    .trim()
-    .substring(0, 1000)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-}
-
-function sanitizeEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  const cleaned = (email || "").toString().trim().toLowerCase().substring(0, 254);
-  return emailRegex.test(cleaned) ? cleaned : "";
-}
-
-function sanitizePhone(phone) {
-  if (!phone) return "";
-  return phone.toString().replace(/[^0-9+\-() ]/g, "").substring(0, 20);
-}
-
-// ---------------------------------------------------------------------------
-// HTTP helper (uses built-in https module)
-// ---------------------------------------------------------------------------
-function postJSON(url, body, headers) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const data = JSON.stringify(body);
-    const reqHeaders = {
-      "Content-Type": "application/json",
-      "Content-Length": Buffer.byteLength(data),
-      ...headers,
-    };
-    const req = https.request(
-      {
-        hostname: parsed.hostname,
-        path: parsed.pathname + parsed.search,
-        method: "POST",
-        headers: reqHeaders,
-      },
-      (res) => {
-        let chunks = "";
-        res.on("data", (c) => (chunks += c));
-        res.on("end", () => resolve({ status: res.statusCode, body: chunks }));
-      }
-    );
-    req.on("error", reject);
-    req.write(data);
-    req.end();
-  });
-}
-
-// ---------------------------------------------------------------------------
-// Email template
-// ---------------------------------------------------------------------------
-function generateQuoteConfirmationEmail(data) {
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1>Quote Request Received!</h1>
-    </div>
-    <div class="content">
-      <p>Hi ${data.firstName},</p>
-      <p>Thanks for your interest in Poly People Printing! We've received your quote request for <strong>${data.service}</strong>.</p>
-
-      <h3>What You Requested:</h3>
-      <ul>
-        <li><strong>Service:</strong> ${data.service}</li>
-        <li><strong>Quantity:</strong> ${data.quantity}</li>
-        <li><strong>Timeline:</strong> ${data.timeline}</li>
-      </ul>
-
-      <p>We'll review your request and send you a detailed quote within 24 hours (usually much faster!).</p>
 
-      <p><strong>What happens next?</strong></p>
-      <ol>
-        <li>We'll analyze your project requirements</li>
-        <li>Prepare a detailed quote with pricing options</li>
-        <li>Email you the quote for review</li>
-        <li>Answer any questions you have</li>
-      </ol>
-
-      <p>Questions in the meantime? Just reply to this email!</p>
-
-      <p>Best,<br>The Poly People Printing Team</p>
-    </div>
-    <div class="footer">
-      <p>Poly People Printing - Punderful Perfection<br>
-      Auburn, WA | polypeopleprinting.com</p>
-    </div>
-  </div>
-</body>
-</html>`;
-}
-
-// ---------------------------------------------------------------------------
-// Admin fallback email template
-// ---------------------------------------------------------------------------
-function generateAdminFallbackEmail(formType, data, labels) {
-  const rows = Object.entries(data)
-    .map(([key, val]) => `<tr><td style="padding:6px 12px;font-weight:bold;border:1px solid #ddd;">${key}</td><td style="padding:6px 12px;border:1px solid #ddd;">${val}</td></tr>`)
-    .join("");
-
-  const labelRows = labels
-    ? Object.entries(labels)
-        .map(([key, val]) => `<tr><td style="padding:6px 12px;font-weight:bold;border:1px solid #ddd;">${key}</td><td style="padding:6px 12px;border:1px solid #ddd;">${val}</td></tr>`)
-        .join("")
-    : "";
-
-  return `<!DOCTYPE html>
-<html>
-<body style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;">
-  <div style="background:#dc2626;color:white;padding:16px;border-radius:8px 8px 0 0;">
-    <h2 style="margin:0;">Discord Unavailable — ${formType} Fallback</h2>
-  </div>
-  <div style="background:#fef2f2;padding:20px;border-radius:0 0 8px 8px;border:1px solid #fca5a5;">
-    <p>Discord webhook delivery failed. This submission was <strong>not</strong> posted to Discord. Please process manually.</p>
-    <table style="width:100%;border-collapse:collapse;margin-top:12px;">
-      ${rows}
-      ${labelRows}
-    </table>
-    <p style="margin-top:16px;color:#666;font-size:12px;">
-      This is an automated fallback from Poly People Printing's form system.<br>
-      Check Vercel function logs for additional details.
-    </p>
-  </div>
-</body>
-</html>`;
-}
+const MESH_TYPES = ["model/stl", "model/obj"];
 
 // ---------------------------------------------------------------------------
 // Handler
 // ---------------------------------------------------------------------------
-module.exports = async function handler(req, res) {
+module.exports = withRequestLog("quote-submission", async function handler(req, res) {
   // -- Method check --------------------------------------------------------
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -215,24 +48,55 @@ module.exports = async function handler(req, res) {
     req.socket?.remoteAddress ||
     "unknown";
 
-  if (isRateLimited(ip)) {
+  const ipLimit = await checkRateLimit("quote-submission", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
     return res.status(429).json({ error: "Too many requests. Try again later." });
   }
 
-  // -- Body size guard -----------------------------------------------------
-  const rawBody =
-    typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+  // -- Parse body (JSON, or multipart/form-data with design files) ---------
+  const contentType = req.headers["content-type"] || "";
+  let data;
+  let uploads = [];
 
-  if (Buffer.byteLength(rawBody, "utf8") > MAX_BODY_BYTES) {
-    return res.status(413).json({ error: "Payload too large" });
-  }
+  if (contentType.toLowerCase().startsWith("multipart/form-data")) {
+    try {
+      const boundary = getBoundary(contentType);
+      if (!boundary) {
+        throw new UploadError(400, "Missing multipart boundary");
+      }
+      const raw = await readRawBody(req, MAX_TOTAL_BYTES + MAX_BODY_BYTES);
+      const parsed = parseMultipart(raw, boundary);
+      data = parsed.fields;
+      uploads = validateFiles(parsed.files.filter((f) => f.field === "files"));
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      log.error("Multipart parse error", { err });
+      return res.status(400).json({ error: "Invalid multipart body" });
+    }
 
-  // -- Parse body ----------------------------------------------------------
-  let data;
-  try {
-    data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-  } catch {
-    return res.status(400).json({ error: "Invalid JSON body" });
+    if (Buffer.byteLength(JSON.stringify(data), "utf8") > MAX_BODY_BYTES) {
+      return res.status(413).json({ error: "Payload too large" });
+    }
+  } else {
+    // -- Body size guard ---------------------------------------------------
+    let rawBody;
+    try {
+      rawBody = await readRawBody(req, MAX_BODY_BYTES);
+    } catch (err) {
+      if (err instanceof UploadError && err.status === 413) {
+        return res.status(413).json({ error: "Payload too large" });
+      }
+      throw err;
+    }
+
+    try {
+      data = JSON.parse(rawBody.toString("utf8"));
+    } catch {
+      return res.status(400).json({ error: "Invalid JSON body" });
+    }
   }
 
   if (!data || typeof data !== "object") {
@@ -240,218 +104,191 @@ module.exports = async function handler(req, res) {
   }
 
   // -- Validate & sanitize -------------------------------------------------
-  const sanitizedData = {
-    service: sanitizeString(data.service),
-    quantity: parseInt(data.quantity) || 0,
-    timeline: sanitizeString(data.timeline),
-    dimensions: sanitizeString(data.dimensions || ""),
-    materials: sanitizeString(data.materials || ""),
-    budget: sanitizeString(data.budget || ""),
-    description: sanitizeString(data.description || ""),
-    referral: sanitizeString(data.referral || ""),
-    firstName: sanitizeString(data.firstName),
-    lastName: sanitizeString(data.lastName),
-    email: sanitizeEmail(data.email),
-    phone: sanitizePhone(data.phone),
-    contactMethod: sanitizeString(data.contactMethod || "email"),
-    newsletter: Boolean(data.newsletter),
-    timestamp: new Date().toISOString(),
-  };
-
-  // Check required fields
-  const missing = REQUIRED_FIELDS.filter((f) => {
-    const val = data[f];
-    return val === undefined || val === null || val === "";
-  });
-  if (missing.length > 0) {
-    return res
-      .status(400)
-      .json({ error: `Missing required fields: ${missing.join(", ")}` });
+  const { value, errors } = validate("quote", data);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorBody("quote", errors));
   }
+  const sanitizedData = { ...value, timestamp: new Date().toISOString() };
 
-  if (!sanitizedData.email) {
-    return res.status(400).json({ error: "Invalid email address" });
+  // -- Per-email rate limit ------------------------------------------------
+  const emailLimit = await checkRateLimit("quote-submission", { email: sanitizedData.email });
+  setRateLimitHeaders(res, emailLimit);
+  if (!emailLimit.allowed) {
+    return res
+      .status(429)
+      .json({ error: "Too many requests from this email address. Try again later." });
   }
 
-  if (!VALID_SERVICES.includes(data.service)) {
-    return res.status(400).json({
-      error: `Invalid service. Must be one of: ${VALID_SERVICES.join(", ")}`,
+  // -- Idempotency ---------------------------------------------------------
+  // Double clicks and client retries get the original response back
+  let claim;
+  try {
+    claim = await claimRequest("quote-submission", {
+      key: req.headers["idempotency-key"],
+      email: sanitizedData.email,
+      fields: data,
+      uploads,
     });
+  } catch (err) {
+    if (err instanceof IdempotencyError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+  if (claim.replay) {
+    res.setHeader("Idempotent-Replayed", "true");
+    return res.status(claim.replay.status).json(claim.replay.body);
   }
 
-  if (!VALID_TIMELINES.includes(data.timeline)) {
-    return res.status(400).json({
-      error: `Invalid timeline. Must be one of: ${VALID_TIMELINES.join(", ")}`,
-    });
+  // -- Spam screening ------------------------------------------------------
+  const screening = await assessSubmission({
+    form: "quote",
+    fields: data,
+    text: [data.firstName, data.lastName, data.dimensions, data.materials, data.description, data.referral].join("\n"),
+  });
+  // Token timing was the only signal: likely a real visitor resubmitting,
+  // so ask the form for a retry with a new token
+  if (screening.retry) {
+    await claim.release();
+    const retry = formTokenRetry();
+    return res.status(retry.status).json(retry.body);
+  }
+  if (screening.suspicious) {
+    await quarantineSubmission({ type: "quote", ip, data: sanitizedData, screening, uploads });
+    // Answer like a normal submission so bots get no signal
+    const body = {
+      success: true,
+      message: "Quote request received! Check your email for confirmation.",
+    };
+    await claim.complete(200, body);
+    return res.status(200).json(body);
   }
 
   // Use friendly labels for display
   const serviceLabel = SERVICE_LABELS[data.service] || sanitizedData.service;
   const timelineLabel = TIMELINE_LABELS[data.timeline] || sanitizedData.timeline;
 
-  // -- Send to Discord -----------------------------------------------------
-  let discordOk = false;
-  const discordUrl = process.env.DISCORD_WEBHOOK_QUOTES || process.env.DISCORD_WEBHOOK_URL_ORDER;
-  if (discordUrl) {
-    const fields = [
-      { name: "Service", value: serviceLabel, inline: true },
-      { name: "Quantity", value: sanitizedData.quantity.toString(), inline: true },
-      { name: "Timeline", value: timelineLabel, inline: true },
-      { name: "Customer", value: `${sanitizedData.firstName} ${sanitizedData.lastName}`, inline: false },
-      { name: "Contact", value: `${sanitizedData.email}\n${sanitizedData.phone}`, inline: false },
-    ];
-
-    if (sanitizedData.dimensions) {
-      fields.push({ name: "Dimensions", value: sanitizedData.dimensions, inline: true });
-    }
-    if (sanitizedData.materials) {
-      fields.push({ name: "Material/Color", value: sanitizedData.materials, inline: true });
-    }
-    if (sanitizedData.budget) {
-      fields.push({ name: "Budget", value: sanitizedData.budget, inline: true });
-    }
-    if (sanitizedData.contactMethod) {
-      fields.push({ name: "Preferred Contact", value: sanitizedData.contactMethod, inline: true });
-    }
-    if (sanitizedData.referral) {
-      fields.push({ name: "Referral Source", value: sanitizedData.referral, inline: true });
-    }
-    if (sanitizedData.newsletter) {
-      fields.push({ name: "Newsletter", value: "Yes", inline: true });
-    }
-    if (sanitizedData.description) {
-      fields.push({ name: "Details", value: sanitizedData.description, inline: false });
-    }
-
-    const discordPayload = {
-      embeds: [
-        {
-          title: "New Quote Request",
-          color: EMBED_COLOR,
-          fields,
-          timestamp: sanitizedData.timestamp,
-          footer: { text: "Poly People Printing Quote System" },
-        },
-      ],
-    };
+  // Same calculation /api/quote-estimate showed the customer in the wizard
+  const estimate = sanitizedData.quantity > 0
+    ? estimateQuote({ service: data.service, quantity: sanitizedData.quantity, timeline: data.timeline })
+    : null;
 
+  // -- Store uploaded files ------------------------------------------------
+  let files = [];
+  if (uploads.length > 0) {
     try {
-      const discordResult = await postJSON(discordUrl, discordPayload);
-      if (discordResult.status >= 200 && discordResult.status < 300) {
-        discordOk = true;
-      } else {
-        console.error(
-          `Discord webhook failed: ${discordResult.status} — ${discordResult.body}`
-        );
-      }
+      const stored = await storeFiles(getStore(), getBlobStore(), uploads, "quotes");
+      files = stored.map((f) => ({ ...f, name: cleanText(f.name) }));
     } catch (err) {
-      console.error("Discord webhook error:", err.message);
+      log.error("File storage error", { err });
+      await claim.release();
+      return res
+        .status(500)
+        .json({ error: "Could not store uploaded files. Please try again." });
     }
-  } else {
-    console.error("No Discord webhook URL configured (DISCORD_WEBHOOK_QUOTES or DISCORD_WEBHOOK_URL_ORDER)");
   }
 
-  // -- Send auto-reply email via SendGrid ----------------------------------
-  let sendgridOk = false;
-  const sendgridKey = process.env.SENDGRID_API_KEY;
-  if (sendgridKey) {
-    const emailPayload = {
-      personalizations: [
-        {
-          to: [
-            {
-              email: sanitizedData.email,
-              name: `${sanitizedData.firstName} ${sanitizedData.lastName}`,
-            },
-          ],
-          subject: "Quote Request Received - Poly People Printing",
-        },
-      ],
-      from: {
-        email: "quotes@polypeopleprinting.com",
-        name: "Poly People Printing",
-      },
-      content: [
-        {
-          type: "text/html",
-          value: generateQuoteConfirmationEmail({
-            firstName: sanitizedData.firstName,
-            service: serviceLabel,
-            quantity: sanitizedData.quantity,
-            timeline: timelineLabel,
-          }),
-        },
-      ],
-    };
+  // -- Analyze 3D models ---------------------------------------------------
+  if (data.service === "3d-printing") {
+    uploads.forEach((upload, i) => {
+      if (!MESH_TYPES.includes(upload.type)) return;
+      try {
+        files[i].analysis = analyzeMesh(upload.content, upload.type);
+      } catch (err) {
+        log.error("Mesh analysis failed", { fileId: files[i].id, err });
+      }
+    });
+  }
+
+  // -- Save submission -----------------------------------------------------
+  let store = null;
+  let reference = "";
+  try {
+    store = getStore();
+    reference = await nextReference(store, "quote");
+    await store.insert("quotes", {
+      id: reference,
+      type: "quote",
+      createdAt: sanitizedData.timestamp,
+      ...initialStatus(sanitizedData.timestamp),
+      data: sanitizedData,
+      files,
+      estimate,
+    });
+  } catch (err) {
+    // Notifications below still carry the submission, so keep going
+    log.error("Submission store error", { err });
+    reference = "";
+  }
+
+  const notifications = buildQuoteNotifications({ reference, data: sanitizedData, files, estimate });
 
+  // -- Notify the team (Discord, plus any NOTIFY_ROUTES) -------------------
+  const delivery = await notify(store, "quote", notifications.alert, { ref: reference });
+  // Queued deliveries are retried by /api/outbox/process, so they need no
+  // fallback — unless the store failed and the entry may not be saved
+  const stored = reference !== "";
+  const teamOk = isHandled(summarize(delivery), { stored });
+
+  // -- Send auto-reply email -----------------------------------------------
+  const emailEnabled = isEmailConfigured();
+  delivery.email = emailEnabled
+    ? await sendEmail(store, notifications.confirmation, { ref: reference })
+    : SKIPPED;
+  const emailOk = isHandled(delivery.email, { stored });
+
+  // -- Newsletter opt-in: confirm email, subscribed once they click --------
+  if (sanitizedData.newsletter && store && emailEnabled && isNewsletterEnabled()) {
     try {
-      const emailResult = await postJSON(
-        "https://api.sendgrid.com/v3/mail/send",
-        emailPayload,
-        { Authorization: `Bearer ${sendgridKey}` }
-      );
-      if (emailResult.status < 400) {
-        sendgridOk = true;
-      } else {
-        console.error(`SendGrid failed: ${emailResult.status} — ${emailResult.body}`);
+      const signup = await requestSubscription(store, {
+        email: sanitizedData.email,
+        name: `${sanitizedData.firstName} ${sanitizedData.lastName}`,
+        source: "quote-form",
+        ip,
+      });
+      if (signup.outcome === "requested") {
+        delivery.newsletter = await sendEmail(store, buildNewsletterConfirmEmail(signup.record), {
+          ref: signup.record.id,
+        });
       }
     } catch (err) {
-      console.error("SendGrid error:", err.message);
+      log.error("Newsletter signup error", { err });
     }
   }
 
-  // -- Admin fallback: email when Discord is down --------------------------
+  // -- Admin fallback: email when no team channel has it -------------------
   const adminEmail = process.env.ADMIN_EMAIL;
-  if (!discordOk && adminEmail && sendgridKey) {
-    const adminPayload = {
-      personalizations: [
-        {
-          to: [{ email: adminEmail }],
-          subject: `[FALLBACK] New Quote Request from ${sanitizedData.firstName} ${sanitizedData.lastName}`,
-        },
-      ],
-      from: {
-        email: "quotes@polypeopleprinting.com",
-        name: "PPP System Alert",
-      },
-      content: [
-        {
-          type: "text/html",
-          value: generateAdminFallbackEmail("Quote Request", sanitizedData, {
-            service: serviceLabel,
-            timeline: timelineLabel,
-          }),
-        },
-      ],
-    };
-
-    try {
-      await postJSON(
-        "https://api.sendgrid.com/v3/mail/send",
-        adminPayload,
-        { Authorization: `Bearer ${sendgridKey}` }
-      );
-    } catch (err) {
-      console.error("Admin fallback email error:", err.message);
-    }
+  if (!teamOk && adminEmail && emailEnabled) {
+    delivery.adminFallback = await sendEmail(store, notifications.adminFallback(adminEmail), {
+      channel: "admin-email",
+      ref: reference,
+    });
   }
 
   // -- Last resort: structured log for Vercel dashboard recovery -----------
-  if (!discordOk && !sendgridOk) {
-    console.error(
-      JSON.stringify({
-        _fallback: "SUBMISSION_RECOVERY",
-        type: "quote",
-        data: sanitizedData,
-        serviceLabel,
-        timelineLabel,
-      })
-    );
+  if (!teamOk && !emailOk) {
+    logRecovery({
+      type: "quote",
+      reference,
+      data: sanitizedData,
+      files,
+      estimate,
+      serviceLabel,
+      timelineLabel,
+    });
   }
 
   // -- Success response ----------------------------------------------------
-  return res.status(200).json({
+  const body = {
     success: true,
     message: "Quote request received! Check your email for confirmation.",
-  });
-};
+    reference,
+    estimate,
+  };
+  await claim.complete(200, body);
+  return res.status(200).json(body);
+});
+
+// Design files are read straight off the request stream, so Vercel must
+// leave the body unparsed; JSON submissions are parsed from the same bytes
+module.exports.config = { api: { bodyParser: false } };
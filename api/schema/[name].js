@@ -0,0 +1,26 @@
+const { SCHEMA_NAMES, publicSchema } = require("../../lib/schemas");
+const { withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Handler — published payload schemas
+// ---------------------------------------------------------------------------
+//   GET /api/schema/quote | contact | order
+//
+// The field rules the matching API enforces (see lib/schemas.js), so forms
+// can check input before submitting.
+module.exports = withRequestLog("schema", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // -- Look up -------------------------------------------------------------
+  const schema = publicSchema((req.query.name || "").toString());
+  if (!schema) {
+    return res
+      .status(404)
+      .json({ error: `Unknown schema. Must be one of: ${SCHEMA_NAMES.join(", ")}` });
+  }
+
+  return res.status(200).json({ success: true, ...schema });
+});
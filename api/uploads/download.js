@@ -0,0 +1,76 @@
+const { checkAdminToken } = require("../../lib/admin-auth");
+const { getBlobStore, getStore } = require("../../lib/store");
+const { loadFile, verifyUploadToken } = require("../../lib/uploads");
+const { log, withRequestLog } = require("../../lib/log");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const TOKEN_ERRORS = {
+  missing: [400, "This link is incomplete."],
+  invalid: [400, "This link is invalid."],
+  expired: [410, "This link has expired. Get a new one from the admin API."],
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+// Quoted ASCII fallback plus the RFC 5987 form for non-ASCII names
+function contentDisposition(name) {
+  const ascii = name.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Handler — staff downloads of uploaded design files
+// ---------------------------------------------------------------------------
+//   GET /api/uploads/download?token=…   signed link from a team alert
+//   GET /api/uploads/download?id=…      with the admin bearer token
+module.exports = withRequestLog("uploads/download", async function handler(req, res) {
+  // -- Method check --------------------------------------------------------
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  // -- Access --------------------------------------------------------------
+  let id;
+  if (req.query.token !== undefined) {
+    const check = verifyUploadToken(req.query.token.toString());
+    if (!check.ok) {
+      const [status, error] = TOKEN_ERRORS[check.reason];
+      return res.status(status).json({ error });
+    }
+    id = check.id;
+  } else {
+    const authError = checkAdminToken(req);
+    if (authError) {
+      return res.status(authError.status).json({ error: authError.error });
+    }
+    id = (req.query.id || "").toString().trim();
+    if (!id) {
+      return res.status(400).json({ error: "id is required" });
+    }
+  }
+
+  // -- Load ----------------------------------------------------------------
+  let file;
+  try {
+    file = await loadFile(getStore(), getBlobStore(), id);
+  } catch (err) {
+    log.error("Upload lookup error", { err });
+    return res.status(500).json({ error: "Could not load the file" });
+  }
+  if (!file) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  // Always a download, and sandboxed in case a browser renders it anyway
+  // (SVGs can carry scripts)
+  res.setHeader("Content-Type", file.type || "application/octet-stream");
+  res.setHeader("Content-Length", String(file.content.length));
+  res.setHeader("Content-Disposition", contentDisposition(file.name));
+  res.setHeader("Content-Security-Policy", "sandbox");
+  return res.status(200).send(file.content);
+});
@@ -1,70 +1,40 @@
-const crypto = require("crypto");
-const https = require("https");
+const { getStore, nextReference } = require("../../lib/store");
+const { initialStatus } = require("../../lib/quote-status");
+const { SERVICE_LABELS, TIMELINE_LABELS } = require("../../lib/catalog");
+const { validate, validationErrorBody } = require("../../lib/schemas");
+const { DELIVERED, FAILED } = require("../../lib/outbox");
+const { notify, summarize } = require("../../lib/notifier");
+const { checkRateLimit, setRateLimitHeaders } = require("../../lib/rate-limit");
+const { IdempotencyError, claimRequest } = require("../../lib/idempotency");
+const { UploadError, readRawBody } = require("../../lib/uploads");
+const { consumeNonce } = require("../../lib/nonce-cache");
+const { parseSecrets, verifyWebhookSignature } = require("../../lib/webhook-signature");
+const {
+  SHOPIFY_TOPICS,
+  verifyShopifyHmac,
+  normalizeShopifyOrder,
+  buildShopifyOrderAlert,
+} = require("../../lib/shopify");
+const { log, withRequestLog } = require("../../lib/log");
 
 // ---------------------------------------------------------------------------
 // Config
 // ---------------------------------------------------------------------------
-const VALID_SERVICES = [
-  "3d-printing",
-  "dtf-transfers",
-  "laser-services",
-  "sublimation",
-];
-
-const VALID_TIMELINES = ["rush", "standard", "flexible", "ongoing"];
-
-const REQUIRED_FIELDS = ["service", "firstName", "lastName", "email", "phone", "quantity", "timeline"];
-
-const OPTIONAL_FIELDS = [
-  "dimensions",
-  "materials",
-  "budget",
-  "description",
-  "referral",
-  "contactMethod",
-  "newsletter",
-];
-
 const MAX_BODY_BYTES = 50_000; // 50 KB
-const RATE_LIMIT_WINDOW_MS = 60_000; // 1 minute
-const RATE_LIMIT_MAX = 10; // requests per window
 
-const EMBED_COLOR = 0x7c3aed; // purple
+// Shopify order payloads carry full line item, tax and address detail
+const MAX_SHOPIFY_BODY_BYTES = 1_000_000; // 1 MB
 
-const SERVICE_LABELS = {
-  "3d-printing": "3D Printing",
-  "dtf-transfers": "DTF Transfers",
-  "laser-services": "Laser Services",
-  "sublimation": "Sublimation",
-};
+// Accepted clock skew for signed webhook timestamps, in seconds
+const SIGNATURE_TOLERANCE_SECONDS =
+  parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
 
-const TIMELINE_LABELS = {
-  rush: "Rush (3-5 days)",
-  standard: "Standard (1-2 weeks)",
-  flexible: "Flexible (2+ weeks)",
-  ongoing: "Ongoing/Multiple Orders",
-};
+const WEBHOOK_NONCES = "webhook-nonces";
 
-// ---------------------------------------------------------------------------
-// Simple in-memory rate limiter (per-IP, resets on cold start)
-// ---------------------------------------------------------------------------
-const rateLimitMap = new Map();
-
-function isRateLimited(ip) {
-  const now = Date.now();
-  const entry = rateLimitMap.get(ip);
-
-  if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
-    rateLimitMap.set(ip, { windowStart: now, count: 1 });
-    return false;
-  }
+// Shopify order id -> our order reference
+const SHOPIFY_ORDER_INDEX = "shopify-orders";
 
-  entry.count += 1;
-  if (entry.count > RATE_LIMIT_MAX) {
-    return true;
-  }
-  return false;
-}
+const EMBED_COLOR = 0x7c3aed; // purple
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -73,105 +43,205 @@ function timestamp() {
   return new Date().toISOString();
 }
 
-function sanitize(str) {
-  if (typeof str !== "string") return String(str ?? "");
-  return str
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-}
-
-function verifySignature(payload, signature, secret) {
-  const expected = crypto
-    .createHmac("sha256", secret)
-    .update(payload)
-    .digest("hex");
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, "hex"),
-    Buffer.from(expected, "hex")
-  );
-}
-
-function postJSON(url, body) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const data = JSON.stringify(body);
-    const req = https.request(
-      {
-        hostname: parsed.hostname,
-        path: parsed.pathname + parsed.search,
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Content-Length": Buffer.byteLength(data),
-        },
-      },
-      (res) => {
-        let chunks = "";
-        res.on("data", (c) => (chunks += c));
-        res.on("end", () => resolve({ status: res.statusCode, body: chunks }));
-      }
-    );
-    req.on("error", reject);
-    req.write(data);
-    req.end();
-  });
-}
-
 // ---------------------------------------------------------------------------
-// Build Discord embed
+// Build team alert
 // ---------------------------------------------------------------------------
-function buildEmbed(data) {
+function buildAlert(data, reference) {
   const fields = [
-    { name: "Name", value: sanitize(`${data.firstName} ${data.lastName}`), inline: true },
-    { name: "Email", value: sanitize(data.email), inline: true },
-    { name: "Phone", value: sanitize(data.phone), inline: true },
-    { name: "Service", value: SERVICE_LABELS[data.service] || sanitize(data.service), inline: true },
-    { name: "Quantity", value: sanitize(String(data.quantity)), inline: true },
-    { name: "Timeline", value: TIMELINE_LABELS[data.timeline] || sanitize(data.timeline), inline: true },
+    { name: "Name", value: `${data.firstName} ${data.lastName}`, inline: true },
+    { name: "Email", value: data.email, inline: true },
+    { name: "Phone", value: data.phone, inline: true },
+    { name: "Service", value: SERVICE_LABELS[data.service] || data.service, inline: true },
+    { name: "Quantity", value: String(data.quantity), inline: true },
+    { name: "Timeline", value: TIMELINE_LABELS[data.timeline] || data.timeline, inline: true },
   ];
 
   if (data.dimensions) {
-    fields.push({ name: "Dimensions", value: sanitize(data.dimensions), inline: true });
+    fields.push({ name: "Dimensions", value: data.dimensions, inline: true });
   }
   if (data.materials) {
-    fields.push({ name: "Material/Color", value: sanitize(data.materials), inline: true });
+    fields.push({ name: "Material/Color", value: data.materials, inline: true });
   }
   if (data.budget) {
-    fields.push({ name: "Budget", value: sanitize(data.budget), inline: true });
+    fields.push({ name: "Budget", value: data.budget, inline: true });
   }
   if (data.contactMethod) {
-    fields.push({ name: "Preferred Contact", value: sanitize(data.contactMethod), inline: true });
+    fields.push({ name: "Preferred Contact", value: data.contactMethod, inline: true });
   }
   if (data.referral) {
-    fields.push({ name: "Referral Source", value: sanitize(data.referral), inline: true });
+    fields.push({ name: "Referral Source", value: data.referral, inline: true });
   }
   if (data.newsletter) {
     fields.push({ name: "Newsletter", value: "Yes", inline: true });
   }
   if (data.description) {
-    fields.push({ name: "Description", value: sanitize(data.description), inline: false });
+    fields.push({ name: "Description", value: data.description, inline: false });
   }
 
   return {
-    embeds: [
-      {
-        title: "New Quote Request",
-        color: EMBED_COLOR,
-        fields,
-        timestamp: new Date().toISOString(),
-        footer: { text: "Poly People Printing Order Webhook" },
-      },
-    ],
+    title: reference ? `New Quote Request — ${reference}` : "New Quote Request",
+    color: EMBED_COLOR,
+    fields,
+    timestamp: new Date().toISOString(),
+    footer: "Poly People Printing Order Webhook",
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Team notification
+// ---------------------------------------------------------------------------
+// Shared tail of both payload formats: send the alert to every route for
+// "order" events and answer the sender with the delivery outcome.
+async function notifyTeam(res, claim, store, alert, reference) {
+  const delivery = await notify(store, "order", alert, { ref: reference });
+  if (Object.keys(delivery).length === 0) {
+    await claim.release();
+    return res.status(503).json({ error: "Webhook destination not configured" });
+  }
+
+  const outcome = summarize(delivery);
+  if (outcome === FAILED) {
+    await claim.release();
+    return res
+      .status(502)
+      .json({ error: "Failed to forward to notification service" });
+  }
+
+  // Queued deliveries are retried by /api/outbox/process
+  const status = outcome === DELIVERED ? 200 : 202;
+  const body = {
+    success: true,
+    reference,
   };
+  await claim.complete(status, body);
+  return res.status(status).json(body);
+}
+
+// ---------------------------------------------------------------------------
+// Shopify orders
+// ---------------------------------------------------------------------------
+// The reference for a Shopify order id, claiming a new one the first time.
+// The index entry is inserted before the order, so concurrent create/paid
+// deliveries agree on one reference. Resolves to { reference, created }.
+async function claimShopifyReference(store, shopifyId) {
+  const id = String(shopifyId);
+  const existing = await store.get(SHOPIFY_ORDER_INDEX, id);
+  if (existing) return { reference: existing.reference, created: false };
+
+  const reference = await nextReference(store, "order");
+  try {
+    await store.insert(SHOPIFY_ORDER_INDEX, { id, reference });
+    return { reference, created: true };
+  } catch (err) {
+    // Another delivery for the same order claimed it first
+    const winner = await store.get(SHOPIFY_ORDER_INDEX, id);
+    if (!winner) throw err;
+    return { reference: winner.reference, created: false };
+  }
+}
+
+// Creates or refreshes the order record; resolves to its reference
+async function saveShopifyOrder(store, orderData, receivedAt) {
+  const { reference, created } = await claimShopifyReference(store, orderData.shopifyId);
+  const refresh = (record) => ({
+    ...record,
+    updatedAt: receivedAt,
+    data: { ...orderData, timestamp: record.data.timestamp },
+  });
+
+  // The delivery that claimed the reference may not have saved the order yet
+  if (!created && (await store.update("orders", reference, refresh))) return reference;
+  try {
+    await store.insert("orders", {
+      id: reference,
+      type: "order",
+      createdAt: receivedAt,
+      ...initialStatus(receivedAt),
+      data: orderData,
+    });
+  } catch (err) {
+    if (created || !(await store.update("orders", reference, refresh))) throw err;
+  }
+  return reference;
+}
+
+// orders/create saves a new order record; orders/paid updates the record for
+// the same Shopify order, or creates one if orders/create never arrived.
+// `rawBody` is the unparsed request Buffer the HMAC covers.
+async function handleShopifyOrder(req, res, rawBody, topic) {
+  // -- Signature validation ------------------------------------------------
+  // Without its own secret the Shopify path would be a way around
+  // WEBHOOK_SECRET, so it's only unsigned when neither is set
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  if (secret) {
+    if (!verifyShopifyHmac(rawBody, req.headers["x-shopify-hmac-sha256"], secret)) {
+      return res.status(401).json({ error: "Invalid Shopify webhook signature" });
+    }
+  } else if (parseSecrets(process.env.WEBHOOK_SECRET).length > 0) {
+    return res.status(503).json({ error: "Shopify webhooks are not configured" });
+  } else {
+    log.warn("No webhook secrets are set — skipping Shopify signature validation (dev mode)");
+  }
+
+  // Acknowledge other topics so Shopify doesn't keep retrying them
+  if (!SHOPIFY_TOPICS.includes(topic)) {
+    return res.status(200).json({ success: true, ignored: topic });
+  }
+
+  // -- Parse & validate body -----------------------------------------------
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  if (!payload || typeof payload !== "object" || !payload.id) {
+    return res.status(400).json({ error: "Shopify order payload is missing its id" });
+  }
+
+  // -- Idempotency ---------------------------------------------------------
+  // Shopify retries a delivery with the same X-Shopify-Webhook-Id
+  let claim;
+  try {
+    claim = await claimRequest("new-order", {
+      key: req.headers["x-shopify-webhook-id"],
+      email: typeof payload.email === "string" ? payload.email : "",
+      fields: { topic, orderId: String(payload.id) },
+    });
+  } catch (err) {
+    if (err instanceof IdempotencyError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+  if (claim.replay) {
+    res.setHeader("Idempotent-Replayed", "true");
+    return res.status(claim.replay.status).json(claim.replay.body);
+  }
+
+  // -- Save order ----------------------------------------------------------
+  const receivedAt = timestamp();
+  const orderData = normalizeShopifyOrder(payload, receivedAt);
+
+  let store = null;
+  let reference = "";
+  try {
+    store = getStore();
+    reference = await saveShopifyOrder(store, orderData, receivedAt);
+  } catch (err) {
+    log.error("Order store error", { err });
+    reference = "";
+  }
+
+  // -- Notify the team -----------------------------------------------------
+  return notifyTeam(res, claim, store, buildShopifyOrderAlert(orderData, reference, topic), reference);
 }
 
 // ---------------------------------------------------------------------------
 // Handler
 // ---------------------------------------------------------------------------
-module.exports = async function handler(req, res) {
+module.exports = withRequestLog("webhooks/new-order", async function handler(req, res) {
   // -- Method check --------------------------------------------------------
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -183,43 +253,61 @@ module.exports = async function handler(req, res) {
     req.socket?.remoteAddress ||
     "unknown";
 
-  if (isRateLimited(ip)) {
-    console.warn(`[${timestamp()}] Rate limited: ${ip}`);
+  const ipLimit = await checkRateLimit("new-order", { ip });
+  setRateLimitHeaders(res, ipLimit);
+  if (!ipLimit.allowed) {
+    log.warn("Rate limited", { ip });
     return res.status(429).json({ error: "Too many requests. Try again later." });
   }
 
-  // -- Body size guard (Vercel parses JSON automatically) ------------------
-  const rawBody =
-    typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+  // -- Read body (signatures cover the raw bytes) --------------------------
+  const shopifyTopic = req.headers["x-shopify-topic"];
+  const maxBytes = shopifyTopic ? MAX_SHOPIFY_BODY_BYTES : MAX_BODY_BYTES;
+
+  let rawBody;
+  try {
+    rawBody = await readRawBody(req, maxBytes);
+  } catch (err) {
+    if (err instanceof UploadError && err.status === 413) {
+      return res.status(413).json({ error: "Payload too large" });
+    }
+    throw err;
+  }
 
-  if (Buffer.byteLength(rawBody, "utf8") > MAX_BODY_BYTES) {
-    return res.status(413).json({ error: "Payload too large" });
+  // -- Shopify order webhooks ----------------------------------------------
+  if (shopifyTopic) {
+    return handleShopifyOrder(req, res, rawBody, shopifyTopic);
   }
 
   // -- Signature validation ------------------------------------------------
-  const secret = process.env.WEBHOOK_SECRET;
-  if (secret) {
-    const signature = req.headers["x-webhook-signature"];
-    if (!signature) {
-      return res.status(401).json({ error: "Missing webhook signature" });
+  const secrets = parseSecrets(process.env.WEBHOOK_SECRET);
+  if (secrets.length > 0) {
+    const check = verifyWebhookSignature(rawBody, req.headers["x-webhook-signature"], secrets, {
+      toleranceSeconds: SIGNATURE_TOLERANCE_SECONDS,
+      allowLegacy: process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES === "true",
+    });
+    if (!check.ok) {
+      return res.status(401).json({ error: check.reason });
     }
-    try {
-      if (!verifySignature(rawBody, signature, secret)) {
-        return res.status(401).json({ error: "Invalid webhook signature" });
+    if (check.legacy) {
+      log.warn("Accepted legacy (replayable) webhook signature", { ip });
+    } else {
+      try {
+        if (!(await consumeNonce(getStore(), WEBHOOK_NONCES, check.nonce, check.expiresAt))) {
+          return res.status(401).json({ error: "Webhook nonce already used" });
+        }
+      } catch (err) {
+        log.error("Webhook nonce store error", { err });
       }
-    } catch {
-      return res.status(401).json({ error: "Invalid webhook signature" });
     }
   } else {
-    console.warn(
-      `[${timestamp()}] WEBHOOK_SECRET is not set — skipping signature validation (dev mode)`
-    );
+    log.warn("WEBHOOK_SECRET is not set — skipping signature validation (dev mode)");
   }
 
   // -- Parse & validate body -----------------------------------------------
   let data;
   try {
-    data = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    data = JSON.parse(rawBody.toString("utf8"));
   } catch {
     return res.status(400).json({ error: "Invalid JSON body" });
   }
@@ -228,52 +316,56 @@ module.exports = async function handler(req, res) {
     return res.status(400).json({ error: "Request body must be a JSON object" });
   }
 
-  const missing = REQUIRED_FIELDS.filter(
-    (f) => data[f] === undefined || data[f] === null || data[f] === ""
-  );
-  if (missing.length > 0) {
-    return res
-      .status(400)
-      .json({ error: `Missing required fields: ${missing.join(", ")}` });
+  const { value, errors } = validate("order", data);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorBody("order", errors));
   }
 
-  if (!VALID_SERVICES.includes(data.service)) {
-    return res.status(400).json({
-      error: `Invalid service. Must be one of: ${VALID_SERVICES.join(", ")}`,
+  // -- Idempotency ---------------------------------------------------------
+  // Sender retries get the original response back
+  let claim;
+  try {
+    claim = await claimRequest("new-order", {
+      key: req.headers["idempotency-key"],
+      email: typeof data.email === "string" ? data.email : "",
+      fields: data,
     });
+  } catch (err) {
+    if (err instanceof IdempotencyError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
   }
-
-  if (!VALID_TIMELINES.includes(data.timeline)) {
-    return res.status(400).json({
-      error: `Invalid timeline. Must be one of: ${VALID_TIMELINES.join(", ")}`,
-    });
+  if (claim.replay) {
+    res.setHeader("Idempotent-Replayed", "true");
+    return res.status(claim.replay.status).json(claim.replay.body);
   }
 
-  // -- Build embed and forward to Discord ----------------------------------
-  const discordUrl = process.env.DISCORD_WEBHOOK_URL_ORDER;
-  if (!discordUrl) {
-    console.error(`[${timestamp()}] DISCORD_WEBHOOK_URL_ORDER is not configured`);
-    return res.status(503).json({ error: "Webhook destination not configured" });
-  }
+  // -- Save order ----------------------------------------------------------
+  const receivedAt = timestamp();
+  const orderData = { timestamp: receivedAt, ...value };
 
+  let store = null;
+  let reference = "";
   try {
-    const embed = buildEmbed(data);
-    const result = await postJSON(discordUrl, embed);
-
-    if (result.status < 200 || result.status >= 300) {
-      console.error(
-        `[${timestamp()}] Discord API error: ${result.status} — ${result.body}`
-      );
-      return res
-        .status(502)
-        .json({ error: "Failed to forward to notification service" });
-    }
-
-    return res.status(200).json({ success: true });
+    store = getStore();
+    reference = await nextReference(store, "order");
+    await store.insert("orders", {
+      id: reference,
+      type: "order",
+      createdAt: receivedAt,
+      ...initialStatus(receivedAt),
+      data: orderData,
+    });
   } catch (err) {
-    console.error(`[${timestamp()}] Discord request failed:`, err.message);
-    return res
-      .status(502)
-      .json({ error: "Failed to forward to notification service" });
+    log.error("Order store error", { err });
+    reference = "";
   }
-};
+
+  // -- Notify the team -----------------------------------------------------
+  return notifyTeam(res, claim, store, buildAlert(orderData, reference), reference);
+});
+
+// Signatures are checked over the exact bytes sent, so Vercel must leave the
+// body unparsed
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,38 @@
+const crypto = require("crypto");
+
+// ---------------------------------------------------------------------------
+// Bearer-token check for admin routes
+// ---------------------------------------------------------------------------
+function tokenMatches(given, token) {
+  // Hash both sides so timingSafeEqual gets equal-length buffers
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Returns null when the request is authorized, otherwise { status, error }.
+// With `allowCron`, Vercel Cron's `Bearer $CRON_SECRET` is accepted too.
+function checkAdminToken(req, { allowCron = false } = {}) {
+  const tokens = [
+    process.env.ADMIN_API_TOKEN,
+    allowCron && process.env.CRON_SECRET,
+  ].filter(Boolean);
+  if (tokens.length === 0) {
+    return { status: 503, error: "Admin API is not configured" };
+  }
+
+  const header = req.headers["authorization"] || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) {
+    return { status: 401, error: "Missing bearer token" };
+  }
+
+  const given = match[1].trim();
+  if (!tokens.some((token) => tokenMatches(given, token))) {
+    return { status: 401, error: "Invalid bearer token" };
+  }
+
+  return null;
+}
+
+module.exports = { checkAdminToken };
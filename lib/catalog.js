@@ -0,0 +1,32 @@
+// ---------------------------------------------------------------------------
+// Services and timelines offered on the quote form
+// ---------------------------------------------------------------------------
+const VALID_SERVICES = [
+  "3d-printing",
+  "dtf-transfers",
+  "laser-services",
+  "sublimation",
+];
+
+const VALID_TIMELINES = ["rush", "standard", "flexible", "ongoing"];
+
+const SERVICE_LABELS = {
+  "3d-printing": "3D Printing",
+  "dtf-transfers": "DTF Transfers",
+  "laser-services": "Laser Services",
+  "sublimation": "Sublimation",
+};
+
+const TIMELINE_LABELS = {
+  rush: "Rush (3-5 days)",
+  standard: "Standard (1-2 weeks)",
+  flexible: "Flexible (2+ weeks)",
+  ongoing: "Ongoing/Multiple Orders",
+};
+
+module.exports = {
+  VALID_SERVICES,
+  VALID_TIMELINES,
+  SERVICE_LABELS,
+  TIMELINE_LABELS,
+};
@@ -0,0 +1,101 @@
+const { INTENT_SCORE, prepareText, scoreEntry, confidence } = require("./text-match");
+
+// ---------------------------------------------------------------------------
+// Contact message topics
+//
+// Each contact message is classified from its subject and message (scored
+// with lib/text-match) and notified as a "contact.<topic>" event, so every
+// topic can have its own channel or inbox; see lib/notifier. Messages that
+// don't clearly match a topic are "general". The auto-reply adds the
+// topic's copy from templates/email/contact-confirmation/topics/.
+// ---------------------------------------------------------------------------
+const DEFAULT_TOPIC = "general";
+
+const CONTACT_TOPICS = {
+  wholesale: {
+    label: "Wholesale/Bulk",
+    intents: [
+      /\b(wholesale|bulk)\b/,
+      /\b(stock|carry|sell) (your|their) (products|items|stickers|designs|work|prints)\b/,
+      /\b(large|big|volume|recurring|repeat) (order|orders|run|runs|batch)\b/,
+      /\b(hundreds|thousands) of\b/,
+      /\b[1-9]\d{2,} (pieces|pcs|units|shirts|mugs|items|prints|stickers|transfers|keychains)\b/,
+      /\b(to )?(resell|resale)\b/,
+      /\b(for|in) (my|our) (shop|store|boutique|business)\b/,
+    ],
+    keywords: ["wholesale", "bulk", "reseller", "resell", "distributor", "volume", "pallet", "merch", "inventory"],
+  },
+  "order-problem": {
+    label: "Order Problem",
+    intents: [
+      /\b(my|our|the) (order|package|shipment|delivery|print|prints|shirt|shirts)\b.*\b(never|hasnt|has not|didnt|did not|wrong|damaged|broken|late|missing)\b/,
+      /\b(wrong|damaged|broken|defective|missing|faded|peeling|cracked) (item|items|order|print|prints|color|size|shirt|shirts|transfer|transfers|part|parts)\b/,
+      // Refund/return words only count alongside order context; on their own
+      // they're too common ("return gift", "exchange ideas")
+      /\b(refund|return|replacement|reprint|exchange)\b.*\b(order|package|shipment|delivery|arrived|damaged|broken|defective|wrong|missing)\b/,
+      /\b(order|package|shipment|delivery|arrived|damaged|broken|defective|wrong|missing)\b.*\b(refund|return|replacement|reprint|exchange)\b/,
+      /\b(want|need|like|request|requesting|get|getting) (a )?(refund|replacement|reprint)\b/,
+      /\bwhere is my\b/,
+      /\b(hasnt|has not|havent|have not|never) (arrived|shipped|received|come)\b/,
+      /\border (number|#|no)\b/,
+    ],
+    keywords: ["refund", "return", "damaged", "broken", "defective", "wrong", "missing", "late", "tracking", "complaint", "issue", "problem"],
+  },
+  press: {
+    label: "Press/Partnership",
+    intents: [
+      /\b(press|media) (inquiry|request|kit|release)\b/,
+      /\b(interview|feature|profile) (you|your|us)\b/,
+      /\b(podcast|magazine|newspaper|journalist|reporter)\b/,
+      /\b(partner|partnership|collaborate|collaboration|collab|sponsor|sponsorship)\b/,
+      /\b(work|team) (together|up) with\b/,
+      /\b(vendor|booth) (at|for) (our|the|a)\b/,
+    ],
+    keywords: ["press", "media", "journalist", "reporter", "interview", "podcast", "partnership", "collaboration", "sponsor", "influencer", "event"],
+  },
+  jobs: {
+    label: "Job Inquiry",
+    intents: [
+      /\b(are|r) (you|u) hiring\b/,
+      /\b(job|jobs|position|positions|openings|internship|apprenticeship) (at|with|for|available|opening|openings)\b/,
+      /\b(my|attached) (resume|cv|portfolio)\b/,
+      /\b(apply|applying) (for|to)\b/,
+      /\bwork (for|at) (you|your|poly)\b/,
+    ],
+    keywords: ["hiring", "job", "jobs", "resume", "cv", "internship", "intern", "career", "careers", "apply", "employment", "position"],
+  },
+  general: {
+    label: "General Question",
+    intents: [],
+    keywords: [],
+  },
+};
+
+// A topic needs at least one intent, or several keywords, to win over
+// "general"
+const MIN_SCORE = INTENT_SCORE;
+const FULL_CONFIDENCE_SCORE = 6;
+
+// Returns { topic, confidence }; "general" has confidence 0
+function classifyContact({ subject = "", message = "" }) {
+  const prepared = prepareText(`${subject}\n${message}`);
+  let best = { topic: DEFAULT_TOPIC, score: 0 };
+  for (const [topic, entry] of Object.entries(CONTACT_TOPICS)) {
+    const score = scoreEntry(entry, prepared);
+    if (score >= MIN_SCORE && score > best.score) best = { topic, score };
+  }
+  return { topic: best.topic, confidence: confidence(best.score, FULL_CONFIDENCE_SCORE) };
+}
+
+// Notification event for a topic, e.g. "contact.wholesale"; unknown topics
+// notify as general
+function contactEvent(topic) {
+  return `contact.${CONTACT_TOPICS[topic] ? topic : DEFAULT_TOPIC}`;
+}
+
+module.exports = {
+  DEFAULT_TOPIC,
+  CONTACT_TOPICS,
+  classifyContact,
+  contactEvent,
+};
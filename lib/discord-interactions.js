@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const { DEFAULT_TOLERANCE_SECONDS } = require("./webhook-signature");
+
+// ---------------------------------------------------------------------------
+// Discord interactions (buttons and modals on our webhook messages)
+//
+// Discord signs each request with the application's Ed25519 key: the
+// signature in X-Signature-Ed25519 covers X-Signature-Timestamp + raw body.
+// Timestamps outside the same window as lib/webhook-signature are refused,
+// so a captured request can't be replayed later. Discord also expects a
+// response within 3 seconds.
+// DISCORD_PUBLIC_KEY is the hex "Public Key" from the app's General
+// Information page.
+// ---------------------------------------------------------------------------
+const INTERACTION_TYPES = {
+  PING: 1,
+  MESSAGE_COMPONENT: 3,
+  MODAL_SUBMIT: 5,
+};
+
+const RESPONSE_TYPES = {
+  PONG: 1,
+  CHANNEL_MESSAGE: 4,
+  UPDATE_MESSAGE: 7,
+  MODAL: 9,
+};
+
+const EPHEMERAL = 1 << 6;
+
+// SPKI DER prefix for a raw 32-byte Ed25519 public key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+let cachedKey = null;
+
+function publicKey(hex) {
+  if (!cachedKey || cachedKey.hex !== hex) {
+    cachedKey = {
+      hex,
+      key: crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hex, "hex")]),
+        format: "der",
+        type: "spki",
+      }),
+    };
+  }
+  return cachedKey.key;
+}
+
+// `rawBody` is the request body Buffer exactly as received; `timestamp` is
+// in unix seconds
+function verifyInteraction(rawBody, signature, timestamp, publicKeyHex, now = Date.now()) {
+  if (!signature || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+  if (!/^\d+$/.test(timestamp || "") || !Buffer.isBuffer(rawBody)) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > DEFAULT_TOLERANCE_SECONDS) return false;
+  try {
+    return crypto.verify(
+      null,
+      Buffer.concat([Buffer.from(timestamp, "utf8"), rawBody]),
+      publicKey(publicKeyHex),
+      Buffer.from(signature, "hex")
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Only the clicking user sees this reply
+function ephemeral(content) {
+  return { type: RESPONSE_TYPES.CHANNEL_MESSAGE, data: { content, flags: EPHEMERAL } };
+}
+
+// The user who clicked: guild interactions carry a member, DMs a user
+function interactionUser(interaction) {
+  const user = interaction.member?.user || interaction.user || {};
+  return {
+    id: user.id,
+    name: user.global_name || user.username || "unknown",
+    roles: interaction.member?.roles || [],
+  };
+}
+
+module.exports = {
+  INTERACTION_TYPES,
+  RESPONSE_TYPES,
+  verifyInteraction,
+  ephemeral,
+  interactionUser,
+};
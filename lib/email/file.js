@@ -0,0 +1,38 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildMime } = require("./mime");
+const { log } = require("../log");
+
+// ---------------------------------------------------------------------------
+// Local capture sink
+//
+// Writes each message as an .eml file into a maildir (tmp/ -> new/), so it
+// can be opened in a mail client or read by tests. Needs no credentials.
+// ---------------------------------------------------------------------------
+function sinkDir() {
+  return process.env.EMAIL_SINK_DIR || path.join(os.tmpdir(), "ppp-mail");
+}
+
+function isConfigured() {
+  return true;
+}
+
+async function deliver(message) {
+  const dir = sinkDir();
+  await Promise.all(
+    ["tmp", "new", "cur"].map((sub) => fs.promises.mkdir(path.join(dir, sub), { recursive: true }))
+  );
+
+  // Maildir naming: <time>.<unique>.<host>; written to tmp/ then renamed so
+  // readers never see a partial file
+  const name = `${Date.now()}.${process.pid}_${crypto.randomUUID()}.${os.hostname()}.eml`;
+  await fs.promises.writeFile(path.join(dir, "tmp", name), buildMime(message));
+  await fs.promises.rename(path.join(dir, "tmp", name), path.join(dir, "new", name));
+
+  log.info("Email captured", { to: message.to.map((t) => t.email), file: path.join(dir, "new", name) });
+  return { ok: true };
+}
+
+module.exports = { isConfigured, deliver };
@@ -0,0 +1,91 @@
+const { send } = require("../outbox");
+const { log } = require("../log");
+
+// ---------------------------------------------------------------------------
+// Email transport
+//
+// Handlers build a provider-neutral message:
+//   { from: { email, name }, to: [{ email, name }], replyTo?, subject,
+//     html, text?, attachments?: [{ filename, type, content (base64) }] }
+// and queue it with sendEmail(). The outbox calls deliver() on every attempt,
+// which uses EMAIL_PROVIDER and, if that fails, EMAIL_FAILOVER_PROVIDER.
+// Provider credentials are read at send time and never stored.
+// ---------------------------------------------------------------------------
+const PROVIDERS = {
+  sendgrid: () => require("./sendgrid"),
+  smtp: () => require("./smtp"),
+  postmark: () => require("./postmark"),
+  mailgun: () => require("./mailgun"),
+  file: () => require("./file"),
+};
+
+function providerNames() {
+  const primary = (process.env.EMAIL_PROVIDER || "sendgrid").toLowerCase();
+  const failover = (process.env.EMAIL_FAILOVER_PROVIDER || "").toLowerCase();
+  const names = failover && failover !== primary ? [primary, failover] : [primary];
+  for (const name of names) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown email provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+  }
+  return names;
+}
+
+// Configured providers in the order they should be tried
+function activeProviders() {
+  return providerNames()
+    .map((name) => ({ name, transport: PROVIDERS[name]() }))
+    .filter(({ transport }) => transport.isConfigured());
+}
+
+function isEmailConfigured() {
+  try {
+    return activeProviders().length > 0;
+  } catch (err) {
+    log.error("Email config error", { err });
+    return false;
+  }
+}
+
+// Outbox delivery hook; resolves to { ok, retryable, delayMs, error }.
+// `options.timeoutMs` caps each provider's attempt.
+async function deliver(message, options) {
+  const providers = activeProviders();
+  if (providers.length === 0) {
+    return { ok: false, retryable: false, error: "No email provider configured" };
+  }
+
+  const failures = [];
+  let retryable = false;
+  let delayMs = null;
+  for (const { name, transport } of providers) {
+    let outcome;
+    try {
+      outcome = await transport.deliver(message, options);
+    } catch (err) {
+      outcome = { ok: false, retryable: true, error: err.message };
+    }
+    if (outcome.ok) {
+      if (failures.length > 0) {
+        log.warn("Email delivered via failover provider", { provider: name, failures });
+      }
+      return outcome;
+    }
+    failures.push(`${name}: ${outcome.error}`);
+    retryable = retryable || outcome.retryable;
+    if (outcome.delayMs) delayMs = outcome.delayMs;
+  }
+  return { ok: false, retryable, delayMs, error: failures.join("; ") };
+}
+
+// Queues a message through the outbox. Resolves to "delivered", "queued" or
+// "failed" like the other notification channels; see send() for `queueOnly`.
+function sendEmail(store, message, { channel = "email", ref, queueOnly } = {}) {
+  return send(store, { channel, transport: "email", payload: message, ref, queueOnly });
+}
+
+module.exports = {
+  isEmailConfigured,
+  deliver,
+  sendEmail,
+};
@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+const { postRaw, deliveryOutcome } = require("../http");
+const { formatAddress } = require("./mime");
+
+// ---------------------------------------------------------------------------
+// Mailgun Messages API
+// ---------------------------------------------------------------------------
+const API_HOSTS = {
+  us: "https://api.mailgun.net",
+  eu: "https://api.eu.mailgun.net",
+};
+
+function isConfigured() {
+  return Boolean(process.env.MAILGUN_API_KEY && process.env.MAILGUN_DOMAIN);
+}
+
+// Mailgun only takes form posts; multipart carries the attachments too
+function encodeForm(fields, files) {
+  const boundary = `----ppp${crypto.randomBytes(12).toString("hex")}`;
+  const chunks = [];
+  for (const [name, value] of fields) {
+    chunks.push(
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+    );
+  }
+  for (const file of files) {
+    const filename = file.filename.replace(/["\\\r\n]/g, "_");
+    chunks.push(
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="attachment"; filename="${filename}"\r\n` +
+          `Content-Type: ${file.type || "application/octet-stream"}\r\n\r\n`
+      ),
+      Buffer.from(file.content, "base64"),
+      Buffer.from("\r\n")
+    );
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+async function deliver(message, options) {
+  const fields = [
+    ["from", formatAddress(message.from)],
+    ...message.to.map((to) => ["to", formatAddress(to)]),
+    ["subject", message.subject],
+  ];
+  if (message.replyTo) fields.push(["h:Reply-To", formatAddress(message.replyTo)]);
+  if (message.text) fields.push(["text", message.text]);
+  if (message.html) fields.push(["html", message.html]);
+
+  const { body, contentType } = encodeForm(fields, message.attachments || []);
+  const host = API_HOSTS[(process.env.MAILGUN_REGION || "us").toLowerCase()] || API_HOSTS.us;
+  const auth = Buffer.from(`api:${process.env.MAILGUN_API_KEY}`).toString("base64");
+
+  const result = await postRaw(
+    `${host}/v3/${encodeURIComponent(process.env.MAILGUN_DOMAIN)}/messages`,
+    body,
+    { "Content-Type": contentType, Authorization: `Basic ${auth}` },
+    options
+  );
+  return deliveryOutcome(result);
+}
+
+module.exports = { isConfigured, deliver };
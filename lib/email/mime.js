@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+
+// ---------------------------------------------------------------------------
+// RFC 5322 / MIME rendering for the SMTP and file transports
+//
+// Bodies are base64-encoded so the message stays 7-bit clean whatever the
+// content; lines are CRLF-terminated.
+// ---------------------------------------------------------------------------
+function encodeWord(text) {
+  // Only non-ASCII header text needs RFC 2047 encoding
+  return /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`;
+}
+
+function formatAddress({ email, name }) {
+  if (!name) return `<${email}>`;
+  const display = /^[\x20-\x7e]*$/.test(name)
+    ? `"${name.replace(/["\\]/g, "\\$&")}"`
+    : encodeWord(name);
+  return `${display} <${email}>`;
+}
+
+function base64Lines(content) {
+  const encoded = Buffer.isBuffer(content) ? content.toString("base64") : content;
+  return encoded.match(/.{1,76}/g)?.join("\r\n") || "";
+}
+
+function textPart(type, body) {
+  return [
+    `Content-Type: ${type}; charset=UTF-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(Buffer.from(body, "utf8")),
+  ].join("\r\n");
+}
+
+function multipart(subtype, parts) {
+  const boundary = `=_ppp_${crypto.randomBytes(12).toString("hex")}`;
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    "",
+    ...parts.map((part) => `--${boundary}\r\n${part}`),
+    `--${boundary}--`,
+  ].join("\r\n");
+}
+
+// `message` is the provider-neutral shape built by lib/notifications:
+// { from, to[], replyTo?, subject, html, text?, attachments?[] } where
+// attachment content is base64.
+function buildMime(message) {
+  const domain = message.from.email.split("@")[1] || "localhost";
+  const headers = [
+    `From: ${formatAddress(message.from)}`,
+    `To: ${message.to.map(formatAddress).join(", ")}`,
+    ...(message.replyTo ? [`Reply-To: ${formatAddress(message.replyTo)}`] : []),
+    `Subject: ${encodeWord(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+  ];
+
+  const bodies = [];
+  if (message.text) bodies.push(textPart("text/plain", message.text));
+  if (message.html) bodies.push(textPart("text/html", message.html));
+  let body = bodies.length === 1 ? bodies[0] : multipart("alternative", bodies);
+
+  if (message.attachments?.length) {
+    body = multipart("mixed", [
+      body,
+      ...message.attachments.map((a) => {
+        const filename = a.filename.replace(/["\\\r\n]/g, "_");
+        return [
+          `Content-Type: ${a.type || "application/octet-stream"}; name="${filename}"`,
+          "Content-Transfer-Encoding: base64",
+          `Content-Disposition: attachment; filename="${filename}"`,
+          "",
+          base64Lines(a.content),
+        ].join("\r\n");
+      }),
+    ]);
+  }
+
+  return `${headers.join("\r\n")}\r\n${body}\r\n`;
+}
+
+module.exports = {
+  formatAddress,
+  buildMime,
+};
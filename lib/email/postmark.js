@@ -0,0 +1,45 @@
+const { postJSON, deliveryOutcome } = require("../http");
+const { formatAddress } = require("./mime");
+
+// ---------------------------------------------------------------------------
+// Postmark
+// ---------------------------------------------------------------------------
+const POSTMARK_URL = "https://api.postmarkapp.com/email";
+
+function isConfigured() {
+  return Boolean(process.env.POSTMARK_SERVER_TOKEN);
+}
+
+function toPayload(message) {
+  return {
+    From: formatAddress(message.from),
+    To: message.to.map(formatAddress).join(", "),
+    ...(message.replyTo && { ReplyTo: formatAddress(message.replyTo) }),
+    Subject: message.subject,
+    ...(message.html && { HtmlBody: message.html }),
+    ...(message.text && { TextBody: message.text }),
+    MessageStream: process.env.POSTMARK_MESSAGE_STREAM || "outbound",
+    ...(message.attachments?.length && {
+      Attachments: message.attachments.map((a) => ({
+        Name: a.filename,
+        Content: a.content,
+        ContentType: a.type || "application/octet-stream",
+      })),
+    }),
+  };
+}
+
+async function deliver(message, options) {
+  const result = await postJSON(
+    POSTMARK_URL,
+    toPayload(message),
+    {
+      Accept: "application/json",
+      "X-Postmark-Server-Token": process.env.POSTMARK_SERVER_TOKEN,
+    },
+    options
+  );
+  return deliveryOutcome(result);
+}
+
+module.exports = { isConfigured, deliver };
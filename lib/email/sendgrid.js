@@ -0,0 +1,44 @@
+const { postJSON, deliveryOutcome } = require("../http");
+
+// ---------------------------------------------------------------------------
+// SendGrid v3 Mail Send
+// ---------------------------------------------------------------------------
+const SENDGRID_URL = "https://api.sendgrid.com/v3/mail/send";
+
+function isConfigured() {
+  return Boolean(process.env.SENDGRID_API_KEY);
+}
+
+function toPayload(message) {
+  // SendGrid requires text/plain to come before text/html
+  const content = [];
+  if (message.text) content.push({ type: "text/plain", value: message.text });
+  if (message.html) content.push({ type: "text/html", value: message.html });
+
+  return {
+    personalizations: [{ to: message.to, subject: message.subject }],
+    from: message.from,
+    ...(message.replyTo && { reply_to: message.replyTo }),
+    content,
+    ...(message.attachments?.length && {
+      attachments: message.attachments.map((a) => ({
+        content: a.content,
+        filename: a.filename,
+        type: a.type,
+        disposition: "attachment",
+      })),
+    }),
+  };
+}
+
+async function deliver(message, options) {
+  const result = await postJSON(
+    SENDGRID_URL,
+    toPayload(message),
+    { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+    options
+  );
+  return deliveryOutcome(result);
+}
+
+module.exports = { isConfigured, deliver };
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const { escapeHtml } = require("../escape");
+
+// ---------------------------------------------------------------------------
+// Email templates
+//
+// Each email is a directory under templates/email/ holding subject.txt,
+// body.html and body.txt, plus optional partials. Templates use a small
+// Mustache subset:
+//   {{name}}              value (dotted paths allowed)
+//   {{{name}}}            value inserted as-is (pre-rendered markup)
+//   {{#name}}…{{/name}}   section: shown when truthy, repeated for arrays
+//   {{^name}}…{{/name}}   inverted section: shown when falsy or empty
+//   {{> partial}}         another file from the same directory, same format
+// Partials can be remapped per render, e.g. { service: "services/laser" },
+// and a missing partial renders as nothing.
+// ---------------------------------------------------------------------------
+const TEMPLATE_DIR = path.join(__dirname, "..", "..", "templates", "email");
+
+const TAG = /\{\{(\{)?\s*([#^/>]?)\s*([\w./-]+)\s*\}?\}\}/g;
+
+// Lines holding only a section or partial tag shouldn't leave a blank line
+const STANDALONE = /^[ \t]*(\{\{\s*[#^/>][^}]*\}\})[ \t]*\r?\n/gm;
+
+class TemplateError extends Error {}
+
+// Values are stored raw, so {{name}} is HTML-escaped in .html templates and
+// inserted as-is in plain text
+const FORMATS = {
+  html: { ext: ".html", escape: escapeHtml },
+  text: { ext: ".txt", escape: (value) => value },
+};
+
+// ---------------------------------------------------------------------------
+// Loading and parsing (parsed templates are cached per process)
+// ---------------------------------------------------------------------------
+const cache = new Map();
+
+function load(file) {
+  if (!cache.has(file)) {
+    const full = path.join(TEMPLATE_DIR, file);
+    if (!full.startsWith(TEMPLATE_DIR + path.sep)) throw new TemplateError(`Invalid template path ${file}`);
+    let source = null;
+    try {
+      source = fs.readFileSync(full, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    cache.set(file, source === null ? null : parse(source.replace(STANDALONE, "$1"), file));
+  }
+  return cache.get(file);
+}
+
+function parse(source, file) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  for (const match of source.matchAll(TAG)) {
+    const [tag, triple, kind, name] = match;
+    const node = stack[stack.length - 1];
+    if (match.index > last) node.children.push({ text: source.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (kind === "#" || kind === "^") {
+      const section = { section: name, inverted: kind === "^", children: [] };
+      node.children.push(section);
+      stack.push(section);
+    } else if (kind === "/") {
+      if (node.section !== name) throw new TemplateError(`${file}: unexpected {{/${name}}}`);
+      stack.pop();
+    } else if (kind === ">") {
+      node.children.push({ partial: name });
+    } else {
+      node.children.push({ name, raw: Boolean(triple) });
+    }
+  }
+  if (stack.length > 1) throw new TemplateError(`${file}: unclosed {{#${stack[stack.length - 1].section}}}`);
+  if (last < source.length) root.children.push({ text: source.slice(last) });
+  return root.children;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+function lookup(contexts, name) {
+  if (name === ".") return contexts[contexts.length - 1];
+  const [head, ...rest] = name.split(".");
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const ctx = contexts[i];
+    if (ctx !== null && typeof ctx === "object" && head in ctx) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, contexts, env) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += node.text;
+    } else if (node.section) {
+      const value = lookup(contexts, node.section);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) {
+        if (empty) out += renderNodes(node.children, contexts, env);
+      } else if (!empty) {
+        const items = Array.isArray(value) ? value : [value];
+        for (const item of items) {
+          out += renderNodes(node.children, [...contexts, item], env);
+        }
+      }
+    } else if (node.partial) {
+      const target = env.partials[node.partial] || node.partial;
+      const partial = load(path.join(env.dir, target + env.format.ext));
+      if (partial) out += renderNodes(partial, contexts, env);
+    } else {
+      const value = lookup(contexts, node.name);
+      if (value === undefined || value === null) continue;
+      out += node.raw ? String(value) : env.format.escape(String(value));
+    }
+  }
+  return out;
+}
+
+function renderFile(dir, file, format, context, partials) {
+  const nodes = load(path.join(dir, file));
+  if (!nodes) throw new TemplateError(`Missing email template ${dir}/${file}`);
+  return renderNodes(nodes, [context], { dir, format, partials });
+}
+
+// Renders templates/email/<name>/ into the subject/html/text parts of a
+// neutral email message
+function renderEmail(name, context, { partials = {} } = {}) {
+  return {
+    subject: renderFile(name, "subject.txt", FORMATS.text, context, partials).trim(),
+    html: renderFile(name, "body.html", FORMATS.html, context, partials),
+    text: renderFile(name, "body.txt", FORMATS.text, context, partials),
+  };
+}
+
+module.exports = {
+  TemplateError,
+  renderEmail,
+};
@@ -0,0 +1,62 @@
+// ---------------------------------------------------------------------------
+// Text cleanup and per-channel escaping
+//
+// Submissions are stored as the customer typed them (trimmed, length-capped,
+// control characters removed). Escaping happens when a value is rendered:
+// escapeHtml() for email bodies, escapeMarkdown() for Discord,
+// escapeMrkdwn() for Slack and escapeTeamsMarkdown() for Teams cards.
+// ---------------------------------------------------------------------------
+
+// Everything below 0x20 except tab and newline, plus DEL and the C1 range
+const CONTROL_CHARS = /[\x00-\x08\x0b-\x1f\x7f-\x9f]/g;
+
+function cleanText(value, { max = 1000, multiline = false } = {}) {
+  if (value === undefined || value === null) return "";
+  let text = String(value).replace(/\r\n?/g, "\n").replace(CONTROL_CHARS, "");
+  text = multiline ? text.replace(/\n{3,}/g, "\n\n") : text.replace(/\s+/g, " ");
+  return text.trim().substring(0, max).trim();
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Discord renders Markdown in embed titles and field values, including
+// masked links, and resolves <@id>, <#id> and <t:…> tags. A zero-width space
+// also defuses @everyone/@here if the text ever ends up in message content.
+function escapeMarkdown(value) {
+  return String(value)
+    .replace(/[\\*_~`|[\]<>]/g, "\\$&")
+    .replace(/^(\s*)(#{1,3} |-# |[-+] )/gm, "$1\\$2")
+    .replace(/^(\s*\d+)\. /gm, "$1\\. ")
+    .replace(/@(everyone|here)/gi, "@\u200b$1");
+}
+
+// Slack mrkdwn only needs &, < and > escaped; <!channel> and friends can't be
+// formed without them
+function escapeMrkdwn(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Adaptive Card TextBlocks and FactSet values in Teams render a Markdown
+// subset: emphasis, [links](url) and lists. Backslash escapes keep the text
+// literal.
+function escapeTeamsMarkdown(value) {
+  return String(value)
+    .replace(/[\\*_~`[\]]/g, "\\$&")
+    .replace(/^(\s*)([-+] )/gm, "$1\\$2")
+    .replace(/^(\s*\d+)\. /gm, "$1\\. ");
+}
+
+module.exports = {
+  cleanText,
+  escapeHtml,
+  escapeMarkdown,
+  escapeMrkdwn,
+  escapeTeamsMarkdown,
+};
@@ -0,0 +1,134 @@
+const { INTENT_SCORE, prepareText, scoreEntry, confidence } = require("./text-match");
+
+// ---------------------------------------------------------------------------
+// FAQ knowledge base and matching
+//
+// Contact messages are scored against each entry with lib/text-match:
+// intents are regexes for the ways people actually ask the question ("how
+// long", "do you ship"), keywords are topic words. A message phrased as a
+// question gets QUESTION_BONUS on entries that already matched something.
+// Entries scoring MIN_SCORE or more are matches; confidence is the score
+// over FULL_CONFIDENCE_SCORE, capped at 1. Answers mirror the FAQ section on
+// public/poly-contact.html, so keep the two in sync.
+// ---------------------------------------------------------------------------
+const FAQ_ENTRIES = {
+  hours: {
+    title: "Hours",
+    question: "When are you open?",
+    answer:
+      "We're open Monday through Friday, 9am to 6pm PST. Local pickup is available in Auburn, WA.",
+    intents: [
+      /\bwhen (are|r) (you|u) open\b/,
+      /\b(are|r) (you|u) open\b/,
+      /\b(business|opening|shop|store|studio) hours\b/,
+      /\bwhat (are|r) (your|ur) hours\b/,
+      /\bopen (on )?(today|tomorrow|weekends?|saturdays?|sundays?)\b/,
+      /\b(stop|come) by\b/,
+    ],
+    keywords: ["hours", "open", "closed", "weekend", "weekends", "saturday", "sunday", "visit"],
+  },
+  turnaround: {
+    title: "Turnaround",
+    question: "What's your typical turnaround time?",
+    answer:
+      "Most projects are completed within 1-2 weeks. Rush orders (3-5 days) are available for an additional fee. We'll give you an accurate timeline with your quote!",
+    intents: [
+      /\bhow (long|soon|quickly|fast)\b/,
+      /\bturn ?around\b/,
+      /\blead times?\b/,
+      /\brush (order|job|service|fee)s?\b/,
+      /\b(need|want|get) (it|them|this|these|those) by\b/,
+      /\bready (by|in time)\b/,
+      /\bin time for\b/,
+    ],
+    keywords: ["rush", "deadline", "urgent", "asap", "soon", "quickly", "days", "weeks"],
+  },
+  shipping: {
+    title: "Shipping & pickup",
+    question: "Can you ship nationwide?",
+    answer: "Absolutely! We ship anywhere in the US. Local pickup is also available in Auburn, WA.",
+    intents: [
+      /\b(do|can|will) (you|u) (ship|mail|deliver)\b/,
+      /\bship(ping)? (it |them )?to\b/,
+      /\bshipping (cost|costs|rates?|options?|times?)\b/,
+      /\b(local )?pick ?up\b/,
+      /\bdeliver(y)? to\b/,
+    ],
+    keywords: ["ship", "shipping", "shipped", "delivery", "deliver", "mail", "pickup", "usps", "ups", "fedex", "international"],
+  },
+  "file-formats": {
+    title: "File formats",
+    question: "What file formats do you accept?",
+    answer:
+      "For 3D printing: STL, OBJ. For graphics: PNG, JPG, PDF, AI, SVG. Don't have the right format? We can help convert or create files from your ideas!",
+    intents: [
+      /\b(file|image|artwork|art|design|logo) (formats?|types?)\b/,
+      /\bwhat (kind|type|sort)s? of (files?|formats?|artwork)\b/,
+      /\bwhat (files?|formats?)\b/,
+      /\b(accept|take|use|send|need) (an? )?(stl|obj|png|jpe?g|pdf|ai|svg|vector)s?\b/,
+      /\b(send|upload|attach) (my |the |a |an )?(file|files|design|artwork|logo)\b/,
+    ],
+    keywords: ["stl", "obj", "png", "jpg", "jpeg", "pdf", "svg", "vector", "illustrator", "dpi", "resolution", "format", "formats", "file", "files"],
+  },
+  minimums: {
+    title: "Minimum order",
+    question: "Do you have a minimum order quantity?",
+    answer: "Nope! We're happy to make just one custom item or hundreds. Every project matters to us.",
+    intents: [
+      /\bminimum( order| quantity| qty| amount)?\b/,
+      /\bmoq\b/,
+      /\b(just|only) (one|1|a single|a couple|a few|two|2)\b/,
+      /\b(a )?single (item|piece|shirt|print|one)\b/,
+      /\bhow many do i (have|need) to\b/,
+      /\bone[ -]off\b/,
+    ],
+    keywords: ["minimum", "minimums", "moq", "single", "bulk", "wholesale", "quantity"],
+  },
+  pricing: {
+    title: "Pricing",
+    question: "How much will my project cost?",
+    answer:
+      "Every project is priced individually based on the service, quantity, size and timeline. Our quote form shows an instant estimate as you fill it in, and we'll follow up with an exact quote once we've reviewed your request.",
+    intents: [
+      /\bhow much\b/,
+      /\bwhat (does|do|would|will|did) (it|this|that|they|these|those) cost\b/,
+      /\b(whats|what (is|are)) (the |your |ur )?(prices?|pricing|costs?|rates?)\b/,
+      /\b(can|could) (i|we) get (a |an )?(price|quote|estimate)\b/,
+      /\bprice (list|range)\b/,
+      /\b(price|pricing|cost|rates?) (of|for|per|on)\b/,
+      /\b(quote|estimate) (for|on)\b/,
+      /\bper (item|unit|piece|shirt|print)\b/,
+      /\b(bulk|volume|quantity) discounts?\b/,
+    ],
+    keywords: ["price", "prices", "pricing", "cost", "costs", "quote", "estimate", "budget", "cheap", "affordable", "expensive", "discount", "rate", "rates"],
+  },
+};
+
+const QUESTION_BONUS = 1;
+const MIN_SCORE = INTENT_SCORE;
+const FULL_CONFIDENCE_SCORE = 6;
+
+// Answers quoted in the auto-reply; more than this reads like a form letter
+const MAX_MATCHES = 2;
+
+// Best-matching entries for a message, strongest first:
+// [{ id, confidence }] with confidence in 0-1
+function matchFAQ(message) {
+  const prepared = prepareText(message);
+  if (!prepared.text) return [];
+
+  return Object.entries(FAQ_ENTRIES)
+    .map(([id, entry]) => {
+      const score = scoreEntry(entry, prepared);
+      return { id, score: score > 0 && prepared.isQuestion ? score + QUESTION_BONUS : score };
+    })
+    .filter((match) => match.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES)
+    .map(({ id, score }) => ({ id, confidence: confidence(score, FULL_CONFIDENCE_SCORE) }));
+}
+
+module.exports = {
+  FAQ_ENTRIES,
+  matchFAQ,
+};
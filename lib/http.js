@@ -0,0 +1,81 @@
+const http = require("http");
+const https = require("https");
+
+// ---------------------------------------------------------------------------
+// HTTP helper (uses built-in http/https modules)
+// ---------------------------------------------------------------------------
+const REQUEST_TIMEOUT_MS = 10_000;
+
+// POSTs a string or Buffer body; resolves to { status, body, headers }.
+// `timeoutMs` shortens the socket timeout for callers that can't wait long.
+function postRaw(url, data, headers, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const reqHeaders = {
+      "Content-Length": Buffer.byteLength(data),
+      ...headers,
+    };
+    // Plain http is only used for local test servers
+    const transport = parsed.protocol === "http:" ? http : https;
+    const req = transport.request(
+      {
+        hostname: parsed.hostname,
+        port: parsed.port || undefined,
+        path: parsed.pathname + parsed.search,
+        method: "POST",
+        headers: reqHeaders,
+        timeout: timeoutMs,
+      },
+      (res) => {
+        let chunks = "";
+        res.on("data", (c) => (chunks += c));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, body: chunks, headers: res.headers })
+        );
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Request timed out")));
+    req.on("error", reject);
+    req.write(data);
+    req.end();
+  });
+}
+
+function postJSON(url, body, headers, options) {
+  return postRaw(url, JSON.stringify(body), { "Content-Type": "application/json", ...headers }, options);
+}
+
+// ---------------------------------------------------------------------------
+// Delivery outcomes
+// ---------------------------------------------------------------------------
+// Discord sends `retry_after` (seconds, may be fractional) in the 429 body
+// and a Retry-After header; SendGrid and the other email APIs only send the
+// header.
+function retryAfterMs(result) {
+  try {
+    const body = JSON.parse(result.body);
+    if (typeof body.retry_after === "number") {
+      return Math.ceil(body.retry_after * 1000);
+    }
+  } catch {
+    // not JSON
+  }
+  const header = Number(result.headers?.["retry-after"]);
+  return Number.isFinite(header) ? Math.ceil(header * 1000) : null;
+}
+
+// Maps a webhook/API response to { ok, retryable, delayMs, error }
+function deliveryOutcome(result) {
+  if (result.status >= 200 && result.status < 300) {
+    return { ok: true };
+  }
+
+  const error = `${result.status} — ${result.body.substring(0, 500)}`;
+  if (result.status === 429) {
+    return { ok: false, retryable: true, delayMs: retryAfterMs(result), error };
+  }
+  // Other 4xx responses won't succeed on retry (bad payload, revoked webhook)
+  return { ok: false, retryable: result.status >= 500, error };
+}
+
+module.exports = { postRaw, postJSON, deliveryOutcome };
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { log } = require("./log");
+
+// ---------------------------------------------------------------------------
+// Idempotent submissions
+//
+// A request carrying an `Idempotency-Key` header is recorded with a
+// fingerprint of its payload. Repeats with the same key get the original
+// response back instead of a second set of notifications. Without a key, a
+// near-identical payload from the same email within DUPLICATE_WINDOW_MS is
+// treated as a repeat.
+//
+// Only successful (2xx) responses are remembered; anything else releases the
+// key so the client can retry. Store errors fail open.
+// ---------------------------------------------------------------------------
+const COLLECTION = "idempotency";
+
+const KEY_TTL_MS = 24 * 60 * 60_000;
+const DUPLICATE_WINDOW_MS = 10 * 60_000;
+
+// A claim still pending after this long belongs to a crashed invocation
+const PENDING_TIMEOUT_MS = 60_000;
+
+// Roughly one claim in this many sweeps expired entries
+const SWEEP_ODDS = 50;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Fields that change between retries of the same submission
+const IGNORED_FIELDS = ["formToken", "website", "timestamp"];
+
+class IdempotencyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Fingerprints
+// ---------------------------------------------------------------------------
+// Case, surrounding whitespace and repeated spaces don't make a submission
+// different. Uploaded files count by content hash.
+function normalize(value) {
+  return String(value ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function fingerprint(fields, uploads = []) {
+  const parts = Object.keys(fields)
+    .filter((k) => !IGNORED_FIELDS.includes(k))
+    .sort()
+    .map((k) => `${k}=${normalize(fields[k])}`);
+  for (const upload of uploads) {
+    parts.push(`file=${crypto.createHash("sha256").update(upload.content).digest("hex")}`);
+  }
+  return crypto.createHash("sha256").update(parts.join("\n")).digest("hex");
+}
+
+// ---------------------------------------------------------------------------
+// Claims
+// ---------------------------------------------------------------------------
+function entryId(route, scope, key) {
+  return crypto.createHash("sha256").update(`${route}:${scope}:${key}`).digest("hex");
+}
+
+async function sweep(store) {
+  const now = Date.now();
+  for (const entry of await store.list(COLLECTION)) {
+    if (entry.expiresAt < now) await store.remove(COLLECTION, entry.id);
+  }
+}
+
+const NOOP_CLAIM = {
+  replay: null,
+  complete: async () => {},
+  release: async () => {},
+};
+
+// Resolves to a claim:
+//   { replay: { status, body } }      a repeat — send this response as-is
+//   { replay: null, complete, release }
+// complete(status, body) records the response; release() forgets the claim.
+// Throws IdempotencyError for a malformed key, a key reused with a different
+// payload (422) or a repeat that arrives while the original is in flight (409).
+async function claimRequest(route, { key, email, fields, uploads }) {
+  if (key !== undefined && !KEY_PATTERN.test(key)) {
+    throw new IdempotencyError(400, "Idempotency-Key must be 1-255 printable ASCII characters");
+  }
+
+  const print = fingerprint(fields, uploads);
+  let id;
+  let ttl;
+  if (key) {
+    id = entryId(route, "key", key);
+    ttl = KEY_TTL_MS;
+  } else if (email) {
+    id = entryId(route, "email", `${normalize(email)}:${print}`);
+    ttl = DUPLICATE_WINDOW_MS;
+  } else {
+    return NOOP_CLAIM;
+  }
+
+  let store;
+  try {
+    store = getStore();
+    if (Math.floor(Math.random() * SWEEP_ODDS) === 0) await sweep(store);
+
+    const now = Date.now();
+    const existing = await store.get(COLLECTION, id);
+    if (existing && existing.expiresAt > now) {
+      if (existing.fingerprint !== print) {
+        throw new IdempotencyError(422, "Idempotency-Key was already used with a different request");
+      }
+      if (existing.state === "done") {
+        return { ...NOOP_CLAIM, replay: existing.response };
+      }
+      if (now - existing.claimedAt < PENDING_TIMEOUT_MS) {
+        throw new IdempotencyError(409, "This request is already being processed. Try again shortly.");
+      }
+    }
+    if (existing) await store.remove(COLLECTION, id);
+
+    try {
+      await store.insert(COLLECTION, {
+        id,
+        route,
+        fingerprint: print,
+        state: "pending",
+        claimedAt: now,
+        expiresAt: now + ttl,
+      });
+    } catch {
+      // Another invocation claimed it between our get and insert
+      throw new IdempotencyError(409, "This request is already being processed. Try again shortly.");
+    }
+  } catch (err) {
+    if (err instanceof IdempotencyError) throw err;
+    log.error("Idempotency store error", { err });
+    return NOOP_CLAIM;
+  }
+
+  return {
+    replay: null,
+    async complete(status, body) {
+      try {
+        if (status >= 200 && status < 300) {
+          await store.update(COLLECTION, id, (entry) => ({
+            ...entry,
+            state: "done",
+            response: { status, body },
+          }));
+        } else {
+          await store.remove(COLLECTION, id);
+        }
+      } catch (err) {
+        log.error("Idempotency store error", { err });
+      }
+    },
+    async release() {
+      try {
+        await store.remove(COLLECTION, id);
+      } catch (err) {
+        log.error("Idempotency store error", { err });
+      }
+    },
+  };
+}
+
+module.exports = {
+  IdempotencyError,
+  fingerprint,
+  claimRequest,
+};
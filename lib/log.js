@@ -0,0 +1,225 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// ---------------------------------------------------------------------------
+// Structured logging
+//
+// Every line is one JSON object, so Vercel's log search can filter on any
+// field:
+//   {"level":"error","time":"…","route":"quote-submission",
+//    "requestId":"…","msg":"Submission store error","err":{…}}
+// API routes are wrapped in withRequestLog(), which gives each request an
+// id (sent back as X-Request-Id and in error bodies so customers can quote
+// it) and logs one summary line per request with its status, outcome,
+// latency and channel deliveries. Lines logged anywhere during the request,
+// lib code included, carry its route and request id.
+//
+// Customer PII is redacted from every field: emails are masked
+// ("j***@example.com"), IPs lose their last part, and names, phone numbers,
+// addresses and free text are dropped. LOG_LEVEL sets the minimum level
+// (debug, info, warn, error; default info).
+// ---------------------------------------------------------------------------
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Vercel derives each line's severity from the stream it's written to
+const WRITERS = {
+  debug: (line) => console.log(line),
+  info: (line) => console.log(line),
+  warn: (line) => console.warn(line),
+  error: (line) => console.error(line),
+};
+
+// Field names (any depth) whose values are customer data, compared after
+// fieldKey() so first_name, lastName and customerName look alike. Names
+// containing one of PII_KEY_PARTS are redacted; the short or generic words
+// in PII_FIELDS only as the whole name. Emails are masked wherever they
+// appear, so they need no entry.
+const PII_KEY_PARTS = [
+  "name", "address", "phone", "contact", "customer", "company", "street",
+  "province", "postal", "zip", "message", "subject", "description", "question",
+];
+const PII_FIELDS = new Set([
+  "city", "country", "note", "notes", "dimensions", "materials", "referral",
+  "budget",
+]);
+const IP_FIELDS = new Set(["ip", "requestip", "confirmip"]);
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Accepted from an incoming X-Request-Id so upstream callers can correlate
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const context = new AsyncLocalStorage();
+
+function minLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] || LEVELS.info;
+}
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, "$1***@$2");
+}
+
+function maskIp(ip) {
+  const text = String(ip);
+  if (text.includes(".")) return text.replace(/\.\d+$/, ".x");
+  if (text.includes(":")) return `${text.split(":").slice(0, 3).join(":")}:x`;
+  return text;
+}
+
+// "Shipping_Address" -> "shippingaddress"
+function fieldKey(key) {
+  return key.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function isPiiField(field) {
+  return PII_FIELDS.has(field) || PII_KEY_PARTS.some((part) => field.includes(part));
+}
+
+function redact(value, key = "", depth = 0) {
+  const field = fieldKey(key);
+  if (value === null || value === undefined) return value;
+  // Whole objects too: a shipping address or customer record is all PII
+  if (isPiiField(field) && !(value instanceof Error)) return "[redacted]";
+  if (IP_FIELDS.has(field) && typeof value === "string") return maskIp(value);
+  if (typeof value === "string") return maskEmails(value);
+  if (typeof value !== "object") return value;
+  if (depth > 5) return "[truncated]";
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: maskEmails(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.status && { status: value.status }),
+    };
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, key, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Logger
+// ---------------------------------------------------------------------------
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel()) return;
+  const request = context.getStore();
+  const line = {
+    level,
+    time: new Date().toISOString(),
+    ...(request && { route: request.route, requestId: request.requestId }),
+    msg: maskEmails(String(msg)),
+    ...redact(fields),
+  };
+  WRITERS[level](JSON.stringify(line));
+}
+
+const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// Adds fields to the current request's summary line
+function annotate(fields) {
+  const request = context.getStore();
+  if (request) Object.assign(request.fields, fields);
+}
+
+// Called by lib/outbox for every send, so the summary line lists each
+// channel's result
+function recordDelivery(channel, state) {
+  const request = context.getStore();
+  if (request) request.deliveries.push({ channel, state });
+}
+
+// SUBMISSION_RECOVERY lines are the one place customer data is logged in
+// full: they exist so scripts/replay-recovery.js can re-deliver the
+// submission. `_fallback` stays the first key, as the script expects.
+function logRecovery(record) {
+  const request = context.getStore();
+  console.error(
+    JSON.stringify({
+      _fallback: "SUBMISSION_RECOVERY",
+      ...record,
+      level: "error",
+      time: new Date().toISOString(),
+      ...(request && { route: request.route, requestId: request.requestId }),
+    })
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Request wrapper
+// ---------------------------------------------------------------------------
+function outcomeFor(status) {
+  if (status >= 500) return "error";
+  if (status >= 400) return "rejected";
+  return "ok";
+}
+
+function clientIp(req) {
+  return (
+    (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    req.socket?.remoteAddress ||
+    "unknown"
+  );
+}
+
+// Wraps an API handler: assigns the request id, adds it to error bodies,
+// turns uncaught errors into a logged 500, and logs the summary line
+function withRequestLog(route, handler) {
+  return async function loggedHandler(req, res) {
+    const incoming = (req.headers["x-request-id"] || "").toString();
+    const requestId = REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const request = { route, requestId, fields: {}, deliveries: [] };
+    const started = process.hrtime.bigint();
+
+    res.setHeader("X-Request-Id", requestId);
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && typeof body === "object" && !Array.isArray(body)) {
+        if (body.reference && !request.fields.reference) request.fields.reference = body.reference;
+        if (res.statusCode >= 400 && body.error && !body.requestId) body = { ...body, requestId };
+      }
+      return json(body);
+    };
+
+    await context.run(request, async () => {
+      try {
+        await handler(req, res);
+      } catch (err) {
+        log.error("Unhandled error", { err, stack: err?.stack });
+        if (!res.headersSent) {
+          res.status(500).json({ error: "Something went wrong. Please try again." });
+        }
+      }
+
+      const status = res.statusCode;
+      write(status >= 500 ? "error" : "info", "Request completed", {
+        method: req.method,
+        status,
+        outcome: outcomeFor(status),
+        latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+        ip: clientIp(req),
+        ...request.fields,
+        ...(request.deliveries.length > 0 && { deliveries: request.deliveries }),
+      });
+    });
+  };
+}
+
+module.exports = {
+  log,
+  redact,
+  annotate,
+  recordDelivery,
+  logRecovery,
+  withRequestLog,
+};
@@ -0,0 +1,250 @@
+// ---------------------------------------------------------------------------
+// STL / OBJ geometry analysis for 3D-printing quotes
+//
+// Model units are not stored in STL or OBJ files; everything here assumes
+// millimetres, which is what every slicer we use defaults to.
+// ---------------------------------------------------------------------------
+
+// Build volume of our largest printer, "XxYxZ" in mm
+const PRINTER_BED_MM = parseBed(process.env.PRINTER_BED_MM || "256x256x256");
+
+// Vertices closer than this are welded together when checking topology
+const WELD_PRECISION = 1e-4;
+
+function parseBed(value) {
+  const dims = value.split(/x/i).map(Number);
+  return dims.length === 3 && dims.every((d) => d > 0) ? dims : [256, 256, 256];
+}
+
+// ---------------------------------------------------------------------------
+// Parsers — each returns { vertices: [[x,y,z]...], triangles: [[a,b,c]...] }
+// ---------------------------------------------------------------------------
+function createVertexIndex() {
+  const vertices = [];
+  const lookup = new Map();
+  return {
+    vertices,
+    add(x, y, z) {
+      const key = `${Math.round(x / WELD_PRECISION)},${Math.round(y / WELD_PRECISION)},${Math.round(z / WELD_PRECISION)}`;
+      let idx = lookup.get(key);
+      if (idx === undefined) {
+        idx = vertices.length;
+        vertices.push([x, y, z]);
+        lookup.set(key, idx);
+      }
+      return idx;
+    },
+  };
+}
+
+function isBinaryStl(buf) {
+  return buf.length >= 84 && buf.length === 84 + buf.readUInt32LE(80) * 50;
+}
+
+function parseBinaryStl(buf) {
+  const index = createVertexIndex();
+  const triangles = [];
+  const count = buf.readUInt32LE(80);
+
+  for (let i = 0; i < count; i++) {
+    const offset = 84 + i * 50 + 12; // skip the facet normal
+    const tri = [];
+    for (let v = 0; v < 3; v++) {
+      const o = offset + v * 12;
+      tri.push(index.add(buf.readFloatLE(o), buf.readFloatLE(o + 4), buf.readFloatLE(o + 8)));
+    }
+    triangles.push(tri);
+  }
+
+  return { vertices: index.vertices, triangles };
+}
+
+function parseAsciiStl(text) {
+  const index = createVertexIndex();
+  const triangles = [];
+  const vertexRe = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/gi;
+  let current = [];
+  let match;
+
+  while ((match = vertexRe.exec(text)) !== null) {
+    current.push(index.add(Number(match[1]), Number(match[2]), Number(match[3])));
+    if (current.length === 3) {
+      triangles.push(current);
+      current = [];
+    }
+  }
+
+  return { vertices: index.vertices, triangles };
+}
+
+function parseObj(text) {
+  const index = createVertexIndex();
+  const raw = [];
+  const triangles = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === "v") {
+      raw.push(index.add(Number(parts[1]), Number(parts[2]), Number(parts[3])));
+    } else if (parts[0] === "f") {
+      // "f 1/2/3 4/5/6 ..." — only the position index matters; negative
+      // indices count back from the most recent vertex
+      const face = parts.slice(1).map((p) => {
+        const n = parseInt(p.split("/")[0], 10);
+        return raw[n < 0 ? raw.length + n : n - 1];
+      });
+      if (face.some((v) => v === undefined)) continue;
+      // Fan-triangulate polygons
+      for (let i = 1; i < face.length - 1; i++) {
+        triangles.push([face[0], face[i], face[i + 1]]);
+      }
+    }
+  }
+
+  return { vertices: index.vertices, triangles };
+}
+
+// ---------------------------------------------------------------------------
+// Measurements
+// ---------------------------------------------------------------------------
+function measure({ vertices, triangles }) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const v of vertices) {
+    for (let i = 0; i < 3; i++) {
+      if (v[i] < min[i]) min[i] = v[i];
+      if (v[i] > max[i]) max[i] = v[i];
+    }
+  }
+
+  let signedVolume = 0;
+  let surfaceArea = 0;
+  let degenerate = 0;
+  for (const [a, b, c] of triangles) {
+    const p = vertices[a];
+    const q = vertices[b];
+    const r = vertices[c];
+    // Signed volume of the tetrahedron formed with the origin
+    signedVolume +=
+      (p[0] * (q[1] * r[2] - q[2] * r[1]) -
+        p[1] * (q[0] * r[2] - q[2] * r[0]) +
+        p[2] * (q[0] * r[1] - q[1] * r[0])) / 6;
+
+    const u = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+    const w = [r[0] - p[0], r[1] - p[1], r[2] - p[2]];
+    const cross = [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+    const area = Math.hypot(cross[0], cross[1], cross[2]) / 2;
+    if (area === 0 || a === b || b === c || a === c) degenerate += 1;
+    surfaceArea += area;
+  }
+
+  return {
+    min,
+    max,
+    size: vertices.length ? max.map((m, i) => m - min[i]) : [0, 0, 0],
+    signedVolume,
+    surfaceArea,
+    degenerate,
+  };
+}
+
+// Every edge of a closed, consistently wound mesh is shared by exactly two
+// triangles, traversed once in each direction.
+function checkTopology(triangles) {
+  const edges = new Map();
+  for (const [a, b, c] of triangles) {
+    for (const [from, to] of [[a, b], [b, c], [c, a]]) {
+      if (from === to) continue;
+      const key = from < to ? `${from},${to}` : `${to},${from}`;
+      const entry = edges.get(key) || { count: 0, forward: 0 };
+      entry.count += 1;
+      if (from < to) entry.forward += 1;
+      edges.set(key, entry);
+    }
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  let flippedEdges = 0;
+  for (const { count, forward } of edges.values()) {
+    if (count === 1) openEdges += 1;
+    else if (count > 2) nonManifoldEdges += 1;
+    else if (forward !== 1) flippedEdges += 1;
+  }
+
+  return { openEdges, nonManifoldEdges, flippedEdges };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+function parseMesh(buffer, type) {
+  if (type === "model/stl") {
+    return isBinaryStl(buffer) ? parseBinaryStl(buffer) : parseAsciiStl(buffer.toString("utf8"));
+  }
+  if (type === "model/obj") {
+    return parseObj(buffer.toString("utf8"));
+  }
+  throw new Error(`Unsupported mesh type: ${type}`);
+}
+
+function analyzeMesh(buffer, type) {
+  const mesh = parseMesh(buffer, type);
+  if (mesh.triangles.length === 0) {
+    return { triangleCount: 0, issues: ["No triangles found"] };
+  }
+
+  const m = measure(mesh);
+  const topology = checkTopology(mesh.triangles);
+  const manifold = topology.openEdges === 0 && topology.nonManifoldEdges === 0;
+
+  const issues = [];
+  if (topology.openEdges > 0) issues.push(`${topology.openEdges} open edge(s) — mesh is not watertight`);
+  if (topology.nonManifoldEdges > 0) issues.push(`${topology.nonManifoldEdges} non-manifold edge(s)`);
+  if (topology.flippedEdges > 0) issues.push(`${topology.flippedEdges} edge(s) with inconsistent winding`);
+  if (manifold && m.signedVolume < 0) issues.push("Normals are inverted (inside-out mesh)");
+  if (m.degenerate > 0) issues.push(`${m.degenerate} degenerate triangle(s)`);
+
+  // Allow the model to be rotated about Z to fit the bed footprint
+  const [sx, sy, sz] = m.size;
+  const [bx, by, bz] = PRINTER_BED_MM;
+  const fitsBed =
+    sz <= bz && ((sx <= bx && sy <= by) || (sx <= by && sy <= bx));
+
+  return {
+    triangleCount: mesh.triangles.length,
+    vertexCount: mesh.vertices.length,
+    boundingBox: { min: m.min, max: m.max, size: m.size },
+    // Volume is only meaningful for closed meshes
+    volume: manifold ? Math.abs(m.signedVolume) : null,
+    surfaceArea: m.surfaceArea,
+    manifold,
+    inverted: manifold && m.signedVolume < 0,
+    fitsBed,
+    issues,
+  };
+}
+
+function formatAnalysis(analysis) {
+  if (!analysis.triangleCount) {
+    return analysis.issues.join("\n");
+  }
+  const [x, y, z] = analysis.boundingBox.size.map((n) => n.toFixed(1));
+  const lines = [
+    `Size: ${x} × ${y} × ${z} mm${analysis.fitsBed ? "" : " ⚠️ exceeds bed"}`,
+    `Triangles: ${analysis.triangleCount.toLocaleString("en-US")}`,
+    `Volume: ${analysis.volume === null ? "n/a (not watertight)" : `${(analysis.volume / 1000).toFixed(2)} cm³`}`,
+    `Surface area: ${(analysis.surfaceArea / 100).toFixed(2)} cm²`,
+  ];
+  if (analysis.issues.length > 0) {
+    lines.push(`Issues: ${analysis.issues.join("; ")}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  PRINTER_BED_MM,
+  parseMesh,
+  analyzeMesh,
+  formatAnalysis,
+};
@@ -0,0 +1,169 @@
+const { signToken, verifyToken } = require("./signed-token");
+
+// ---------------------------------------------------------------------------
+// Newsletter subscriptions (double opt-in)
+//
+// A signup (home page form, or the quote form's checkbox) stores a
+// "pending" subscriber and emails a signed confirm link; only confirming
+// makes them "subscribed". Consent is kept on the record: when and from
+// which IP the signup was requested and confirmed, plus a history of every
+// change. Subscribers are keyed by lowercased email. Links open
+// public/poly-newsletter.html, which POSTs the token, so mail scanners that
+// prefetch links can't confirm or unsubscribe anyone. Enabled by
+// NEWSLETTER_SECRET.
+// ---------------------------------------------------------------------------
+const SUBSCRIBERS = "subscribers";
+
+const SUBSCRIBER_STATUSES = ["pending", "subscribed", "unsubscribed"];
+
+const SOURCES = ["signup-form", "quote-form"];
+
+const PAGE_URL = "https://polypeopleprinting.com/poly-newsletter.html";
+
+const CONFIRM_LINK_TTL_MS = 7 * 24 * 60 * 60_000;
+
+// Repeat signups inside this window don't send another confirm email
+const RESEND_INTERVAL_MS = 10 * 60_000;
+
+function isNewsletterEnabled() {
+  return Boolean(process.env.NEWSLETTER_SECRET);
+}
+
+// ---------------------------------------------------------------------------
+// Links
+// ---------------------------------------------------------------------------
+// Confirm links expire; unsubscribe links never do, since they go out in
+// every newsletter
+function subscriberLink(action, email, now = Date.now()) {
+  const claims = { e: email, a: action, ...(action === "confirm" && { exp: now + CONFIRM_LINK_TTL_MS }) };
+  const token = signToken(claims, process.env.NEWSLETTER_SECRET);
+  return `${PAGE_URL}?action=${action}&token=${encodeURIComponent(token)}`;
+}
+
+// Returns { ok, reason: "missing" | "invalid" | "expired", email }
+function verifySubscriberToken(token, action, now = Date.now()) {
+  const check = verifyToken(token, process.env.NEWSLETTER_SECRET, now);
+  if (check.reason === "missing" || check.reason === "invalid") return check;
+  if (check.claims.a !== action || typeof check.claims.e !== "string") {
+    return { ok: false, reason: "invalid" };
+  }
+  return { ok: check.ok, ...(check.reason && { reason: check.reason }), email: check.claims.e };
+}
+
+// ---------------------------------------------------------------------------
+// Subscriber records
+// ---------------------------------------------------------------------------
+function historyEntry(event, at, { ip = "", source = "" } = {}) {
+  return { event, at, ...(ip && { ip }), ...(source && { source }) };
+}
+
+// Records a signup. Resolves to { outcome, record } where outcome is
+//   "requested"   a confirm email should go out
+//   "throttled"   pending, and one went out less than RESEND_INTERVAL_MS ago
+//   "subscribed"  already confirmed; nothing to send
+async function requestSubscription(store, { email, name = "", source, ip = "" }) {
+  const now = new Date();
+  const at = now.toISOString();
+  const id = email.toLowerCase();
+  let outcome = "requested";
+
+  const requested = (record) => ({
+    ...record,
+    status: "pending",
+    name: name || record.name || "",
+    updatedAt: at,
+    consent: { requestedAt: at, ...(ip && { requestIp: ip }), source },
+    confirmationSentAt: at,
+    history: [...(record.history || []), historyEntry("requested", at, { ip, source })],
+  });
+
+  const updateExisting = () =>
+    store.update(SUBSCRIBERS, id, (current) => {
+      if (current.status === "subscribed") {
+        outcome = "subscribed";
+        return current;
+      }
+      const lastSent = Date.parse(current.confirmationSentAt || "");
+      if (current.status === "pending" && now - lastSent < RESEND_INTERVAL_MS) {
+        outcome = "throttled";
+        return current;
+      }
+      outcome = "requested";
+      return requested(current);
+    });
+
+  const updated = await updateExisting();
+  if (updated) return { outcome, record: updated };
+
+  const record = requested({ id, email: id, createdAt: at });
+  try {
+    await store.insert(SUBSCRIBERS, record);
+  } catch (err) {
+    // A concurrent signup for the same address inserted it first
+    const raced = await updateExisting();
+    if (!raced) throw err;
+    return { outcome, record: raced };
+  }
+  return { outcome: "requested", record };
+}
+
+// Resolves to { outcome, record } where outcome is "confirmed",
+// "already-confirmed", "unsubscribed" (they opted out since the link was
+// sent) or "not-found"
+async function confirmSubscription(store, email, { ip = "" } = {}) {
+  const at = new Date().toISOString();
+  let outcome = "not-found";
+  const updated = await store.update(SUBSCRIBERS, email, (current) => {
+    if (current.status === "subscribed") {
+      outcome = "already-confirmed";
+      return current;
+    }
+    if (current.status !== "pending") {
+      outcome = "unsubscribed";
+      return current;
+    }
+    outcome = "confirmed";
+    return {
+      ...current,
+      status: "subscribed",
+      updatedAt: at,
+      consent: { ...current.consent, confirmedAt: at, ...(ip && { confirmIp: ip }) },
+      history: [...(current.history || []), historyEntry("confirmed", at, { ip })],
+    };
+  });
+  return { outcome, record: updated };
+}
+
+// Resolves to { outcome, record } where outcome is "unsubscribed",
+// "already-unsubscribed" or "not-found"
+async function unsubscribe(store, email, { ip = "" } = {}) {
+  const at = new Date().toISOString();
+  let outcome = "not-found";
+  const updated = await store.update(SUBSCRIBERS, email, (current) => {
+    if (current.status === "unsubscribed") {
+      outcome = "already-unsubscribed";
+      return current;
+    }
+    outcome = "unsubscribed";
+    return {
+      ...current,
+      status: "unsubscribed",
+      updatedAt: at,
+      unsubscribedAt: at,
+      history: [...(current.history || []), historyEntry("unsubscribed", at, { ip })],
+    };
+  });
+  return { outcome, record: updated };
+}
+
+module.exports = {
+  SUBSCRIBERS,
+  SUBSCRIBER_STATUSES,
+  SOURCES,
+  isNewsletterEnabled,
+  subscriberLink,
+  verifySubscriberToken,
+  requestSubscription,
+  confirmSubscription,
+  unsubscribe,
+};
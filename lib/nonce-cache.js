@@ -0,0 +1,31 @@
+// ---------------------------------------------------------------------------
+// Single-use nonces (form tokens, signed webhooks)
+//
+// Each nonce is recorded in a store collection until it expires. Expired
+// entries are swept opportunistically rather than on a schedule.
+// ---------------------------------------------------------------------------
+
+// Roughly one call in this many sweeps expired nonces
+const SWEEP_ODDS = 50;
+
+// Records a nonce as used. Resolves false if it was already used.
+async function consumeNonce(store, collection, nonce, expiresAt) {
+  if (Math.floor(Math.random() * SWEEP_ODDS) === 0) {
+    const now = Date.now();
+    for (const entry of await store.list(collection)) {
+      if (entry.expiresAt < now) await store.remove(collection, entry.id);
+    }
+  }
+
+  if (await store.get(collection, nonce)) return false;
+  try {
+    await store.insert(collection, { id: nonce, expiresAt, usedAt: new Date().toISOString() });
+  } catch {
+    return false; // lost a race with a concurrent replay
+  }
+  return true;
+}
+
+module.exports = {
+  consumeNonce,
+};
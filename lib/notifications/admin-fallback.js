@@ -0,0 +1,16 @@
+const { renderEmail } = require("../email/templates");
+
+// ---------------------------------------------------------------------------
+// Admin fallback email (templates/email/admin-fallback)
+// ---------------------------------------------------------------------------
+// Lists every submitted field, then the human-readable labels, as key/value
+// rows. Returns { subject, html, text }.
+function buildAdminFallbackEmail(formType, { reference, from }, data, labels = {}) {
+  const rows = [...Object.entries(data), ...Object.entries(labels)]
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => ({ key, value: String(value) }));
+
+  return renderEmail("admin-fallback", { formType, reference, from, rows });
+}
+
+module.exports = { buildAdminFallbackEmail };
@@ -0,0 +1,104 @@
+const { renderEmail } = require("../email/templates");
+const { FAQ_ENTRIES } = require("../faq");
+const { DEFAULT_TOPIC, CONTACT_TOPICS, contactEvent } = require("../contact-topics");
+const { buildAdminFallbackEmail } = require("./admin-fallback");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const EMBED_COLOR = 0x3b82f6; // Blue
+
+const FROM_EMAIL = "hello@polypeopleprinting.com";
+
+const FAQ_URL = "https://polypeopleprinting.com/poly-contact.html";
+
+// ---------------------------------------------------------------------------
+// Notification payloads
+// ---------------------------------------------------------------------------
+// `submission` has the shape stored in the "contacts" collection:
+// { reference, data, topic, faqMatches } where topic comes from
+// classifyContact() ({ topic, confidence }) and faqMatches from matchFAQ().
+// `event` is the notification event for the topic.
+function buildContactNotifications(
+  { reference = "", data, topic = { topic: DEFAULT_TOPIC, confidence: 0 }, faqMatches = [] },
+  { replayed = false } = {}
+) {
+  // Entries removed from the knowledge base since the match are skipped
+  const faqs = faqMatches
+    .filter((match) => FAQ_ENTRIES[match.id])
+    .map((match) => ({ ...FAQ_ENTRIES[match.id], confidence: match.confidence }));
+
+  // Topics renamed or removed since classification count as general
+  const topicId = CONTACT_TOPICS[topic.topic] ? topic.topic : DEFAULT_TOPIC;
+  const { label } = CONTACT_TOPICS[topicId];
+  const title = `[${label}] ` + (faqs.length > 0
+    ? "Contact Form (Possible FAQ)"
+    : "Contact Form Submission") + (reference ? ` — ${reference}` : "");
+
+  const fields = [
+    { name: "From", value: data.name, inline: true },
+    { name: "Email", value: data.email, inline: true },
+    {
+      name: "Subject",
+      value: data.subject || "No subject",
+      inline: false,
+    },
+    { name: "Message", value: data.message, inline: false },
+    {
+      name: "Topic",
+      value: topic.confidence > 0 ? `${label} (${Math.round(topic.confidence * 100)}% match)` : label,
+      inline: true,
+    },
+  ];
+  if (faqs.length > 0) {
+    fields.push({
+      name: "FAQ Matches",
+      value: faqs.map((faq) => `${faq.title} (${Math.round(faq.confidence * 100)}% match)`).join("\n"),
+      inline: false,
+    });
+  }
+
+  return {
+    event: contactEvent(topicId),
+
+    alert: {
+      title: replayed ? `[Replayed] ${title}` : title,
+      color: EMBED_COLOR,
+      fields,
+      timestamp: data.timestamp,
+      footer: "Poly People Printing Contact Form",
+      replyTo: { email: data.email, name: data.name },
+    },
+
+    confirmation: {
+      from: { email: FROM_EMAIL, name: "Poly People Printing" },
+      to: [{ email: data.email, name: data.name }],
+      ...renderEmail(
+        "contact-confirmation",
+        {
+          name: data.name,
+          reference,
+          faqs: faqs.map(({ question, answer }) => ({ question, answer })),
+          hasFaqs: faqs.length > 0,
+          faqUrl: FAQ_URL,
+          message: data.message,
+        },
+        { partials: { topic: `topics/${topicId}` } }
+      ),
+    },
+
+    adminFallback(adminEmail) {
+      return {
+        from: { email: FROM_EMAIL, name: "PPP System Alert" },
+        to: [{ email: adminEmail }],
+        ...buildAdminFallbackEmail("Contact Form", { reference, from: data.name }, { reference, ...data }, {
+          topic: label,
+        }),
+      };
+    },
+  };
+}
+
+module.exports = {
+  buildContactNotifications,
+};
@@ -0,0 +1,26 @@
+const { renderEmail } = require("../email/templates");
+const { subscriberLink } = require("../newsletter");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const FROM_EMAIL = "hello@polypeopleprinting.com";
+
+// ---------------------------------------------------------------------------
+// Double opt-in email (templates/email/newsletter-confirm)
+// ---------------------------------------------------------------------------
+// `record` is a stored subscriber
+function buildNewsletterConfirmEmail(record) {
+  return {
+    from: { email: FROM_EMAIL, name: "Poly People Printing" },
+    to: [{ email: record.email, ...(record.name && { name: record.name }) }],
+    ...renderEmail("newsletter-confirm", {
+      name: record.name,
+      confirmUrl: subscriberLink("confirm", record.email),
+    }),
+  };
+}
+
+module.exports = {
+  buildNewsletterConfirmEmail,
+};
@@ -0,0 +1,57 @@
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const EMBED_COLOR = 0x6b7280; // Gray
+
+const FORM_TITLES = {
+  quote: "Quote Request",
+  contact: "Contact Form",
+  newsletter: "Newsletter Signup",
+};
+
+// Enough to judge the content; the full text is in the quarantine record
+const PREVIEW_LENGTH = 900;
+
+function preview(text) {
+  if (!text) return "—";
+  return text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH)}…` : text;
+}
+
+// ---------------------------------------------------------------------------
+// Notification payload
+// ---------------------------------------------------------------------------
+// `entry` has the shape stored in the "quarantine" collection:
+// { id, type, createdAt, score, reasons, data, attachments }.
+function buildQuarantineAlert(entry) {
+  const { data } = entry;
+  const name = data.name || [data.firstName, data.lastName].filter(Boolean).join(" ");
+  const content = entry.type === "contact"
+    ? [data.subject, data.message].filter(Boolean).join("\n\n")
+    : data.description;
+
+  const fields = [
+    { name: "Spam Score", value: String(entry.score), inline: true },
+    { name: "From", value: `${name || "—"} <${data.email}>`, inline: true },
+    { name: "Reasons", value: entry.reasons.join("\n") || "—", inline: false },
+    { name: "Content", value: preview(content), inline: false },
+  ];
+  if (entry.attachments && entry.attachments.length > 0) {
+    fields.push({
+      name: "Attachments (not stored)",
+      value: entry.attachments.map((a) => a.name).join("\n"),
+      inline: false,
+    });
+  }
+
+  return {
+    title: `Quarantined ${FORM_TITLES[entry.type] || "Submission"}`,
+    color: EMBED_COLOR,
+    fields,
+    timestamp: entry.createdAt,
+    footer: `Quarantine ID ${entry.id}`,
+  };
+}
+
+module.exports = {
+  buildQuarantineAlert,
+};
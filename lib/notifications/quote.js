@@ -0,0 +1,222 @@
+const { SERVICE_LABELS, TIMELINE_LABELS } = require("../catalog");
+const { formatBytes, uploadLink } = require("../uploads");
+const { formatAnalysis } = require("../mesh-analysis");
+const { formatEstimate } = require("../pricing");
+const { formatMoney, formatDate } = require("../priced-quote");
+const { renderEmail } = require("../email/templates");
+const { buildAdminFallbackEmail } = require("./admin-fallback");
+const { isTriageEnabled, quoteActions } = require("../quote-triage");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const EMBED_COLOR = 0x9333ea; // Purple
+
+const DECISION_COLORS = {
+  accept: 0x22c55e, // Green
+  decline: 0x6b7280, // Gray
+};
+
+const FROM_EMAIL = "quotes@polypeopleprinting.com";
+
+const STATUS_URL = "https://polypeopleprinting.com/poly-status.html";
+
+// ---------------------------------------------------------------------------
+// Customer confirmation (templates/email/quote-confirmation). Per-service
+// notes come from services/<service>.html|.txt in the same directory.
+// ---------------------------------------------------------------------------
+function buildQuoteConfirmationEmail({ data, reference, service, timeline, files }) {
+  return renderEmail(
+    "quote-confirmation",
+    {
+      firstName: data.firstName,
+      reference,
+      statusUrl: STATUS_URL,
+      service,
+      quantity: data.quantity,
+      timeline,
+      files: files.map((f) => ({ name: f.name, size: formatBytes(f.size) })),
+    },
+    { partials: { service: `services/${data.service}` } }
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Notification payloads
+// ---------------------------------------------------------------------------
+// `submission` has the shape stored in the "quotes" collection and written
+// to SUBMISSION_RECOVERY logs: { reference, data, files, estimate }.
+function buildQuoteNotifications({ reference = "", data, files = [], estimate = null }, { replayed = false } = {}) {
+  const serviceLabel = SERVICE_LABELS[data.service] || data.service;
+  const timelineLabel = TIMELINE_LABELS[data.timeline] || data.timeline;
+  const estimateLabel = estimate ? formatEstimate(estimate) : "";
+  const fileSummary = files
+    .map((f) => `${f.name} (${formatBytes(f.size)}) — ${uploadLink(f.id) || f.key}`)
+    .join("\n");
+
+  const fields = [
+    { name: "Service", value: serviceLabel, inline: true },
+    { name: "Quantity", value: data.quantity.toString(), inline: true },
+    { name: "Timeline", value: timelineLabel, inline: true },
+    ...(estimateLabel ? [{ name: "Estimate Shown", value: estimateLabel, inline: true }] : []),
+    { name: "Customer", value: `${data.firstName} ${data.lastName}`, inline: false },
+    { name: "Contact", value: `${data.email}\n${data.phone}`, inline: false },
+  ];
+
+  if (data.dimensions) {
+    fields.push({ name: "Dimensions", value: data.dimensions, inline: true });
+  }
+  if (data.materials) {
+    fields.push({ name: "Material/Color", value: data.materials, inline: true });
+  }
+  if (data.budget) {
+    fields.push({ name: "Budget", value: data.budget, inline: true });
+  }
+  if (data.contactMethod) {
+    fields.push({ name: "Preferred Contact", value: data.contactMethod, inline: true });
+  }
+  if (data.referral) {
+    fields.push({ name: "Referral Source", value: data.referral, inline: true });
+  }
+  if (data.newsletter) {
+    fields.push({ name: "Newsletter", value: "Yes", inline: true });
+  }
+  if (data.description) {
+    fields.push({ name: "Details", value: data.description, inline: false });
+  }
+  if (fileSummary) {
+    fields.push({ name: "Attachments", value: fileSummary, inline: false });
+  }
+  for (const file of files) {
+    if (file.analysis) {
+      fields.push({ name: `Model: ${file.name}`, value: formatAnalysis(file.analysis), inline: false });
+    }
+  }
+
+  const title = reference ? `New Quote Request — ${reference}` : "New Quote Request";
+
+  return {
+    alert: {
+      title: replayed ? `[Replayed] ${title}` : title,
+      color: EMBED_COLOR,
+      fields,
+      timestamp: data.timestamp,
+      footer: "Poly People Printing Quote System",
+      ...(reference && isTriageEnabled() && { actions: quoteActions(reference) }),
+    },
+
+    confirmation: {
+      from: { email: FROM_EMAIL, name: "Poly People Printing" },
+      to: [{ email: data.email, name: `${data.firstName} ${data.lastName}` }],
+      ...buildQuoteConfirmationEmail({
+        data,
+        reference,
+        service: serviceLabel,
+        timeline: timelineLabel,
+        files,
+      }),
+    },
+
+    adminFallback(adminEmail) {
+      return {
+        from: { email: FROM_EMAIL, name: "PPP System Alert" },
+        to: [{ email: adminEmail }],
+        ...buildAdminFallbackEmail(
+          "Quote Request",
+          { reference, from: `${data.firstName} ${data.lastName}` },
+          data,
+          {
+            ...(reference && { reference }),
+            service: serviceLabel,
+            timeline: timelineLabel,
+            ...(estimateLabel && { estimate: estimateLabel }),
+            ...(fileSummary && { files: fileSummary }),
+          }
+        ),
+      };
+    },
+  };
+}
+
+// Sent from the Discord "Request Info" button. `record` is a stored quote.
+function buildInfoRequestEmail(record, question) {
+  const { data } = record;
+  return {
+    from: { email: FROM_EMAIL, name: "Poly People Printing" },
+    to: [{ email: data.email, name: `${data.firstName} ${data.lastName}` }],
+    ...renderEmail("quote-info-request", {
+      firstName: data.firstName,
+      reference: record.id,
+      service: SERVICE_LABELS[data.service] || data.service,
+      question,
+      statusUrl: STATUS_URL,
+    }),
+  };
+}
+
+// The priced quote, with the PDF from renderQuotePdf() attached. `links` are
+// the customer's accept/decline URLs from decisionLinks(), when enabled.
+function buildPricedQuoteEmail(record, pricedQuote, pdf, links = null) {
+  const { data } = record;
+  return {
+    from: { email: FROM_EMAIL, name: "Poly People Printing" },
+    to: [{ email: data.email, name: `${data.firstName} ${data.lastName}` }],
+    ...renderEmail("quote-priced", {
+      firstName: data.firstName,
+      reference: record.id,
+      service: SERVICE_LABELS[data.service] || data.service,
+      total: formatMoney(pricedQuote.total, pricedQuote.currency),
+      validUntil: formatDate(pricedQuote.validUntil),
+      notes: pricedQuote.notes,
+      links,
+      statusUrl: STATUS_URL,
+    }),
+    attachments: [
+      { filename: `${record.id}.pdf`, type: "application/pdf", content: pdf.toString("base64") },
+    ],
+  };
+}
+
+// Team alert when the customer answers a priced quote via its link
+function buildQuoteDecisionAlert(record) {
+  const { data, pricedQuote, decision } = record;
+  const verb = decision.decision === "accept" ? "Accepted" : "Declined";
+  return {
+    title: `Quote ${verb} — ${record.id}`,
+    color: DECISION_COLORS[decision.decision],
+    fields: [
+      { name: "Customer", value: `${data.firstName} ${data.lastName}`, inline: true },
+      { name: "Service", value: SERVICE_LABELS[data.service] || data.service, inline: true },
+      { name: "Total", value: formatMoney(pricedQuote.total, pricedQuote.currency), inline: true },
+      { name: "Contact", value: `${data.email}\n${data.phone}`, inline: false },
+    ],
+    timestamp: decision.at,
+    footer: "Poly People Printing Quote System",
+  };
+}
+
+// Next steps after the customer accepts. QUOTE_PAYMENT_URL, when set, is
+// where they can pay online.
+function buildQuoteAcceptedEmail(record) {
+  const { data, pricedQuote } = record;
+  return {
+    from: { email: FROM_EMAIL, name: "Poly People Printing" },
+    to: [{ email: data.email, name: `${data.firstName} ${data.lastName}` }],
+    ...renderEmail("quote-accepted", {
+      firstName: data.firstName,
+      reference: record.id,
+      service: SERVICE_LABELS[data.service] || data.service,
+      total: formatMoney(pricedQuote.total, pricedQuote.currency),
+      paymentUrl: process.env.QUOTE_PAYMENT_URL || "",
+      statusUrl: STATUS_URL,
+    }),
+  };
+}
+
+module.exports = {
+  buildQuoteNotifications,
+  buildInfoRequestEmail,
+  buildPricedQuoteEmail,
+  buildQuoteDecisionAlert,
+  buildQuoteAcceptedEmail,
+};
@@ -0,0 +1,147 @@
+const { escapeMarkdown } = require("../escape");
+
+// ---------------------------------------------------------------------------
+// Discord webhook embeds
+// ---------------------------------------------------------------------------
+// Alerts were modelled on embeds, so this is mostly a straight mapping. Alert
+// text is plain, so titles and values are Markdown-escaped here, and mentions
+// are disabled outright.
+//
+// Discord rejects the whole message if any embed limit is exceeded. Long
+// values are split into "(cont.)" fields, fields spill into further embeds,
+// and whatever still doesn't fit the 6000-character message total is cut.
+//
+// Alert `actions` ({ id, label, style, disabled }) become buttons. Discord
+// only accepts interactive components from webhooks owned by the
+// application that handles them (api/discord/interactions.js).
+const LIMITS = {
+  title: 256,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  fields: 25,
+  embeds: 10,
+  total: 6000,
+};
+
+const TRUNCATED_NOTE = " · truncated to fit Discord's limits";
+
+// Left free for the triage status block added when a button is clicked
+const ACTIONS_RESERVE = 300;
+
+const BUTTON_STYLES = { primary: 1, secondary: 2, success: 3, danger: 4 };
+
+// Cuts at `max` without leaving a dangling escape or half a surrogate pair
+function safeCut(text, max) {
+  let cut = Math.min(max, text.length);
+  if (/[\ud800-\udbff]/.test(text[cut - 1] || "")) cut--;
+  const slashes = text.slice(0, cut).match(/\\*$/)[0].length;
+  if (slashes % 2 === 1) cut--;
+  return cut;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, safeCut(text, max - 1))}…` : text;
+}
+
+// Splits on line breaks, then spaces, then anywhere
+function split(text, max) {
+  const chunks = [];
+  let rest = text;
+  while (rest.length > max) {
+    let cut = rest.lastIndexOf("\n", max);
+    if (cut < max / 2) cut = rest.lastIndexOf(" ", max);
+    if (cut < max / 2) cut = safeCut(rest, max);
+    chunks.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).replace(/^[\n ]+/, "");
+  }
+  chunks.push(rest);
+  return chunks;
+}
+
+function expandFields(fields) {
+  const out = [];
+  for (const field of fields) {
+    const name = truncate(escapeMarkdown(field.name), LIMITS.fieldName);
+    const value = escapeMarkdown(String(field.value ?? "").trim()) || "—";
+    split(value, LIMITS.fieldValue).forEach((chunk, i) => {
+      out.push({
+        name: i === 0 ? name : truncate(`${name} (cont.)`, LIMITS.fieldName),
+        value: chunk,
+        inline: field.inline,
+      });
+    });
+  }
+  return out;
+}
+
+function render(alert) {
+  const title = truncate(escapeMarkdown(alert.title), LIMITS.title);
+  let footer = alert.footer ? truncate(alert.footer, LIMITS.footer - TRUNCATED_NOTE.length) : "";
+
+  // Title and footer count once; room for the note is kept in reserve
+  let budget = LIMITS.total - title.length - footer.length - TRUNCATED_NOTE.length;
+  if (alert.actions) budget -= ACTIONS_RESERVE;
+  const maxFields = LIMITS.fields * LIMITS.embeds;
+  const fields = [];
+  let truncated = false;
+  for (const field of expandFields(alert.fields)) {
+    const cost = field.name.length + field.value.length;
+    if (cost > budget || fields.length === maxFields) {
+      // Keep a cut-down version if a meaningful part of it fits
+      const room = budget - field.name.length;
+      if (room >= 40 && fields.length < maxFields) {
+        fields.push({ ...field, value: `${split(field.value, room - 1)[0]}…` });
+      }
+      truncated = true;
+      break;
+    }
+    fields.push(field);
+    budget -= cost;
+  }
+  if (truncated) footer = `${footer}${TRUNCATED_NOTE}`.replace(/^ · /, "");
+
+  const embeds = [];
+  for (let i = 0; i === 0 || i < fields.length; i += LIMITS.fields) {
+    embeds.push({ color: alert.color, fields: fields.slice(i, i + LIMITS.fields) });
+  }
+  embeds[0].title = title;
+  Object.assign(embeds[embeds.length - 1], {
+    timestamp: alert.timestamp,
+    ...(footer && { footer: { text: footer } }),
+  });
+
+  return {
+    embeds,
+    ...(alert.actions && { components: renderComponents(alert.actions) }),
+    allowed_mentions: { parse: [] },
+  };
+}
+
+// One action row holds up to five buttons
+function renderComponents(actions) {
+  const rows = [];
+  for (let i = 0; i < actions.length; i += 5) {
+    rows.push({
+      type: 1,
+      components: actions.slice(i, i + 5).map((action) => ({
+        type: 2,
+        style: BUTTON_STYLES[action.style] || BUTTON_STYLES.secondary,
+        label: action.label,
+        custom_id: action.id,
+        ...(action.disabled && { disabled: true }),
+      })),
+    });
+  }
+  return rows;
+}
+
+// Webhooks ignore components unless asked to respect them
+function endpoint(url, payload) {
+  if (!payload.components) return url;
+  const target = new URL(url);
+  target.searchParams.set("with_components", "true");
+  return target.toString();
+}
+
+module.exports = { render, renderComponents, endpoint };
@@ -0,0 +1,35 @@
+const { renderEmail } = require("../email/templates");
+
+// ---------------------------------------------------------------------------
+// Email inbox (templates/email/team-alert)
+// ---------------------------------------------------------------------------
+// Configured in NOTIFY_ROUTES with `to` (one address or a list) instead of
+// `url`, e.g. {"type":"email","to":"sales@example.com"}. Sent through the
+// configured email provider; replies go to the alert's replyTo when it has
+// one.
+const FROM = { email: "hello@polypeopleprinting.com", name: "PPP Team Alerts" };
+
+// Sent by lib/email through the outbox rather than posted to a URL
+const transport = "email";
+
+function recipients(to) {
+  return (Array.isArray(to) ? to : String(to).split(","))
+    .map((email) => String(email).trim())
+    .filter(Boolean)
+    .map((email) => ({ email }));
+}
+
+function render(alert, { route }) {
+  return {
+    from: FROM,
+    to: recipients(route.to),
+    ...(alert.replyTo && { replyTo: alert.replyTo }),
+    ...renderEmail("team-alert", {
+      title: alert.title,
+      fields: alert.fields.map(({ name, value }) => ({ name, value })),
+      footer: alert.footer,
+    }),
+  };
+}
+
+module.exports = { render, transport, recipients };
@@ -0,0 +1,150 @@
+const { send, DELIVERED, QUEUED, FAILED } = require("../outbox");
+const { log } = require("../log");
+
+// ---------------------------------------------------------------------------
+// Team notifications
+//
+// Handlers describe an event as a channel-neutral alert:
+//   { title, color, fields: [{ name, value, inline }], timestamp, footer,
+//     actions?, replyTo? }
+// and notify() renders it for every route configured for the event, then
+// delivers each through the outbox. Alert text is plain, unescaped text;
+// each adapter escapes it for its own channel. Only Discord renders
+// `actions` (buttons), and only email uses `replyTo`.
+//
+// Routes come from two places:
+//   - the original DISCORD_* env vars, which stay the Discord route
+//   - NOTIFY_ROUTES, a JSON object of extra routes per event, e.g.
+//     {"quote":[{"type":"slack","url":"https://hooks.slack.com/..."}],
+//      "order":[{"type":"teams","url":"https://..."},
+//               {"type":"webhook","url":"https://...","name":"zapier"}],
+//      "contact.wholesale":[{"type":"email","to":"sales@example.com"}]}
+//
+// Sub-events like "contact.wholesale" use their own routes when they have
+// any, and the parent event's ("contact") otherwise.
+// ---------------------------------------------------------------------------
+const ADAPTERS = {
+  discord: require("./discord"),
+  slack: require("./slack"),
+  teams: require("./teams"),
+  webhook: require("./webhook"),
+  email: require("./email"),
+};
+
+// Event -> env vars checked in order for its Discord webhook
+const DISCORD_ENV = {
+  quote: ["DISCORD_WEBHOOK_QUOTES", "DISCORD_WEBHOOK_URL_ORDER"],
+  contact: ["DISCORD_WEBHOOK_CONTACT"],
+  "contact.wholesale": ["DISCORD_WEBHOOK_CONTACT_WHOLESALE"],
+  "contact.order-problem": ["DISCORD_WEBHOOK_CONTACT_ORDERS"],
+  "contact.press": ["DISCORD_WEBHOOK_CONTACT_PRESS"],
+  "contact.general": ["DISCORD_WEBHOOK_CONTACT_GENERAL"],
+  "contact.jobs": ["DISCORD_WEBHOOK_CONTACT_JOBS"],
+  order: ["DISCORD_WEBHOOK_URL_ORDER"],
+  quarantine: ["DISCORD_WEBHOOK_QUARANTINE"],
+};
+
+let configured = null;
+
+// Email routes name their inbox(es) in `to`; the rest post to `url`
+function isValidRoute(route) {
+  if (!route || !ADAPTERS[route.type]) return false;
+  const target = route.type === "email" ? route.to : route.url;
+  return Array.isArray(target) ? target.length > 0 : typeof target === "string" && target !== "";
+}
+
+function configuredRoutes() {
+  if (!configured) {
+    let parsed = {};
+    try {
+      parsed = JSON.parse(process.env.NOTIFY_ROUTES || "{}");
+    } catch {
+      log.error("NOTIFY_ROUTES is not valid JSON — ignoring it");
+    }
+    configured = {};
+    for (const [event, routes] of Object.entries(parsed)) {
+      configured[event] = (Array.isArray(routes) ? routes : [routes]).filter((route) => {
+        if (!isValidRoute(route)) {
+          log.error("NOTIFY_ROUTES: skipping invalid route", { event });
+          return false;
+        }
+        return true;
+      });
+    }
+  }
+  return configured;
+}
+
+function ownRoutes(event) {
+  const routes = [];
+  const discordUrl = (DISCORD_ENV[event] || []).map((name) => process.env[name]).find(Boolean);
+  if (discordUrl) routes.push({ type: "discord", url: discordUrl });
+  routes.push(...(configuredRoutes()[event] || []));
+  return routes;
+}
+
+// Every route for an event, each with a unique name for delivery reports
+function getRoutes(event) {
+  let routes = ownRoutes(event);
+  if (routes.length === 0 && event.includes(".")) {
+    routes = ownRoutes(event.slice(0, event.indexOf(".")));
+  }
+
+  const seen = {};
+  return routes.map((route) => {
+    const base = route.name || route.type;
+    seen[base] = (seen[base] || 0) + 1;
+    return { ...route, name: seen[base] > 1 ? `${base}-${seen[base]}` : base };
+  });
+}
+
+// Resolves to { [routeName]: "delivered" | "queued" | "failed" }; empty when
+// no route is configured for the event.
+async function notify(store, event, alert, { ref } = {}) {
+  const routes = getRoutes(event);
+  if (routes.length === 0) {
+    log.error("No notification route configured", { event });
+  }
+
+  const states = {};
+  for (const route of routes) {
+    const adapter = ADAPTERS[route.type];
+    const payload = adapter.render(alert, { event, ref, route });
+    states[route.name] = await send(store, {
+      channel: route.type,
+      // Webhook URLs carry tokens, so the outbox stores the route's name
+      // and resolves the URL through routeUrl() when it sends
+      ...(adapter.transport
+        ? { transport: adapter.transport }
+        : { route: { event, name: route.name } }),
+      payload,
+      ref,
+    });
+  }
+  return states;
+}
+
+// URL to post an outbox entry's payload to, from the route's current
+// config; null once the route is gone
+function routeUrl({ event, name }, payload) {
+  const route = getRoutes(event).find((r) => r.name === name);
+  if (!route || !route.url) return null;
+  const adapter = ADAPTERS[route.type];
+  return adapter.endpoint ? adapter.endpoint(route.url, payload) : route.url;
+}
+
+// Overall outcome across routes: delivered if any route got it, queued if
+// any is still retrying, failed otherwise (including no routes at all)
+function summarize(states) {
+  const values = Object.values(states);
+  if (values.includes(DELIVERED)) return DELIVERED;
+  if (values.includes(QUEUED)) return QUEUED;
+  return FAILED;
+}
+
+module.exports = {
+  getRoutes,
+  notify,
+  routeUrl,
+  summarize,
+};
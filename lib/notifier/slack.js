@@ -0,0 +1,67 @@
+const { escapeMrkdwn } = require("../escape");
+
+// ---------------------------------------------------------------------------
+// Slack incoming webhooks (Block Kit)
+// ---------------------------------------------------------------------------
+// Block Kit limits: 150 chars for a header, 10 fields per section and 2000
+// chars per field, 3000 per section text.
+const MAX_HEADER = 150;
+const MAX_SECTION_FIELDS = 10;
+const MAX_FIELD_TEXT = 2000;
+const MAX_SECTION_TEXT = 3000;
+
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+function fieldText(field) {
+  return `*${escapeMrkdwn(field.name)}*\n${escapeMrkdwn(field.value)}`;
+}
+
+function render(alert) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: truncate(alert.title, MAX_HEADER) } },
+  ];
+
+  // Consecutive inline fields share a two-column section; the rest get a
+  // section of their own
+  let pending = [];
+  const flush = () => {
+    for (let i = 0; i < pending.length; i += MAX_SECTION_FIELDS) {
+      blocks.push({ type: "section", fields: pending.slice(i, i + MAX_SECTION_FIELDS) });
+    }
+    pending = [];
+  };
+  for (const field of alert.fields) {
+    if (field.inline) {
+      pending.push({
+        type: "mrkdwn",
+        text: truncate(fieldText(field), MAX_FIELD_TEXT),
+      });
+    } else {
+      flush();
+      blocks.push({
+        type: "section",
+        text: { type: "mrkdwn", text: truncate(fieldText(field), MAX_SECTION_TEXT) },
+      });
+    }
+  }
+  flush();
+
+  if (alert.footer) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: escapeMrkdwn(alert.footer) }] });
+  }
+
+  return {
+    // Shown in push notifications and clients without Block Kit
+    text: alert.title,
+    attachments: [
+      {
+        color: `#${alert.color.toString(16).padStart(6, "0")}`,
+        blocks,
+      },
+    ],
+  };
+}
+
+module.exports = { render };
@@ -0,0 +1,57 @@
+const { escapeTeamsMarkdown } = require("../escape");
+
+// ---------------------------------------------------------------------------
+// Microsoft Teams (Workflows / incoming webhook) Adaptive Cards
+// ---------------------------------------------------------------------------
+const CARD_SCHEMA = "http://adaptivecards.io/schemas/adaptive-card.json";
+
+// Teams only renders a line break for a blank line in TextBlock markdown
+function paragraphs(text) {
+  return text.replace(/\n/g, "\n\n");
+}
+
+// Every string in the card is rendered as Markdown
+const md = escapeTeamsMarkdown;
+
+function render(alert) {
+  const inline = alert.fields.filter((f) => f.inline);
+  const block = alert.fields.filter((f) => !f.inline);
+
+  const body = [
+    { type: "TextBlock", text: md(alert.title), weight: "Bolder", size: "Medium", wrap: true },
+  ];
+  if (inline.length > 0) {
+    body.push({
+      type: "FactSet",
+      facts: inline.map((f) => ({ title: md(f.name), value: md(f.value) })),
+    });
+  }
+  for (const field of block) {
+    body.push(
+      { type: "TextBlock", text: md(field.name), weight: "Bolder", wrap: true, spacing: "Medium" },
+      { type: "TextBlock", text: paragraphs(md(field.value)), wrap: true, spacing: "Small" }
+    );
+  }
+  if (alert.footer) {
+    body.push({ type: "TextBlock", text: md(alert.footer), isSubtle: true, size: "Small", wrap: true });
+  }
+
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        contentUrl: null,
+        content: {
+          $schema: CARD_SCHEMA,
+          type: "AdaptiveCard",
+          version: "1.4",
+          body,
+          msteams: { width: "Full" },
+        },
+      },
+    ],
+  };
+}
+
+module.exports = { render };
@@ -0,0 +1,17 @@
+// ---------------------------------------------------------------------------
+// Generic JSON webhook
+// ---------------------------------------------------------------------------
+// For Zapier, n8n and the like: the alert as-is, plus the event name and
+// submission reference.
+function render(alert, { event, ref }) {
+  return {
+    event,
+    reference: ref || null,
+    title: alert.title,
+    fields: alert.fields.map(({ name, value }) => ({ name, value })),
+    timestamp: alert.timestamp,
+    footer: alert.footer,
+  };
+}
+
+module.exports = { render };
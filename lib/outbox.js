@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const { postJSON, deliveryOutcome } = require("./http");
+const { log, recordDelivery } = require("./log");
+
+// ---------------------------------------------------------------------------
+// Durable outbox for team notifications and emails
+//
+// Every outbound notification is written to the "outbox" collection before
+// it is sent. A handler makes one quick inline attempt; anything that fails
+// stays queued with exponential backoff and is retried by
+// /api/outbox/process (run on a cron). Entries that exhaust their attempts,
+// or fail with a non-retryable error, move to "outbox-dead".
+// ---------------------------------------------------------------------------
+const OUTBOX = "outbox";
+const DEAD_LETTERS = "outbox-dead";
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 2_000;
+const MAX_DELAY_MS = 30 * 60_000;
+
+// Timeout for the inline attempt. A submission can fan out to several
+// routes and emails, and all of them have to fit in the function's default
+// duration; the processor's retries use the full lib/http timeout.
+const INLINE_TIMEOUT_MS = 2_500;
+
+// A processor run "leases" an entry so overlapping runs don't double-send
+const LEASE_MS = 60_000;
+
+// Delivery states reported back to handlers
+const DELIVERED = "delivered";
+const QUEUED = "queued";
+const FAILED = "failed";
+const SKIPPED = "skipped";
+
+function backoffDelay(attempts) {
+  const exp = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+  // +/- 20% jitter so queued entries don't retry in lockstep
+  return Math.round(exp * (0.8 + Math.random() * 0.4));
+}
+
+// ---------------------------------------------------------------------------
+// Single delivery attempt
+// ---------------------------------------------------------------------------
+async function attempt(entry, options) {
+  // Emails go through the configured provider(s) rather than a fixed URL.
+  // Required lazily: lib/email queues its messages through this module.
+  if (entry.transport === "email") {
+    try {
+      return await require("./email").deliver(entry.payload, options);
+    } catch (err) {
+      return { ok: false, retryable: true, error: err.message };
+    }
+  }
+
+  // Webhook entries name their notifier route ({ event, name }) and the URL,
+  // whose path holds the webhook token, is looked up on each attempt so it
+  // never lands in the store. Required lazily: the notifier sends through
+  // this module.
+  const url = require("./notifier").routeUrl(entry.route, entry.payload);
+  if (!url) {
+    return {
+      ok: false,
+      retryable: false,
+      error: `Route ${entry.route.event}/${entry.route.name} is no longer configured`,
+    };
+  }
+
+  let result;
+  try {
+    result = await postJSON(url, entry.payload, {}, options);
+  } catch (err) {
+    return { ok: false, retryable: true, error: err.message };
+  }
+  return deliveryOutcome(result);
+}
+
+// ---------------------------------------------------------------------------
+// Store bookkeeping — a broken store must never block delivery itself
+// ---------------------------------------------------------------------------
+async function safely(label, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    log.error(`Outbox ${label} error`, { err });
+    return null;
+  }
+}
+
+async function moveToDeadLetters(store, entry) {
+  const dead = { ...entry, status: "dead", deadAt: new Date().toISOString() };
+  await safely("dead-letter", async () => {
+    await store.insert(DEAD_LETTERS, dead);
+    await store.remove(OUTBOX, entry.id);
+  });
+  log.error("Outbox delivery dead-lettered", {
+    channel: entry.channel,
+    outboxId: entry.id,
+    attempts: entry.attempts,
+    error: entry.lastError,
+  });
+}
+
+// Applies an attempt result to an entry; returns the resulting state
+async function record(store, entry, outcome) {
+  entry.attempts += 1;
+  entry.lastAttemptAt = new Date().toISOString();
+
+  if (outcome.ok) {
+    await safely("cleanup", () => store.remove(OUTBOX, entry.id));
+    return DELIVERED;
+  }
+
+  entry.lastError = outcome.error;
+  if (!outcome.retryable || entry.attempts >= MAX_ATTEMPTS) {
+    await moveToDeadLetters(store, entry);
+    return FAILED;
+  }
+
+  const delay = Math.max(outcome.delayMs || 0, backoffDelay(entry.attempts));
+  entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  entry.lockedUntil = null;
+  await safely("update", () => store.update(OUTBOX, entry.id, () => entry));
+  return QUEUED;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+// Queues a notification and tries to deliver it right away. `route` names a
+// notifier route ({ event, name }); `transport: "email"` goes through
+// lib/email. `queueOnly` skips the inline attempt for callers that must
+// answer quickly; the processor sends the entry on its next run. Resolves to
+// one of "delivered", "queued" or "failed".
+async function send(store, { channel, route, transport, payload, ref, queueOnly = false }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    channel,
+    ...(route && { route }),
+    ...(transport && { transport }),
+    payload,
+    ...(ref && { ref }),
+    status: "pending",
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+  };
+  const saved = await safely("insert", () => store.insert(OUTBOX, entry));
+
+  if (queueOnly) {
+    // Nothing will retry an entry the store didn't keep
+    const state = saved ? QUEUED : FAILED;
+    recordDelivery(channel, state);
+    return state;
+  }
+
+  const state = await record(store, entry, await attempt(entry, { timeoutMs: INLINE_TIMEOUT_MS }));
+  if (state !== QUEUED) {
+    recordDelivery(channel, state);
+    return state;
+  }
+
+  log.warn("Outbox delivery queued for retry", { channel, outboxId: entry.id, error: entry.lastError });
+  recordDelivery(channel, QUEUED);
+  return QUEUED;
+}
+
+// Whether a send() result needs no fallback: delivered, or queued for the
+// processor to retry. `stored` is false when the store is failing, since
+// the queued entry then may not have been saved.
+function isHandled(state, { stored = true } = {}) {
+  return state === DELIVERED || (state === QUEUED && stored);
+}
+
+// Retries due entries. Returns counts per resulting state.
+async function processOutbox(store, { limit = 50 } = {}) {
+  const now = Date.now();
+  const due = (await store.list(OUTBOX))
+    .filter(
+      (e) =>
+        Date.parse(e.nextAttemptAt) <= now &&
+        (!e.lockedUntil || Date.parse(e.lockedUntil) <= now)
+    )
+    .slice(0, limit);
+
+  const summary = { [DELIVERED]: 0, [QUEUED]: 0, [FAILED]: 0 };
+  for (const candidate of due) {
+    const lockedUntil = new Date(now + LEASE_MS).toISOString();
+    const entry = await store.update(OUTBOX, candidate.id, (e) =>
+      e.lockedUntil && Date.parse(e.lockedUntil) > now ? e : { ...e, lockedUntil }
+    );
+    if (!entry || entry.lockedUntil !== lockedUntil) continue;
+
+    const state = await record(store, entry, await attempt(entry));
+    summary[state] += 1;
+  }
+  return summary;
+}
+
+module.exports = {
+  OUTBOX,
+  DEAD_LETTERS,
+  DELIVERED,
+  QUEUED,
+  FAILED,
+  SKIPPED,
+  send,
+  isHandled,
+  processOutbox,
+};
@@ -0,0 +1,206 @@
+const zlib = require("zlib");
+
+// ---------------------------------------------------------------------------
+// Minimal PDF writer (built-ins only)
+//
+// Enough for generated documents like quotes: US Letter pages, the standard
+// Helvetica and Helvetica-Bold fonts, text, filled rectangles and lines.
+// Coordinates are PDF points from the bottom-left corner. Text is encoded
+// as WinAnsi, so characters outside it print as "?".
+// ---------------------------------------------------------------------------
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+const FONTS = { regular: "F1", bold: "F2" };
+
+// Helvetica / Helvetica-Bold advance widths for ASCII 32-126, per 1000 em
+// (from the standard Adobe font metrics)
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi code points that differ from Latin-1
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92,
+  "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99,
+};
+
+function encodeText(text) {
+  let out = "";
+  for (const ch of String(text)) {
+    const code = WIN_ANSI[ch] ?? ch.codePointAt(0);
+    const byte = code < 0x20 || (code > 0x7e && code < 0xa0 && !WIN_ANSI[ch]) || code > 0xff ? 0x3f : code;
+    // Escape the string delimiters and backslash
+    out += byte === 0x28 || byte === 0x29 || byte === 0x5c ? `\\${String.fromCharCode(byte)}` : String.fromCharCode(byte);
+  }
+  return out;
+}
+
+function textWidth(text, size, font = "regular") {
+  let units = 0;
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    units += code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH;
+  }
+  return (units * size) / 1000;
+}
+
+// Greedy word wrap to `width` points; long words are broken
+function wrapText(text, width, size, font = "regular") {
+  const lines = [];
+  for (const paragraph of String(text).split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, font) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, size, font) > width) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), size, font) > width) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function rgb(hex) {
+  const n = parseInt(hex.replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((c) => (c / 255).toFixed(3)).join(" ");
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+// ---------------------------------------------------------------------------
+// Document
+// ---------------------------------------------------------------------------
+function createPdf() {
+  const pages = [];
+  let ops = null;
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    // align: "left" | "right" | "center" relative to x
+    text(str, x, y, { size = 10, font = "regular", color = "#000000", align = "left" } = {}) {
+      const width = textWidth(str, size, font);
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      ops.push(
+        `BT /${FONTS[font]} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(y)} Td (${encodeText(str)}) Tj ET`
+      );
+      return doc;
+    },
+
+    rect(x, y, w, h, color) {
+      ops.push(`${rgb(color)} rg ${num(x)} ${num(y)} ${num(w)} ${num(h)} re f`);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { color = "#000000", width = 0.5 } = {}) {
+      ops.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+      return doc;
+    },
+
+    // `info` fills the document properties (Title, Author, …)
+    toBuffer(info = {}) {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const infoEntries = Object.entries(info)
+        .map(([key, value]) => `/${key} (${encodeText(value)})`)
+        .join(" ");
+      const infoObj = add(`<< ${infoEntries} >>`);
+
+      const kids = pages.map((pageOps) => {
+        const stream = zlib.deflateSync(Buffer.from(pageOps.join("\n"), "latin1"));
+        const content = add({ dict: `/Length ${stream.length} /Filter /FlateDecode`, stream });
+        return add(
+          `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let offset = chunks[0].length;
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(offset);
+        const parts =
+          typeof body === "string"
+            ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1")]
+            : [
+                Buffer.from(`${i + 1} 0 obj\n<< ${body.dict} >>\nstream\n`, "latin1"),
+                body.stream,
+                Buffer.from("\nendstream\nendobj\n", "latin1"),
+              ];
+        for (const part of parts) {
+          chunks.push(part);
+          offset += part.length;
+        }
+      });
+
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoObj} 0 R >>`,
+        "startxref",
+        String(offset),
+        "%%EOF",
+        "",
+      ].join("\n");
+      chunks.push(Buffer.from(xref, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return doc;
+}
+
+module.exports = {
+  createPdf,
+  textWidth,
+  wrapText,
+};
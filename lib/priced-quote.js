@@ -0,0 +1,110 @@
+const { cleanText } = require("./escape");
+
+// ---------------------------------------------------------------------------
+// Priced quotes
+//
+// The final, binding quote we send after reviewing a request. Input comes
+// from the admin send-quote endpoint:
+//   { lineItems: [{ description, quantity, unitPrice }], taxRate (percent),
+//     validUntil (YYYY-MM-DD), notes }
+// Amounts are USD; totals are computed in cents so they always add up.
+// ---------------------------------------------------------------------------
+const MAX_LINE_ITEMS = 50;
+const MAX_UNIT_PRICE = 1_000_000;
+const MAX_VALIDITY_DAYS = 365;
+
+class PricedQuoteError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Rounds half-up to the cent; toPrecision drops float noise like
+// 4.335 * 3 * 100 = 1300.4999999999998 first
+function toCents(amount) {
+  return Math.round(Number((amount * 100).toPrecision(12)));
+}
+
+function parseLineItem(item, i) {
+  const label = `lineItems[${i}]`;
+  if (!item || typeof item !== "object") {
+    throw new PricedQuoteError(`${label} must be an object`);
+  }
+  const description = cleanText(item.description, { max: 200 });
+  const quantity = Number(item.quantity);
+  const unitPrice = Number(item.unitPrice);
+  if (!description) {
+    throw new PricedQuoteError(`${label}.description is required`);
+  }
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new PricedQuoteError(`${label}.quantity must be a positive number`);
+  }
+  if (!Number.isFinite(unitPrice) || unitPrice < 0 || unitPrice > MAX_UNIT_PRICE) {
+    throw new PricedQuoteError(`${label}.unitPrice must be between 0 and ${MAX_UNIT_PRICE}`);
+  }
+  return { description, quantity, unitPrice, amountCents: toCents(quantity * unitPrice) };
+}
+
+function parseValidUntil(value, now) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "") || Number.isNaN(Date.parse(value))) {
+    throw new PricedQuoteError("validUntil must be a date (YYYY-MM-DD)");
+  }
+  const today = new Date(now).toISOString().slice(0, 10);
+  if (value < today) {
+    throw new PricedQuoteError("validUntil can't be in the past");
+  }
+  if (Date.parse(value) - Date.parse(today) > MAX_VALIDITY_DAYS * 86_400_000) {
+    throw new PricedQuoteError(`validUntil must be within ${MAX_VALIDITY_DAYS} days`);
+  }
+  return value;
+}
+
+// Validates the input and returns the priced quote stored on the record
+function buildPricedQuote(input, now = Date.now()) {
+  if (!input || typeof input !== "object") {
+    throw new PricedQuoteError("Request body must be a JSON object");
+  }
+  const { lineItems } = input;
+  if (!Array.isArray(lineItems) || lineItems.length === 0 || lineItems.length > MAX_LINE_ITEMS) {
+    throw new PricedQuoteError(`lineItems must list 1-${MAX_LINE_ITEMS} items`);
+  }
+
+  const items = lineItems.map(parseLineItem);
+  const taxRate = input.taxRate === undefined || input.taxRate === "" ? 0 : Number(input.taxRate);
+  if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+    throw new PricedQuoteError("taxRate must be a percentage between 0 and 100");
+  }
+
+  const subtotalCents = items.reduce((sum, item) => sum + item.amountCents, 0);
+  const taxCents = Math.round((subtotalCents * taxRate) / 100);
+
+  return {
+    currency: "USD",
+    lineItems: items.map(({ amountCents, ...item }) => ({ ...item, amount: amountCents / 100 })),
+    subtotal: subtotalCents / 100,
+    taxRate,
+    tax: taxCents / 100,
+    total: (subtotalCents + taxCents) / 100,
+    validUntil: parseValidUntil(input.validUntil, now),
+    notes: cleanText(input.notes, { max: 2000, multiline: true }),
+    issuedAt: new Date(now).toISOString(),
+  };
+}
+
+function formatMoney(amount, currency = "USD") {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount);
+}
+
+// "2026-11-15" -> "November 15, 2026"
+function formatDate(value) {
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T12:00:00Z` : value);
+  return date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+}
+
+module.exports = {
+  PricedQuoteError,
+  buildPricedQuote,
+  formatMoney,
+  formatDate,
+};
@@ -0,0 +1,75 @@
+// ---------------------------------------------------------------------------
+// Instant price estimates
+//
+// These are ballpark ranges for the quote wizard, not binding prices. The
+// final quote is still written by hand after we review the request.
+// ---------------------------------------------------------------------------
+
+// Per-unit price range and one-time setup fee per service, in USD
+const BASE_RATES = {
+  "3d-printing": { unitLow: 8, unitHigh: 25, setup: 10 },
+  "dtf-transfers": { unitLow: 4, unitHigh: 9, setup: 15 },
+  "laser-services": { unitLow: 6, unitHigh: 20, setup: 20 },
+  "sublimation": { unitLow: 10, unitHigh: 18, setup: 10 },
+};
+
+// Unit-price discount by quantity; the first tier whose `min` is met wins
+const QUANTITY_TIERS = [
+  { min: 250, discount: 0.3 },
+  { min: 100, discount: 0.2 },
+  { min: 50, discount: 0.12 },
+  { min: 25, discount: 0.06 },
+  { min: 1, discount: 0 },
+];
+
+// Multiplier on the total, keyed by VALID_TIMELINES
+const TIMELINE_ADJUSTMENTS = {
+  rush: 0.5,
+  standard: 0,
+  flexible: -0.1,
+  ongoing: 0,
+};
+
+const MIN_ORDER_TOTAL = 25;
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+// Expects an already-validated service, timeline and positive quantity.
+// Returns null for unknown services.
+function estimateQuote({ service, quantity, timeline }) {
+  const rates = BASE_RATES[service];
+  if (!rates) return null;
+
+  const tier = QUANTITY_TIERS.find((t) => quantity >= t.min) || QUANTITY_TIERS[QUANTITY_TIERS.length - 1];
+  const timelineAdjustment = TIMELINE_ADJUSTMENTS[timeline] || 0;
+  const multiplier = (1 - tier.discount) * (1 + timelineAdjustment);
+
+  const low = Math.max(MIN_ORDER_TOTAL, (rates.unitLow * quantity + rates.setup) * multiplier);
+  const high = Math.max(MIN_ORDER_TOTAL, (rates.unitHigh * quantity + rates.setup) * multiplier);
+
+  return {
+    currency: "USD",
+    low: roundTo(low, 5),
+    high: roundTo(high, 5),
+    quantityDiscount: tier.discount,
+    timelineAdjustment,
+    setupFee: rates.setup,
+  };
+}
+
+function formatEstimate(estimate) {
+  const fmt = (n) => `$${n.toLocaleString("en-US")}`;
+  return estimate.low === estimate.high
+    ? fmt(estimate.low)
+    : `${fmt(estimate.low)} – ${fmt(estimate.high)}`;
+}
+
+module.exports = {
+  BASE_RATES,
+  QUANTITY_TIERS,
+  TIMELINE_ADJUSTMENTS,
+  estimateQuote,
+  formatEstimate,
+};
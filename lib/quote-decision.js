@@ -0,0 +1,109 @@
+const { signToken, verifyToken } = require("./signed-token");
+const { setQuoteStatus } = require("./quote-status");
+
+// ---------------------------------------------------------------------------
+// Customer accept/decline links for priced quotes
+//
+// The priced-quote email carries one link per decision. Each holds a signed
+// token (lib/signed-token) naming the quote, the decision and the quote
+// version it was issued for, and expiring at the end of the quote's
+// valid-until day.
+// Links open public/poly-quote-response.html, which asks the customer to
+// confirm, so mail scanners that prefetch links can't decide for them.
+// Enabled by QUOTE_LINK_SECRET.
+// ---------------------------------------------------------------------------
+const DECISIONS = {
+  accept: "accepted",
+  decline: "declined",
+};
+
+const RESPONSE_URL = "https://polypeopleprinting.com/poly-quote-response.html";
+
+function isDecisionLinksEnabled() {
+  return Boolean(process.env.QUOTE_LINK_SECRET);
+}
+
+// End of the valid-until day, UTC
+function expiryFor(validUntil) {
+  return Date.parse(`${validUntil}T23:59:59.999Z`);
+}
+
+function issueDecisionToken({ reference, decision, version, expiresAt }, secret) {
+  return signToken({ r: reference, d: decision, v: version, exp: expiresAt }, secret);
+}
+
+// Returns { ok, reason: "missing" | "invalid" | "expired", claims };
+// never throws on bad input
+function verifyDecisionToken(token, secret, now = Date.now()) {
+  const check = verifyToken(token, secret, now);
+  if (check.reason === "missing" || check.reason === "invalid") return check;
+
+  const { claims } = check;
+  if (!claims.r || !DECISIONS[claims.d] || !claims.v || typeof claims.exp !== "number") {
+    return { ok: false, reason: "invalid" };
+  }
+
+  const parsed = { reference: claims.r, decision: claims.d, version: claims.v, expiresAt: claims.exp };
+  if (!check.ok) return { ok: false, reason: check.reason, claims: parsed };
+  return { ok: true, claims: parsed };
+}
+
+// { accept, decline } URLs for a priced quote, or null when links are off.
+// The quote's issuedAt is its version: sending a revised quote retires the
+// links in the earlier email.
+function decisionLinks(reference, pricedQuote) {
+  const secret = process.env.QUOTE_LINK_SECRET;
+  if (!secret) return null;
+
+  const links = {};
+  for (const decision of Object.keys(DECISIONS)) {
+    const token = issueDecisionToken(
+      { reference, decision, version: pricedQuote.issuedAt, expiresAt: expiryFor(pricedQuote.validUntil) },
+      secret
+    );
+    links[decision] = `${RESPONSE_URL}?token=${encodeURIComponent(token)}`;
+  }
+  return links;
+}
+
+// Why a verified token can't be used on this record (or null if it can):
+//   "superseded"  a newer quote was sent since
+//   "decided"     the customer already answered
+//   "closed"      the quote moved on without them (e.g. staff declined it)
+function decisionBlocker(record, claims) {
+  if (record.pricedQuote?.issuedAt !== claims.version) return "superseded";
+  if (record.decision) return "decided";
+  if (record.status !== "quoted") return "closed";
+  return null;
+}
+
+// Records the customer's answer once. Resolves to { outcome, record } where
+// outcome is "recorded", "not-found" or a decisionBlocker() reason.
+async function applyDecision(store, claims, { ip = "" } = {}) {
+  const at = new Date().toISOString();
+  let outcome = "not-found";
+  const updated = await store.update("quotes", claims.reference, (current) => {
+    outcome = decisionBlocker(current, claims) || "recorded";
+    if (outcome !== "recorded") return current;
+    return { ...current, decision: { decision: claims.decision, at, ...(ip && { ip }) } };
+  });
+  if (!updated || outcome !== "recorded") {
+    return { outcome, record: updated };
+  }
+
+  const record = await setQuoteStatus(store, claims.reference, DECISIONS[claims.decision], {
+    note: claims.decision === "accept" ? "Quote accepted by customer" : "Quote declined by customer",
+    by: "customer",
+  });
+  return { outcome, record };
+}
+
+module.exports = {
+  DECISIONS,
+  isDecisionLinksEnabled,
+  issueDecisionToken,
+  verifyDecisionToken,
+  decisionLinks,
+  decisionBlocker,
+  applyDecision,
+};
@@ -0,0 +1,173 @@
+const { SERVICE_LABELS, TIMELINE_LABELS } = require("./catalog");
+const { createPdf, wrapText } = require("./pdf");
+const { formatMoney, formatDate } = require("./priced-quote");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+const BRAND_COLOR = "#764ba2";
+const TEXT_COLOR = "#333333";
+const MUTED_COLOR = "#666666";
+const RULE_COLOR = "#dddddd";
+
+const MARGIN = 50;
+
+// Line-item table columns (right edges for the numeric ones)
+const COLUMNS = { description: MARGIN, qty: 380, unitPrice: 470, amount: 562 };
+const DESCRIPTION_WIDTH = 290;
+const ROW_HEIGHT = 14;
+
+// Start a new page when the cursor drops below this
+const BOTTOM = 110;
+
+// ---------------------------------------------------------------------------
+// Layout helpers
+// ---------------------------------------------------------------------------
+function drawHeader(doc, reference) {
+  doc.rect(0, doc.height - 100, doc.width, 100, BRAND_COLOR);
+  doc.text("Poly People Printing", MARGIN, doc.height - 52, { size: 24, font: "bold", color: "#ffffff" });
+  doc.text("Punderful Perfection", MARGIN, doc.height - 72, { size: 11, color: "#ffffff" });
+  doc.text("QUOTE", doc.width - MARGIN, doc.height - 52, { size: 20, font: "bold", color: "#ffffff", align: "right" });
+  doc.text(reference, doc.width - MARGIN, doc.height - 72, { size: 11, color: "#ffffff", align: "right" });
+}
+
+function drawFooter(doc, pricedQuote, pageNumber) {
+  doc.line(MARGIN, 60, doc.width - MARGIN, 60, { color: RULE_COLOR });
+  doc.text(
+    `This quote is valid until ${formatDate(pricedQuote.validUntil)}.`,
+    MARGIN, 45, { size: 8, color: MUTED_COLOR }
+  );
+  doc.text("Poly People Printing · Auburn, WA · polypeopleprinting.com", MARGIN, 33, {
+    size: 8,
+    color: MUTED_COLOR,
+  });
+  doc.text(`Page ${pageNumber}`, doc.width - MARGIN, 33, { size: 8, color: MUTED_COLOR, align: "right" });
+}
+
+function drawTableHeader(doc, y) {
+  const style = { size: 9, font: "bold", color: MUTED_COLOR };
+  doc.text("DESCRIPTION", COLUMNS.description, y, style);
+  doc.text("QTY", COLUMNS.qty, y, { ...style, align: "right" });
+  doc.text("UNIT PRICE", COLUMNS.unitPrice, y, { ...style, align: "right" });
+  doc.text("AMOUNT", COLUMNS.amount, y, { ...style, align: "right" });
+  doc.line(MARGIN, y - 6, doc.width - MARGIN, y - 6, { color: RULE_COLOR });
+  return y - 20;
+}
+
+function drawLabelled(doc, label, lines, x, y) {
+  doc.text(label, x, y, { size: 9, font: "bold", color: MUTED_COLOR });
+  lines.filter(Boolean).forEach((line, i) => {
+    doc.text(line, x, y - 15 - i * 13, { size: 10, color: TEXT_COLOR });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Quote document
+// ---------------------------------------------------------------------------
+// `record` is a stored quote; `pricedQuote` comes from buildPricedQuote().
+// Returns the PDF as a Buffer.
+function renderQuotePdf(record, pricedQuote) {
+  const { data } = record;
+  const reference = record.id;
+  const doc = createPdf();
+  let pageNumber = 0;
+
+  function newPage() {
+    doc.addPage();
+    pageNumber += 1;
+    drawHeader(doc, reference);
+    drawFooter(doc, pricedQuote, pageNumber);
+    return doc.height - 140;
+  }
+
+  let y = newPage();
+
+  // -- Customer and quote details ------------------------------------------
+  drawLabelled(doc, "PREPARED FOR", [`${data.firstName} ${data.lastName}`, data.email, data.phone], MARGIN, y);
+  drawLabelled(
+    doc,
+    "QUOTE DETAILS",
+    [
+      `Reference: ${reference}`,
+      `Date: ${formatDate(pricedQuote.issuedAt)}`,
+      `Valid until: ${formatDate(pricedQuote.validUntil)}`,
+    ],
+    340,
+    y
+  );
+  y -= 75;
+
+  drawLabelled(
+    doc,
+    "PROJECT",
+    [
+      `${SERVICE_LABELS[data.service] || data.service} · Quantity ${data.quantity}`,
+      `Timeline: ${TIMELINE_LABELS[data.timeline] || data.timeline}`,
+    ],
+    MARGIN,
+    y
+  );
+  y -= 65;
+
+  // -- Line items ----------------------------------------------------------
+  y = drawTableHeader(doc, y);
+  for (const item of pricedQuote.lineItems) {
+    const lines = wrapText(item.description, DESCRIPTION_WIDTH, 10);
+    if (y - lines.length * ROW_HEIGHT < BOTTOM) {
+      y = drawTableHeader(doc, newPage());
+    }
+    const style = { size: 10, color: TEXT_COLOR };
+    doc.text(String(item.quantity), COLUMNS.qty, y, { ...style, align: "right" });
+    doc.text(formatMoney(item.unitPrice), COLUMNS.unitPrice, y, { ...style, align: "right" });
+    doc.text(formatMoney(item.amount), COLUMNS.amount, y, { ...style, align: "right" });
+    for (const line of lines) {
+      doc.text(line, COLUMNS.description, y, style);
+      y -= ROW_HEIGHT;
+    }
+    y -= 6;
+  }
+
+  // -- Totals --------------------------------------------------------------
+  if (y - 70 < BOTTOM) y = newPage();
+  doc.line(330, y + 8, doc.width - MARGIN, y + 8, { color: RULE_COLOR });
+  const totals = [
+    ["Subtotal", formatMoney(pricedQuote.subtotal)],
+    [`Tax (${pricedQuote.taxRate}%)`, formatMoney(pricedQuote.tax)],
+  ];
+  for (const [label, value] of totals) {
+    y -= 8;
+    doc.text(label, COLUMNS.unitPrice, y, { size: 10, color: TEXT_COLOR, align: "right" });
+    doc.text(value, COLUMNS.amount, y, { size: 10, color: TEXT_COLOR, align: "right" });
+    y -= 8;
+  }
+  y -= 12;
+  doc.text("Total", COLUMNS.unitPrice, y, { size: 12, font: "bold", color: BRAND_COLOR, align: "right" });
+  doc.text(formatMoney(pricedQuote.total), COLUMNS.amount, y, {
+    size: 12,
+    font: "bold",
+    color: BRAND_COLOR,
+    align: "right",
+  });
+  y -= 40;
+
+  // -- Notes ---------------------------------------------------------------
+  if (pricedQuote.notes) {
+    const lines = wrapText(pricedQuote.notes, doc.width - MARGIN * 2, 10);
+    if (y - 15 < BOTTOM) y = newPage();
+    doc.text("NOTES", MARGIN, y, { size: 9, font: "bold", color: MUTED_COLOR });
+    y -= 15;
+    for (const line of lines) {
+      if (y < BOTTOM) y = newPage();
+      doc.text(line, MARGIN, y, { size: 10, color: TEXT_COLOR });
+      y -= 13;
+    }
+  }
+
+  return doc.toBuffer({
+    Title: `Quote ${reference}`,
+    Author: "Poly People Printing",
+    Subject: `${SERVICE_LABELS[data.service] || data.service} quote`,
+  });
+}
+
+module.exports = { renderQuotePdf };
@@ -0,0 +1,70 @@
+// ---------------------------------------------------------------------------
+// Quote lifecycle
+// ---------------------------------------------------------------------------
+const QUOTE_STATUSES = [
+  "received",
+  "reviewing",
+  "awaiting-info",
+  "quoted",
+  "accepted",
+  "declined",
+  "in-production",
+  "ready",
+  "closed",
+];
+
+const QUOTE_STATUS_LABELS = {
+  received: "Received",
+  reviewing: "Reviewing",
+  "awaiting-info": "Info Requested",
+  quoted: "Quoted",
+  accepted: "Accepted",
+  declined: "Declined",
+  "in-production": "In Production",
+  ready: "Ready",
+  closed: "Closed",
+};
+
+function initialStatus(at) {
+  return {
+    status: "received",
+    statusHistory: [{ status: "received", at }],
+  };
+}
+
+function checkStatus(status) {
+  if (!QUOTE_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}". Must be one of: ${QUOTE_STATUSES.join(", ")}`);
+  }
+}
+
+// `record` moved to `status`, for use inside a store.update() updater.
+// `note` is shown to the customer on the status page; `by` is internal and
+// never returned publicly.
+function withStatus(record, status, { note = "", by = "", at = new Date().toISOString() } = {}) {
+  checkStatus(status);
+  return {
+    ...record,
+    status,
+    updatedAt: at,
+    statusHistory: [
+      ...(record.statusHistory || []),
+      { status, at, ...(note && { note }), ...(by && { by }) },
+    ],
+  };
+}
+
+// Records a status change on a stored quote (or order)
+async function setQuoteStatus(store, reference, status, { note = "", by = "", collection = "quotes" } = {}) {
+  checkStatus(status);
+  const at = new Date().toISOString();
+  return store.update(collection, reference, (record) => withStatus(record, status, { note, by, at }));
+}
+
+module.exports = {
+  QUOTE_STATUSES,
+  QUOTE_STATUS_LABELS,
+  initialStatus,
+  withStatus,
+  setQuoteStatus,
+};
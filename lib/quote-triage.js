@@ -0,0 +1,83 @@
+const { QUOTE_STATUS_LABELS, withStatus } = require("./quote-status");
+
+// ---------------------------------------------------------------------------
+// Quote triage from Discord buttons
+//
+// Quote alerts carry one button per action, with custom_id
+// "triage:<action>:<reference>". Enabled by DISCORD_PUBLIC_KEY; see
+// api/discord/interactions.js for the endpoint that handles the clicks.
+// "Mark Quoted" only records the status: priced quotes go out through
+// /api/admin/send-quote, which needs the line items.
+// ---------------------------------------------------------------------------
+const TRIAGE_ACTIONS = {
+  claim: { label: "Claim", done: "Claimed", style: "primary", status: "reviewing" },
+  "request-info": { label: "Request Info", done: "Info requested", style: "secondary", status: "awaiting-info" },
+  "mark-quoted": { label: "Mark Quoted", done: "Marked quoted", style: "success", status: "quoted" },
+  decline: { label: "Decline", done: "Declined", style: "danger", status: "declined" },
+};
+
+const CUSTOM_ID = /^triage:([a-z-]+):([A-Z0-9-]+)$/;
+
+function isTriageEnabled() {
+  return Boolean(process.env.DISCORD_PUBLIC_KEY);
+}
+
+// Alert actions for a quote. Claim stays available so a quote can be handed
+// over; the others are disabled once the quote is in their status.
+function quoteActions(reference, status = "received") {
+  return Object.entries(TRIAGE_ACTIONS).map(([action, def]) => ({
+    id: `triage:${action}:${reference}`,
+    label: def.label,
+    style: def.style,
+    disabled: action !== "claim" && def.status === status,
+  }));
+}
+
+function parseTriageId(customId) {
+  const match = CUSTOM_ID.exec(customId || "");
+  if (!match || !TRIAGE_ACTIONS[match[1]]) return null;
+  return { action: match[1], reference: match[2] };
+}
+
+// Records who did what and moves the quote to the action's status, in one
+// update. Claiming only moves a new quote forward, never back; a note (the
+// Request Info question) is recorded even when the status stays the same.
+// Resolves to the updated record, or null when the quote doesn't exist.
+async function applyTriageAction(store, reference, action, user, { note = "" } = {}) {
+  const at = new Date().toISOString();
+  const { status } = TRIAGE_ACTIONS[action];
+  return store.update("quotes", reference, (current) => {
+    const record = {
+      ...current,
+      ...(action === "claim" && { claimedBy: { id: user.id, name: user.name, at } }),
+      lastTriage: { action, userId: user.id, name: user.name, at },
+    };
+    const from = current.status || "received";
+    const moves = from !== status && (action !== "claim" || from === "received");
+    return moves || note ? withStatus(record, status, { note, by: `discord:${user.name}`, at }) : record;
+  });
+}
+
+// Status block shown at the top of the quote embed (Discord Markdown)
+function triageSummary(record) {
+  const status = record.status || "received";
+  const lines = [`**Status:** ${QUOTE_STATUS_LABELS[status] || status}`];
+  if (record.claimedBy) {
+    lines.push(`**Claimed by:** <@${record.claimedBy.id}>`);
+  }
+  if (record.lastTriage) {
+    const { action, userId, at } = record.lastTriage;
+    const when = Math.floor(Date.parse(at) / 1000);
+    lines.push(`${TRIAGE_ACTIONS[action].done} by <@${userId}> <t:${when}:R>`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  TRIAGE_ACTIONS,
+  isTriageEnabled,
+  quoteActions,
+  parseTriageId,
+  applyTriageAction,
+  triageSummary,
+};
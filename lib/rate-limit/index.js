@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const { log } = require("../log");
+
+// ---------------------------------------------------------------------------
+// Rate limiting (sliding-window log, keyed by client IP and submitted email)
+//
+// RATE_LIMIT_BACKEND picks "memory" (per instance) or "redis" (shared
+// across instances, needs REDIS_URL). It defaults to "redis" on Vercel when
+// REDIS_URL is set, like the submission store, and to "memory" otherwise.
+// RATE_LIMITS may hold a JSON object that overrides the per-route defaults
+// below, e.g.
+//   {"quote-submission":{"email":{"max":3,"windowMs":3600000}}}
+// ---------------------------------------------------------------------------
+const DEFAULT_LIMITS = {
+  "quote-submission": {
+    ip: { max: 10, windowMs: 60_000 },
+    email: { max: 5, windowMs: 60 * 60_000 },
+  },
+  "contact-submission": {
+    ip: { max: 10, windowMs: 60_000 },
+    email: { max: 5, windowMs: 60 * 60_000 },
+  },
+  "quote-estimate": {
+    ip: { max: 30, windowMs: 60_000 },
+  },
+  "quote-status": {
+    ip: { max: 10, windowMs: 60_000 },
+  },
+  "quote-decision": {
+    ip: { max: 10, windowMs: 60_000 },
+  },
+  "newsletter-subscribe": {
+    ip: { max: 5, windowMs: 60_000 },
+    email: { max: 3, windowMs: 60 * 60_000 },
+  },
+  "newsletter-link": {
+    ip: { max: 10, windowMs: 60_000 },
+  },
+  "new-order": {
+    ip: { max: 10, windowMs: 60_000 },
+  },
+  "form-token": {
+    ip: { max: 30, windowMs: 60_000 },
+  },
+};
+
+const BACKENDS = {
+  memory: () => require("./memory").create(),
+  redis: () => {
+    if (!process.env.REDIS_URL) {
+      throw new Error("RATE_LIMIT_BACKEND=redis requires REDIS_URL");
+    }
+    return require("./redis").create({ url: process.env.REDIS_URL });
+  },
+};
+
+let backend = null;
+let limits = null;
+
+function getBackend() {
+  if (!backend) {
+    const shared = Boolean(process.env.VERCEL && process.env.REDIS_URL);
+    const name = (process.env.RATE_LIMIT_BACKEND || (shared ? "redis" : "memory")).toLowerCase();
+    if (!BACKENDS[name]) {
+      throw new Error(`Unknown RATE_LIMIT_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(", ")}`);
+    }
+    backend = BACKENDS[name]();
+  }
+  return backend;
+}
+
+function getLimits() {
+  if (!limits) {
+    let overrides = {};
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+    } catch {
+      log.error("RATE_LIMITS is not valid JSON — using defaults");
+    }
+    limits = {};
+    for (const route of new Set([...Object.keys(DEFAULT_LIMITS), ...Object.keys(overrides)])) {
+      limits[route] = { ...DEFAULT_LIMITS[route], ...overrides[route] };
+    }
+  }
+  return limits;
+}
+
+// Keys are hashed so emails and IPs never sit in the backend in clear text
+function bucketKey(route, dimension, value) {
+  const digest = crypto.createHash("sha256").update(String(value).toLowerCase()).digest("hex");
+  return `rl:${route}:${dimension}:${digest.slice(0, 32)}`;
+}
+
+// Checks (and counts) one request against every configured dimension in
+// `keys`, e.g. { ip } or { email }. Resolves to the most restrictive result:
+//   { allowed, limit, remaining, resetSeconds, dimension }
+// Backend failures fail open so a Redis outage never blocks submissions.
+async function checkRateLimit(route, keys) {
+  const routeLimits = getLimits()[route] || {};
+  let result = { allowed: true, limit: null };
+
+  for (const [dimension, value] of Object.entries(keys)) {
+    const config = routeLimits[dimension];
+    if (!config || !value) continue;
+
+    let hit;
+    try {
+      hit = await getBackend().hit(bucketKey(route, dimension, value), config);
+    } catch (err) {
+      log.error("Rate limiter error", { limit: route, dimension, err });
+      continue;
+    }
+
+    const current = {
+      allowed: hit.allowed,
+      limit: config.max,
+      remaining: Math.max(0, config.max - hit.count),
+      resetSeconds: Math.ceil(hit.resetMs / 1000),
+      dimension,
+    };
+    if (
+      result.limit === null ||
+      (!current.allowed && result.allowed) ||
+      (current.allowed === result.allowed && current.remaining < result.remaining)
+    ) {
+      result = current;
+    }
+  }
+
+  return result;
+}
+
+// Sets RateLimit-* headers (IETF draft) and Retry-After when blocked. When
+// called twice for one request, the more restrictive values win.
+function setRateLimitHeaders(res, result) {
+  if (result.limit === null) return;
+
+  const existing = res.getHeader?.("RateLimit-Remaining");
+  if (result.allowed && existing !== undefined && Number(existing) <= result.remaining) {
+    return;
+  }
+
+  res.setHeader("RateLimit-Limit", String(result.limit));
+  res.setHeader("RateLimit-Remaining", String(result.remaining));
+  res.setHeader("RateLimit-Reset", String(result.resetSeconds));
+  if (!result.allowed) {
+    res.setHeader("Retry-After", String(Math.max(1, result.resetSeconds)));
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  checkRateLimit,
+  setRateLimitHeaders,
+};
@@ -0,0 +1,39 @@
+// ---------------------------------------------------------------------------
+// In-memory sliding-window log (per instance, resets on cold start)
+// ---------------------------------------------------------------------------
+const SWEEP_EVERY = 500;
+
+function create() {
+  const hits = new Map();
+  let calls = 0;
+
+  // Drop keys whose newest hit has left every window we track
+  function sweep(now, maxWindowMs) {
+    for (const [key, times] of hits) {
+      if (times.length === 0 || now - times[times.length - 1] > maxWindowMs) {
+        hits.delete(key);
+      }
+    }
+  }
+
+  return {
+    async hit(key, { max, windowMs }, now = Date.now()) {
+      calls += 1;
+      if (calls % SWEEP_EVERY === 0) sweep(now, 24 * 60 * 60_000);
+
+      const times = (hits.get(key) || []).filter((t) => now - t < windowMs);
+      const allowed = times.length < max;
+      if (allowed) times.push(now);
+      hits.set(key, times);
+
+      return {
+        allowed,
+        count: times.length,
+        // The window frees a slot when its oldest hit ages out
+        resetMs: times.length ? times[0] + windowMs - now : windowMs,
+      };
+    },
+  };
+}
+
+module.exports = { create };
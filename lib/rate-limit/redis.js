@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+const { createClient, RedisError } = require("../redis");
+
+// ---------------------------------------------------------------------------
+// Redis sliding-window log — one sorted set per key, scored by timestamp
+//
+// Shared by every instance. Uses only plain commands in MULTI/EXEC (no Lua),
+// so it works against any Redis-protocol server.
+// ---------------------------------------------------------------------------
+function create({ url }) {
+  const client = createClient(url);
+
+  return {
+    async hit(key, { max, windowMs }, now = Date.now()) {
+      const member = `${now}-${crypto.randomBytes(4).toString("hex")}`;
+      const replies = await client.pipeline([
+        ["MULTI"],
+        ["ZREMRANGEBYSCORE", key, "-inf", now - windowMs],
+        ["ZADD", key, now, member],
+        ["ZCARD", key],
+        ["ZRANGE", key, 0, 0, "WITHSCORES"],
+        ["PEXPIRE", key, windowMs],
+        ["EXEC"],
+      ]);
+      const exec = replies[replies.length - 1];
+      if (exec instanceof RedisError || !Array.isArray(exec)) {
+        throw exec instanceof RedisError ? exec : new RedisError("MULTI/EXEC aborted");
+      }
+
+      const count = exec[2];
+      const oldest = Number(exec[3][1]);
+      const allowed = count <= max;
+      if (!allowed) {
+        // Rejected requests don't count against the window
+        await client.command("ZREM", key, member);
+      }
+
+      return {
+        allowed,
+        count: allowed ? count : count - 1,
+        resetMs: Math.max(0, oldest + windowMs - now),
+      };
+    },
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,211 @@
+const net = require("net");
+const tls = require("tls");
+
+// ---------------------------------------------------------------------------
+// Minimal Redis client (RESP2 over net/tls, no dependencies)
+//
+// Supports exactly what we need: pipelined commands with replies matched in
+// order, AUTH/SELECT from a redis:// or rediss:// URL, and reconnect on the
+// next command after a dropped connection.
+// ---------------------------------------------------------------------------
+const CONNECT_TIMEOUT_MS = 2_000;
+const COMMAND_TIMEOUT_MS = 2_000;
+
+class RedisError extends Error {}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+// Parses one reply from `buf` at `offset`. Returns [value, nextOffset], or
+// null if the buffer doesn't yet hold a complete reply. Throws a RedisError
+// on malformed input.
+function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return [line, next];
+    case "-":
+      return [new RedisError(line), next];
+    case ":":
+      return [Number(line), next];
+    case "$": {
+      const len = Number(line);
+      if (!Number.isInteger(len) || len < -1) throw new RedisError(`Malformed RESP length: ${line}`);
+      if (len === -1) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString("utf8", next, next + len), next + len + 2];
+    }
+    case "*": {
+      const count = Number(line);
+      if (!Number.isInteger(count) || count < -1) throw new RedisError(`Malformed RESP length: ${line}`);
+      if (count === -1) return [null, next];
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const parsed = parseReply(buf, pos);
+        if (!parsed) return null;
+        items.push(parsed[0]);
+        pos = parsed[1];
+      }
+      return [items, pos];
+    }
+    default:
+      throw new RedisError(`Unexpected RESP type byte: ${type}`);
+  }
+}
+
+function createClient(url) {
+  const parsed = new URL(url);
+  const secure = parsed.protocol === "rediss:";
+  const options = {
+    host: parsed.hostname || "127.0.0.1",
+    port: Number(parsed.port) || 6379,
+  };
+  const password = decodeURIComponent(parsed.password || "");
+  const username = decodeURIComponent(parsed.username || "");
+  const db = Number(parsed.pathname.slice(1)) || 0;
+
+  // Each connection keeps its own socket, read buffer and reply queue, so
+  // a late close or error from a replaced socket can't touch the current one
+  let current = null;
+  let ready = null;
+
+  function reset(conn, err) {
+    if (conn.closed) return;
+    conn.closed = true;
+    conn.socket.destroy();
+    if (current === conn) {
+      current = null;
+      ready = null;
+    }
+    const waiting = conn.pending;
+    conn.pending = [];
+    waiting.forEach((p) => {
+      clearTimeout(p.timer);
+      p.reject(err || new RedisError("Connection closed"));
+    });
+  }
+
+  function onData(conn, chunk) {
+    conn.buffer = Buffer.concat([conn.buffer, chunk]);
+    let offset = 0;
+    while (conn.pending.length > 0) {
+      let parsed;
+      try {
+        parsed = parseReply(conn.buffer, offset);
+      } catch (err) {
+        // The stream can't be resynced after a bad reply
+        reset(conn, err);
+        return;
+      }
+      if (!parsed) break;
+      offset = parsed[1];
+      const waiter = conn.pending.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(parsed[0]);
+    }
+    conn.buffer = conn.buffer.subarray(offset);
+  }
+
+  function write(conn, commands) {
+    if (conn.closed) return Promise.reject(new RedisError("Connection closed"));
+    const replies = commands.map(
+      () =>
+        new Promise((resolve, reject) => {
+          const timer = setTimeout(
+            () => reset(conn, new RedisError("Redis command timed out")),
+            COMMAND_TIMEOUT_MS
+          );
+          conn.pending.push({ resolve, reject, timer });
+        })
+    );
+    conn.socket.write(commands.map(encodeCommand).join(""));
+    return Promise.all(replies);
+  }
+
+  function connect() {
+    if (ready) return ready;
+    const attempt = new Promise((resolve, reject) => {
+      const sock = secure
+        ? tls.connect({ ...options, servername: options.host })
+        : net.connect(options);
+      const conn = { socket: sock, buffer: Buffer.alloc(0), pending: [], closed: false };
+      const timer = setTimeout(() => {
+        reset(conn, new RedisError("Redis connect timed out"));
+        reject(new RedisError("Redis connect timed out"));
+      }, CONNECT_TIMEOUT_MS);
+
+      sock.once(secure ? "secureConnect" : "connect", async () => {
+        clearTimeout(timer);
+        // Don't keep a serverless invocation alive just for this socket
+        sock.unref();
+        const setup = [];
+        if (password) setup.push(username ? ["AUTH", username, password] : ["AUTH", password]);
+        if (db) setup.push(["SELECT", db]);
+        try {
+          const replies = setup.length ? await write(conn, setup) : [];
+          const error = replies.find((r) => r instanceof RedisError);
+          if (error) throw error;
+          resolve(conn);
+        } catch (err) {
+          reset(conn, err);
+          reject(err);
+        }
+      });
+      sock.on("data", (chunk) => onData(conn, chunk));
+      sock.on("error", (err) => {
+        clearTimeout(timer);
+        reset(conn, err);
+        reject(err);
+      });
+      sock.on("close", () => {
+        clearTimeout(timer);
+        reset(conn);
+        reject(new RedisError("Connection closed"));
+      });
+      current = conn;
+    });
+    ready = attempt;
+    attempt.catch(() => {
+      if (ready === attempt) ready = null;
+    });
+    return attempt;
+  }
+
+  return {
+    // Sends several commands in one round trip; resolves to their replies.
+    // Error replies are returned as RedisError instances, not thrown.
+    async pipeline(commands) {
+      const conn = await connect();
+      return write(conn, commands);
+    },
+
+    async command(...args) {
+      const [reply] = await this.pipeline([args]);
+      if (reply instanceof RedisError) throw reply;
+      return reply;
+    },
+
+    close() {
+      if (current) reset(current);
+    },
+  };
+}
+
+module.exports = {
+  RedisError,
+  createClient,
+  encodeCommand,
+  parseReply,
+};
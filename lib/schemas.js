@@ -0,0 +1,258 @@
+const { VALID_SERVICES, VALID_TIMELINES, SERVICE_LABELS, TIMELINE_LABELS } = require("./catalog");
+const { cleanText } = require("./escape");
+
+// ---------------------------------------------------------------------------
+// Payload schemas
+//
+// One declarative description per payload, enforced by the API and served
+// to the front end by /api/schema/<name> so the quote wizard checks each
+// step with the same rules. Field types:
+//   text     cleanText()-ed; maxLength (default 1000), multiline, lowercase
+//   email    trimmed, lowercased, must match EMAIL_PATTERN
+//   phone    only digits, spaces and + - ( ); at least one digit
+//   integer  whole number; min, max
+//   enum     one of `values` (`labels` are the display names)
+//   boolean  checkboxes; multipart forms send "true"/"false"
+// `message` is what the form shows next to the field when it fails, and
+// `label` names the field in the summary error.
+// ---------------------------------------------------------------------------
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CONTACT_METHODS = ["email", "phone", "text"];
+
+const QUOTE_FIELDS = {
+  service: {
+    type: "enum",
+    required: true,
+    values: VALID_SERVICES,
+    labels: SERVICE_LABELS,
+    label: "Service",
+    message: "Please select a service before continuing",
+  },
+  quantity: {
+    type: "integer",
+    required: true,
+    min: 1,
+    label: "Quantity",
+    message: "Please enter the quantity you need",
+  },
+  timeline: {
+    type: "enum",
+    required: true,
+    values: VALID_TIMELINES,
+    labels: TIMELINE_LABELS,
+    label: "Timeline",
+    message: "Please select a timeline for your project",
+  },
+  dimensions: { type: "text", label: "Dimensions" },
+  materials: { type: "text", label: "Material/Color" },
+  budget: { type: "text", label: "Budget" },
+  description: { type: "text", multiline: true, label: "Description" },
+  referral: { type: "text", label: "Referral source" },
+  firstName: {
+    type: "text",
+    required: true,
+    label: "First name",
+    message: "Please enter your first name",
+  },
+  lastName: {
+    type: "text",
+    required: true,
+    label: "Last name",
+    message: "Please enter your last name",
+  },
+  email: {
+    type: "email",
+    required: true,
+    label: "Email",
+    message: "Please enter a valid email address",
+  },
+  phone: {
+    type: "phone",
+    required: true,
+    label: "Phone",
+    message: "Please enter your phone number",
+  },
+  contactMethod: {
+    type: "enum",
+    values: CONTACT_METHODS,
+    default: "email",
+    label: "Preferred contact method",
+    message: "Please choose how we should contact you",
+  },
+  newsletter: { type: "boolean", label: "Newsletter" },
+};
+
+const SCHEMAS = {
+  // /api/quote-submission (poly-quote.html)
+  quote: QUOTE_FIELDS,
+
+  // /api/webhooks/new-order, legacy form payload. Senders predate the
+  // quote form's checks: quantity can be a range ("50-100", "100+"), email
+  // and phone are passed on as sent, and the contact method is free text
+  // with no default.
+  order: {
+    ...QUOTE_FIELDS,
+    quantity: {
+      type: "text",
+      required: true,
+      label: "Quantity",
+      message: "Please enter the quantity you need",
+    },
+    email: {
+      type: "text",
+      required: true,
+      lowercase: true,
+      label: "Email",
+      message: "Please enter an email address",
+    },
+    phone: {
+      type: "text",
+      required: true,
+      label: "Phone",
+      message: "Please enter your phone number",
+    },
+    contactMethod: { type: "text", label: "Preferred contact method" },
+  },
+
+  // /api/contact-submission (poly-contact.html)
+  contact: {
+    name: {
+      type: "text",
+      required: true,
+      label: "Name",
+      message: "Please enter your name",
+    },
+    email: {
+      type: "email",
+      required: true,
+      label: "Email",
+      message: "Please enter a valid email address",
+    },
+    subject: { type: "text", label: "Subject" },
+    message: {
+      type: "text",
+      required: true,
+      multiline: true,
+      label: "Message",
+      message: "Please enter your message",
+    },
+  },
+};
+
+const SCHEMA_NAMES = Object.keys(SCHEMAS);
+
+// ---------------------------------------------------------------------------
+// Field checks
+// ---------------------------------------------------------------------------
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function sanitizeEmail(email) {
+  const cleaned = (email || "").toString().trim().toLowerCase().substring(0, 254);
+  return EMAIL_PATTERN.test(cleaned) ? cleaned : "";
+}
+
+function sanitizePhone(phone) {
+  if (!phone) return "";
+  return phone.toString().replace(/[^0-9+\-() ]/g, "").substring(0, 20);
+}
+
+// Returns { value } or { code } for one non-blank input
+function checkField(spec, raw) {
+  switch (spec.type) {
+    case "enum": {
+      const value = cleanText(raw);
+      return spec.values.includes(value) ? { value } : { code: "invalid" };
+    }
+    case "integer": {
+      const value = Number(String(raw).trim());
+      if (!Number.isInteger(value)) return { code: "invalid" };
+      if (spec.min !== undefined && value < spec.min) return { code: "range" };
+      if (spec.max !== undefined && value > spec.max) return { code: "range" };
+      return { value };
+    }
+    case "email": {
+      const value = sanitizeEmail(raw);
+      return value ? { value } : { code: "invalid" };
+    }
+    case "phone": {
+      const value = sanitizePhone(raw);
+      return /\d/.test(value) ? { value } : { code: "invalid" };
+    }
+    case "boolean":
+      return { value: !["false", "0", "off", "no"].includes(String(raw).trim().toLowerCase()) };
+    default: {
+      const value = cleanText(raw, { max: spec.maxLength, multiline: spec.multiline });
+      if (!value) return { code: "required" };
+      return { value: spec.lowercase ? value.toLowerCase() : value };
+    }
+  }
+}
+
+function emptyValue(spec) {
+  if (spec.default !== undefined) return spec.default;
+  return spec.type === "boolean" ? false : "";
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+// Returns { value, errors }. `value` holds every schema field, sanitized
+// (unknown fields are dropped); `errors` is [{ field, code, message }] with
+// code "required", "invalid" or "range", in schema order.
+function validate(name, data) {
+  if (!SCHEMA_NAMES.includes(name)) throw new Error(`Unknown schema: ${name}`);
+  const fields = SCHEMAS[name];
+
+  const value = {};
+  const errors = [];
+  for (const [field, spec] of Object.entries(fields)) {
+    const raw = data[field];
+    const result = isBlank(raw)
+      ? spec.required ? { code: "required" } : { value: emptyValue(spec) }
+      : checkField(spec, raw);
+
+    if (result.code) {
+      if (result.code !== "required" || spec.required) {
+        errors.push({ field, code: result.code, message: spec.message || `${spec.label} is not valid` });
+      }
+      value[field] = emptyValue(spec);
+    } else {
+      value[field] = result.value;
+    }
+  }
+  return { value, errors };
+}
+
+// Response body for a failed validate(): the summary string older clients
+// show, plus the per-field errors
+function validationErrorBody(name, errors) {
+  const labels = errors.map(({ field }) => SCHEMAS[name][field].label);
+  return { error: `Please check these fields: ${labels.join(", ")}`, errors };
+}
+
+// JSON-safe copy for /api/schema/<name>; patterns go out as strings
+function publicSchema(name) {
+  if (!SCHEMA_NAMES.includes(name)) return null;
+  const fields = SCHEMAS[name];
+
+  const out = {};
+  for (const [field, spec] of Object.entries(fields)) {
+    out[field] = {
+      ...spec,
+      ...(spec.type === "text" && { maxLength: spec.maxLength || 1000 }),
+      ...(spec.type === "email" && { pattern: EMAIL_PATTERN.source }),
+    };
+  }
+  return { name, fields: out };
+}
+
+module.exports = {
+  SCHEMA_NAMES,
+  sanitizeEmail,
+  validate,
+  validationErrorBody,
+  publicSchema,
+};
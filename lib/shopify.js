@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const { cleanText } = require("./escape");
+
+// ---------------------------------------------------------------------------
+// Shopify order webhooks (orders/create, orders/paid)
+//
+// Shopify signs the raw request body with the app's webhook secret and sends
+// the base64 HMAC-SHA256 in X-Shopify-Hmac-Sha256.
+// ---------------------------------------------------------------------------
+const SHOPIFY_TOPICS = ["orders/create", "orders/paid"];
+
+const EMBED_COLOR = 0x95bf47; // Shopify green
+
+// ---------------------------------------------------------------------------
+// Signature
+// ---------------------------------------------------------------------------
+// `rawBody` is the request body as received (a Buffer); a parsed and
+// re-serialized body won't match
+function verifyShopifyHmac(rawBody, header, secret) {
+  if (!header || !Buffer.isBuffer(rawBody)) return false;
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const received = Buffer.from(header, "base64");
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+function clean(value) {
+  return cleanText(value, { max: 500 });
+}
+
+function normalizeAddress(address) {
+  if (!address) return null;
+  return {
+    name: clean(address.name || [address.first_name, address.last_name].filter(Boolean).join(" ")),
+    company: clean(address.company),
+    address1: clean(address.address1),
+    address2: clean(address.address2),
+    city: clean(address.city),
+    province: clean(address.province_code || address.province),
+    zip: clean(address.zip),
+    country: clean(address.country_code || address.country),
+  };
+}
+
+function fulfillmentMethod(order) {
+  const lines = (order.shipping_lines || []).map((l) => l.title).filter(Boolean);
+  if (lines.length > 0) return lines.join(", ");
+  const needsShipping = (order.line_items || []).some((li) => li.requires_shipping);
+  return needsShipping ? "Shipping" : "No shipping required";
+}
+
+function shippingTotal(order) {
+  const set = order.total_shipping_price_set?.shop_money?.amount;
+  if (set !== undefined) return set;
+  return (order.shipping_lines || [])
+    .reduce((sum, l) => sum + (parseFloat(l.price) || 0), 0)
+    .toFixed(2);
+}
+
+// Shape stored as the "data" of a Shopify order record
+function normalizeShopifyOrder(order, receivedAt) {
+  const customer = order.customer || {};
+  const billing = order.billing_address || {};
+  const shipping = order.shipping_address || {};
+
+  return {
+    source: "shopify",
+    shopifyId: String(order.id),
+    orderName: clean(order.name || `#${order.order_number || order.id}`),
+    firstName: clean(customer.first_name || billing.first_name || shipping.first_name),
+    lastName: clean(customer.last_name || billing.last_name || shipping.last_name),
+    email: clean((order.email || order.contact_email || customer.email || "").toLowerCase()),
+    phone: clean(order.phone || customer.phone || shipping.phone || billing.phone),
+    currency: clean(order.currency || "USD"),
+    financialStatus: clean(order.financial_status || "pending"),
+    fulfillmentStatus: clean(order.fulfillment_status || "unfulfilled"),
+    fulfillmentMethod: clean(fulfillmentMethod(order)),
+    lineItems: (order.line_items || []).map((li) => ({
+      title: clean(li.title || li.name),
+      variant: clean(li.variant_title),
+      sku: clean(li.sku),
+      quantity: Number(li.quantity) || 0,
+      price: clean(li.price),
+    })),
+    totals: {
+      subtotal: clean(order.subtotal_price),
+      shipping: clean(shippingTotal(order)),
+      tax: clean(order.total_tax),
+      discounts: clean(order.total_discounts),
+      total: clean(order.total_price),
+    },
+    shippingAddress: normalizeAddress(order.shipping_address),
+    note: cleanText(order.note, { max: 500, multiline: true }),
+    timestamp: receivedAt,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Team alert
+// ---------------------------------------------------------------------------
+function formatMoney(amount, currency) {
+  const value = parseFloat(amount);
+  if (Number.isNaN(value)) return "—";
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+function formatAddress(address) {
+  if (!address) return null;
+  return [
+    address.name,
+    address.company,
+    address.address1,
+    address.address2,
+    [address.city, address.province, address.zip].filter(Boolean).join(", "),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function buildShopifyOrderAlert(order, reference, topic) {
+  const money = (amount) => formatMoney(amount, order.currency);
+  const title = `${topic === "orders/paid" ? "Order Paid" : "New Shopify Order"} ${order.orderName}`;
+
+  const items = order.lineItems.map((li) => {
+    const variant = li.variant && li.variant !== "Default Title" ? ` (${li.variant})` : "";
+    const sku = li.sku ? ` [${li.sku}]` : "";
+    return `${li.quantity} × ${li.title}${variant}${sku} — ${money(li.price)}`;
+  });
+
+  const totals = [`Subtotal: ${money(order.totals.subtotal)}`];
+  if (parseFloat(order.totals.discounts) > 0) totals.push(`Discounts: -${money(order.totals.discounts)}`);
+  totals.push(`Shipping: ${money(order.totals.shipping)}`);
+  totals.push(`Tax: ${money(order.totals.tax)}`);
+  totals.push(`Total: ${money(order.totals.total)}`);
+
+  const fields = [
+    { name: "Customer", value: `${order.firstName} ${order.lastName}`.trim() || "—", inline: true },
+    { name: "Email", value: order.email || "—", inline: true },
+    { name: "Phone", value: order.phone || "—", inline: true },
+    { name: "Payment", value: order.financialStatus, inline: true },
+    { name: "Fulfillment", value: `${order.fulfillmentMethod} (${order.fulfillmentStatus})`, inline: true },
+    { name: "Line Items", value: items.join("\n") || "—", inline: false },
+    { name: "Totals", value: totals.join("\n"), inline: false },
+  ];
+
+  const address = formatAddress(order.shippingAddress);
+  if (address) {
+    fields.push({ name: "Ship To", value: address, inline: false });
+  }
+  if (order.note) {
+    fields.push({ name: "Order Note", value: order.note, inline: false });
+  }
+
+  return {
+    title: reference ? `${title} — ${reference}` : title,
+    color: EMBED_COLOR,
+    fields,
+    timestamp: order.timestamp,
+    footer: "Poly People Printing Shopify Webhook",
+  };
+}
+
+module.exports = {
+  SHOPIFY_TOPICS,
+  verifyShopifyHmac,
+  normalizeShopifyOrder,
+  buildShopifyOrderAlert,
+};
@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+
+// ---------------------------------------------------------------------------
+// Signed link tokens — "<base64url JSON claims>.<hex hmac sha256>"
+//
+// Same shape as the form tokens in lib/spam.js. Used for links we email to
+// customers (quote decisions, newsletter confirm/unsubscribe), so the claims
+// are readable by anyone holding the link: never put secrets in them. A
+// numeric `exp` claim (epoch ms) makes the token expire.
+// ---------------------------------------------------------------------------
+function sign(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+function signToken(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { ok, reason: "missing" | "invalid" | "expired", claims }; expired
+// tokens still carry their claims. Never throws on bad input.
+function verifyToken(token, secret, now = Date.now()) {
+  if (!token || typeof token !== "string") return { ok: false, reason: "missing" };
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature || !/^[0-9a-f]{64}$/.test(signature)) {
+    return { ok: false, reason: "invalid" };
+  }
+  const expected = sign(payload, secret);
+  if (!crypto.timingSafeEqual(Buffer.from(signature, "hex"), Buffer.from(expected, "hex"))) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "invalid" };
+  }
+  if (!claims || typeof claims !== "object") return { ok: false, reason: "invalid" };
+
+  if (claims.exp !== undefined) {
+    if (typeof claims.exp !== "number") return { ok: false, reason: "invalid" };
+    if (now > claims.exp) return { ok: false, reason: "expired", claims };
+  }
+  return { ok: true, claims };
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+};
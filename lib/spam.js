@@ -0,0 +1,242 @@
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { consumeNonce } = require("./nonce-cache");
+const { notify } = require("./notifier");
+const { buildQuarantineAlert } = require("./notifications/quarantine");
+const { log, annotate } = require("./log");
+
+// ---------------------------------------------------------------------------
+// Bot and spam screening for the public forms
+//
+// Three signals feed one score:
+//   - a honeypot field ("website") that real visitors never see
+//   - a signed, time-stamped form token from /api/form-token, which catches
+//     instant submits, stale pages and replays
+//   - content heuristics for link-stuffed and keyword spam
+// Submissions at or above SPAM_THRESHOLD are quarantined, not dropped.
+//
+// A real visitor can trip the token timing checks too (a quick resubmit
+// after an error, or a client retrying the same token), so those penalties
+// stay below the threshold and only count alongside other signals. When
+// they're the only signal, the assessment asks the form to fetch a new
+// token and resubmit instead.
+// ---------------------------------------------------------------------------
+const HONEYPOT_FIELD = "website";
+
+const FORMS = ["quote", "contact", "newsletter"];
+
+const MIN_FILL_MS = 3_000;
+const MAX_TOKEN_AGE_MS = 24 * 60 * 60_000;
+
+const SPAM_THRESHOLD = 5;
+
+const NONCES = "form-nonces";
+const QUARANTINE = "quarantine";
+
+const SPAM_PHRASES = [
+  "backlink", "seo service", "rank your website", "casino", "viagra",
+  "crypto investment", "bitcoin", "forex", "loan offer", "guest post",
+  "increase your traffic", "web design services",
+];
+
+// ---------------------------------------------------------------------------
+// Form tokens — "<base64url payload>.<hex hmac>"
+// ---------------------------------------------------------------------------
+function sign(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+function issueFormToken(form, secret, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({ f: form, iat: now, n: crypto.randomBytes(12).toString("hex") })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { ok, reason, nonce, expiresAt }; never throws on bad input
+function verifyFormToken(token, form, secret, now = Date.now()) {
+  if (!token || typeof token !== "string") return { ok: false, reason: "missing" };
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature || !/^[0-9a-f]{64}$/.test(signature)) {
+    return { ok: false, reason: "invalid" };
+  }
+  const expected = sign(payload, secret);
+  if (!crypto.timingSafeEqual(Buffer.from(signature, "hex"), Buffer.from(expected, "hex"))) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "invalid" };
+  }
+  if (claims.f !== form || typeof claims.iat !== "number" || !claims.n) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  const age = now - claims.iat;
+  const expiresAt = claims.iat + MAX_TOKEN_AGE_MS;
+  if (age < MIN_FILL_MS) return { ok: false, reason: "too-fast", nonce: claims.n, expiresAt };
+  if (age > MAX_TOKEN_AGE_MS) return { ok: false, reason: "expired" };
+  return { ok: true, nonce: claims.n, expiresAt };
+}
+
+// ---------------------------------------------------------------------------
+// Content scoring
+// ---------------------------------------------------------------------------
+function scoreContent(text) {
+  const reasons = [];
+  let score = 0;
+
+  const links = (text.match(/\bhttps?:\/\/|\bwww\./gi) || []).length;
+  if (links > 1) {
+    score += (links - 1) * 2;
+    reasons.push(`${links} links`);
+  }
+  if (/\[url=|<a\s+href/i.test(text)) {
+    score += 4;
+    reasons.push("link markup");
+  }
+
+  const lower = text.toLowerCase();
+  const phrases = SPAM_PHRASES.filter((p) => lower.includes(p));
+  if (phrases.length > 0) {
+    score += Math.min(phrases.length, 2) * 3;
+    reasons.push(`spam phrases: ${phrases.join(", ")}`);
+  }
+
+  const letters = text.replace(/[^A-Za-z]/g, "");
+  if (letters.length > 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) {
+    score += 2;
+    reasons.push("mostly uppercase");
+  }
+
+  return { score, reasons };
+}
+
+// ---------------------------------------------------------------------------
+// Combined assessment
+// ---------------------------------------------------------------------------
+const TOKEN_PENALTIES = {
+  missing: [5, "no form token"],
+  invalid: [10, "invalid form token"],
+  expired: [3, "expired form token"],
+  "too-fast": [3, "submitted too quickly"],
+  replayed: [4, "form token replayed"],
+};
+
+// Token failures a real visitor can cause, answered with `retry`
+const RETRYABLE_TOKEN_FAILURES = ["too-fast", "replayed"];
+
+// `fields` is the raw (unsanitized) request body. `text` is the free-text
+// content to score. Resolves to { score, reasons, suspicious, retry }, where
+// `retry` means the token's timing was the only problem: the route should
+// answer with a retryable error (see formTokenRetry) rather than accept or
+// quarantine the submission.
+async function assessSubmission({ form, fields, text }) {
+  let score = 0;
+  const reasons = [];
+  let tokenFailure = null;
+
+  if (fields[HONEYPOT_FIELD]) {
+    score += 10;
+    reasons.push("honeypot filled");
+  }
+
+  const secret = process.env.FORM_TOKEN_SECRET;
+  if (secret) {
+    const check = verifyFormToken(fields.formToken, form, secret);
+    let failure = check.ok ? null : check.reason;
+    // Too-fast tokens are consumed as well so they can't be retried later
+    if (check.nonce) {
+      try {
+        if (!(await consumeNonce(getStore(), NONCES, check.nonce, check.expiresAt))) failure = "replayed";
+      } catch (err) {
+        log.error("Form nonce store error", { err });
+      }
+    }
+    if (failure) {
+      tokenFailure = failure;
+      score += TOKEN_PENALTIES[failure][0];
+      reasons.push(TOKEN_PENALTIES[failure][1]);
+    }
+  } else {
+    log.warn("FORM_TOKEN_SECRET is not set — skipping form token checks (dev mode)");
+  }
+
+  const content = scoreContent(text || "");
+  score += content.score;
+  reasons.push(...content.reasons);
+
+  const suspicious = score >= SPAM_THRESHOLD;
+  const retry =
+    !suspicious &&
+    RETRYABLE_TOKEN_FAILURES.includes(tokenFailure) &&
+    score === TOKEN_PENALTIES[tokenFailure][0];
+  return { score, reasons, suspicious, retry };
+}
+
+// Response for an assessment with `retry`: the form fetches a new token,
+// waits out MIN_FILL_MS and submits again
+function formTokenRetry() {
+  return {
+    status: 409,
+    body: {
+      error: "Please wait a moment and submit again.",
+      code: "form-token-retry",
+      retryAfterMs: MIN_FILL_MS,
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Quarantine
+// ---------------------------------------------------------------------------
+// Suspicious submissions are kept for review and posted to a separate
+// channel. No customer email goes out, and uploads are not stored.
+async function quarantineSubmission({ type, ip, data, screening, uploads = [] }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: data.timestamp || new Date().toISOString(),
+    ip,
+    score: screening.score,
+    reasons: screening.reasons,
+    data,
+    attachments: uploads.map((u) => ({ name: u.filename, type: u.type, size: u.content.length })),
+  };
+
+  let store = null;
+  try {
+    store = getStore();
+    await store.insert(QUARANTINE, entry);
+  } catch (err) {
+    log.error("Quarantine store error", { err });
+  }
+
+  annotate({ quarantineId: entry.id, spamScore: entry.score });
+  const delivery = await notify(store, "quarantine", buildQuarantineAlert(entry), { ref: entry.id });
+  if (Object.keys(delivery).length === 0) {
+    log.warn("Quarantined submission (no notification route)", {
+      type,
+      quarantineId: entry.id,
+      score: entry.score,
+      reasons: entry.reasons,
+    });
+  }
+  return delivery;
+}
+
+module.exports = {
+  FORMS,
+  HONEYPOT_FIELD,
+  SPAM_THRESHOLD,
+  issueFormToken,
+  verifyFormToken,
+  scoreContent,
+  assessSubmission,
+  formTokenRetry,
+  quarantineSubmission,
+};
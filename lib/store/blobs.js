@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { createClient } = require("../redis");
+
+// ---------------------------------------------------------------------------
+// Blob storage — uploaded file bytes, one object per key
+//
+// Document records stay small: the bytes live here and the record keeps the
+// key. Both backends expose:
+//   put(key, buffer, { ttlMs })   stores the bytes; they expire after ttlMs
+//   get(key)                      -> Buffer | null (missing or expired)
+//   remove(key)                   -> boolean
+//
+// Keys are slash-separated paths such as "quotes/2026-03-01/<id>-logo.png".
+// ---------------------------------------------------------------------------
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/;
+
+function checkKey(key) {
+  if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return key;
+}
+
+// Redis: a plain string key per blob (base64, since the client reads replies
+// as UTF-8) with PX, so Redis itself enforces retention
+function createRedis({ url, prefix = "ppp:" }) {
+  const client = createClient(url);
+  const keyFor = (key) => `${prefix}blob:${checkKey(key)}`;
+
+  return {
+    async put(key, buffer, { ttlMs }) {
+      await client.command("SET", keyFor(key), buffer.toString("base64"), "PX", Math.ceil(ttlMs));
+    },
+
+    async get(key) {
+      const value = await client.command("GET", keyFor(key));
+      return value === null ? null : Buffer.from(value, "base64");
+    },
+
+    async remove(key) {
+      return (await client.command("DEL", keyFor(key))) > 0;
+    },
+  };
+}
+
+// Files under <dir>/blobs, for local runs. The expiry time is kept as the
+// file's mtime and checked on read; expired files are deleted then.
+function createFile({ dir }) {
+  const fileFor = (key) => path.join(dir, "blobs", ...checkKey(key).split("/"));
+
+  async function remove(key) {
+    try {
+      await fs.promises.unlink(fileFor(key));
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+  }
+
+  return {
+    async put(key, buffer, { ttlMs }) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      const expires = new Date(Date.now() + ttlMs);
+      await fs.promises.utimes(tmp, expires, expires);
+      await fs.promises.rename(tmp, file);
+    },
+
+    async get(key) {
+      const file = fileFor(key);
+      let stat;
+      try {
+        stat = await fs.promises.stat(file);
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      if (stat.mtimeMs <= Date.now()) {
+        await remove(key);
+        return null;
+      }
+      return fs.promises.readFile(file);
+    },
+
+    remove,
+  };
+}
+
+module.exports = { createRedis, createFile };
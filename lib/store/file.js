@@ -0,0 +1,93 @@
+// ---------------------------------------------------------------------------
+// JSON file backend — one file per collection
+// ---------------------------------------------------------------------------
+const fs = require("fs");
+const path = require("path");
+
+function create({ dir }) {
+  // Serialize all reads/writes within this instance so concurrent requests
+  // never interleave a read-modify-write cycle
+  let queue = Promise.resolve();
+  function locked(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function fileFor(collection) {
+    if (!/^[a-z0-9_-]+$/i.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+    return path.join(dir, `${collection}.json`);
+  }
+
+  async function read(collection) {
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(collection), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  }
+
+  async function write(collection, data) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = fileFor(collection);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+  }
+
+  return {
+    insert(collection, record) {
+      return locked(async () => {
+        const data = await read(collection);
+        if (data[record.id]) {
+          throw new Error(`Duplicate id in ${collection}: ${record.id}`);
+        }
+        data[record.id] = record;
+        await write(collection, data);
+        return record;
+      });
+    },
+
+    get(collection, id) {
+      return locked(async () => (await read(collection))[id] || null);
+    },
+
+    update(collection, id, fn) {
+      return locked(async () => {
+        const data = await read(collection);
+        if (!data[id]) return null;
+        data[id] = fn(data[id]);
+        await write(collection, data);
+        return data[id];
+      });
+    },
+
+    remove(collection, id) {
+      return locked(async () => {
+        const data = await read(collection);
+        if (!data[id]) return false;
+        delete data[id];
+        await write(collection, data);
+        return true;
+      });
+    },
+
+    list(collection) {
+      return locked(async () => Object.values(await read(collection)));
+    },
+
+    nextSequence(name) {
+      return locked(async () => {
+        const data = await read("_sequences");
+        data[name] = (data[name] || 0) + 1;
+        await write("_sequences", data);
+        return data[name];
+      });
+    },
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,110 @@
+// ---------------------------------------------------------------------------
+// Submission store
+//
+// Every backend exposes the same async document API:
+//   insert(collection, record)         record.id must be unique
+//   get(collection, id)                -> record | null
+//   update(collection, id, fn)         fn(record) -> new record; -> record | null
+//                                      (fn may run more than once; keep it pure)
+//   remove(collection, id)             -> boolean
+//   list(collection)                   -> record[] (insertion order)
+//   nextSequence(name)                 -> 1, 2, 3, ...
+//
+// STORE_BACKEND picks the backend. "redis" (REDIS_URL) is the production
+// backend and the default on Vercel: references, outbox entries, nonces and
+// consent records have to be shared by every instance and outlive them.
+// "file" (default elsewhere) and "sqlite" (Node 22.5+) are for local runs;
+// they refuse to start on Vercel, where they'd write to an instance's
+// ephemeral temp directory.
+//
+// getBlobStore() holds uploaded file bytes (see ./blobs) and follows the
+// same choice: Redis keys in production, files under STORE_DIR locally.
+// ---------------------------------------------------------------------------
+const os = require("os");
+const path = require("path");
+
+const BACKENDS = {
+  redis: () => {
+    if (!process.env.REDIS_URL) {
+      throw new Error("STORE_BACKEND=redis requires REDIS_URL");
+    }
+    return require("./redis").create({
+      url: process.env.REDIS_URL,
+      prefix: process.env.STORE_REDIS_PREFIX || "ppp:",
+    });
+  },
+  file: () => require("./file").create({ dir: storeDir() }),
+  sqlite: () => require("./sqlite").create({ dir: storeDir() }),
+};
+
+const BLOB_BACKENDS = {
+  redis: () =>
+    require("./blobs").createRedis({
+      url: process.env.REDIS_URL,
+      prefix: process.env.STORE_REDIS_PREFIX || "ppp:",
+    }),
+  file: () => require("./blobs").createFile({ dir: storeDir() }),
+  sqlite: () => require("./blobs").createFile({ dir: storeDir() }),
+};
+
+const LOCAL_BACKENDS = ["file", "sqlite"];
+
+const REFERENCE_PREFIXES = {
+  quote: "PPP-Q",
+  contact: "PPP-C",
+  order: "PPP-O",
+};
+
+let instance = null;
+let blobInstance = null;
+
+function storeDir() {
+  return process.env.STORE_DIR || path.join(os.tmpdir(), "ppp-data");
+}
+
+// STORE_BACKEND, checked against where we're running
+function backendName() {
+  const onVercel = Boolean(process.env.VERCEL);
+  const name = (process.env.STORE_BACKEND || (onVercel ? "redis" : "file")).toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown STORE_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(", ")}`);
+  }
+  if (onVercel && LOCAL_BACKENDS.includes(name)) {
+    throw new Error(`STORE_BACKEND=${name} keeps data on one Vercel instance's temp disk; use STORE_BACKEND=redis`);
+  }
+  return name;
+}
+
+function getStore() {
+  if (instance) return instance;
+  instance = BACKENDS[backendName()]();
+  return instance;
+}
+
+function getBlobStore() {
+  if (blobInstance) return blobInstance;
+  const name = backendName();
+  if (name === "redis" && !process.env.REDIS_URL) {
+    throw new Error("STORE_BACKEND=redis requires REDIS_URL");
+  }
+  blobInstance = BLOB_BACKENDS[name]();
+  return blobInstance;
+}
+
+// Human-friendly reference such as PPP-Q-2026-0142. Sequences restart
+// every calendar year.
+async function nextReference(store, type) {
+  const prefix = REFERENCE_PREFIXES[type];
+  if (!prefix) {
+    throw new Error(`No reference prefix for type "${type}"`);
+  }
+  const year = new Date().getUTCFullYear();
+  const seq = await store.nextSequence(`${type}-${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(4, "0")}`;
+}
+
+module.exports = {
+  getStore,
+  getBlobStore,
+  nextReference,
+};
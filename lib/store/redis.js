@@ -0,0 +1,93 @@
+const { createClient, RedisError } = require("../redis");
+
+// ---------------------------------------------------------------------------
+// Redis backend — shared by every instance
+//
+// A collection is a hash of id -> JSON record plus a sorted set that keeps
+// insertion order. update() is a compare-and-set done in a small Lua script
+// (retried if another instance changed the record in between), since WATCH
+// can't be used safely on a connection shared by concurrent requests.
+// ---------------------------------------------------------------------------
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const COMPARE_AND_SET = `
+if redis.call("HGET", KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call("HSET", KEYS[1], ARGV[1], ARGV[3])
+  return 1
+end
+return 0`;
+
+function create({ url, prefix = "ppp:" }) {
+  const client = createClient(url);
+
+  function keysFor(collection) {
+    if (!/^[a-z0-9_-]+$/i.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+    return { records: `${prefix}${collection}`, order: `${prefix}${collection}:order` };
+  }
+
+  async function exec(commands) {
+    const replies = await client.pipeline([["MULTI"], ...commands, ["EXEC"]]);
+    const result = replies[replies.length - 1];
+    if (result instanceof RedisError) throw result;
+    const failed = replies.find((r) => r instanceof RedisError);
+    if (failed) throw failed;
+    return result;
+  }
+
+  return {
+    async insert(collection, record) {
+      const { records, order } = keysFor(collection);
+      const position = await client.command("INCR", `${prefix}_positions`);
+      const [added] = await exec([
+        ["HSETNX", records, record.id, JSON.stringify(record)],
+        ["ZADD", order, "NX", position, record.id],
+      ]);
+      if (!added) {
+        throw new Error(`Duplicate id in ${collection}: ${record.id}`);
+      }
+      return record;
+    },
+
+    async get(collection, id) {
+      const raw = await client.command("HGET", keysFor(collection).records, id);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async update(collection, id, fn) {
+      const { records } = keysFor(collection);
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const raw = await client.command("HGET", records, id);
+        if (raw === null) return null;
+        const next = fn(JSON.parse(raw));
+        const swapped = await client.command("EVAL", COMPARE_AND_SET, 1, records, id, raw, JSON.stringify(next));
+        if (swapped === 1) return next;
+      }
+      throw new Error(`Too much contention updating ${collection}/${id}`);
+    },
+
+    async remove(collection, id) {
+      const { records, order } = keysFor(collection);
+      const [removed] = await exec([
+        ["HDEL", records, id],
+        ["ZREM", order, id],
+      ]);
+      return removed > 0;
+    },
+
+    async list(collection) {
+      const { records, order } = keysFor(collection);
+      const ids = await client.command("ZRANGE", order, 0, -1);
+      if (ids.length === 0) return [];
+      const rows = await client.command("HMGET", records, ...ids);
+      return rows.filter((raw) => raw !== null).map((raw) => JSON.parse(raw));
+    },
+
+    async nextSequence(name) {
+      return client.command("INCR", `${prefix}_sequences:${name}`);
+    },
+  };
+}
+
+module.exports = { create };
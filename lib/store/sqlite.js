@@ -0,0 +1,77 @@
+// ---------------------------------------------------------------------------
+// SQLite backend — uses the built-in node:sqlite module (Node 22.5+)
+// ---------------------------------------------------------------------------
+const fs = require("fs");
+const path = require("path");
+
+function create({ dir }) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require("node:sqlite"));
+  } catch {
+    throw new Error("STORE_BACKEND=sqlite requires Node 22.5 or later (node:sqlite)");
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const db = new DatabaseSync(process.env.STORE_SQLITE_PATH || path.join(dir, "ppp.sqlite"));
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      data TEXT NOT NULL,
+      UNIQUE (collection, id)
+    );
+    CREATE TABLE IF NOT EXISTS sequences (
+      name TEXT PRIMARY KEY,
+      value INTEGER NOT NULL
+    );
+  `);
+
+  const stmts = {
+    insert: db.prepare("INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)"),
+    get: db.prepare("SELECT data FROM documents WHERE collection = ? AND id = ?"),
+    update: db.prepare("UPDATE documents SET data = ? WHERE collection = ? AND id = ?"),
+    remove: db.prepare("DELETE FROM documents WHERE collection = ? AND id = ?"),
+    list: db.prepare("SELECT data FROM documents WHERE collection = ? ORDER BY seq"),
+    bump: db.prepare(
+      "INSERT INTO sequences (name, value) VALUES (?, 1) ON CONFLICT(name) DO UPDATE SET value = value + 1 RETURNING value"
+    ),
+  };
+
+  // DatabaseSync is synchronous; the async wrappers keep the interface
+  // identical to the file backend
+  return {
+    async insert(collection, record) {
+      stmts.insert.run(collection, record.id, JSON.stringify(record));
+      return record;
+    },
+
+    async get(collection, id) {
+      const row = stmts.get.get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async update(collection, id, fn) {
+      const row = stmts.get.get(collection, id);
+      if (!row) return null;
+      const next = fn(JSON.parse(row.data));
+      stmts.update.run(JSON.stringify(next), collection, id);
+      return next;
+    },
+
+    async remove(collection, id) {
+      return stmts.remove.run(collection, id).changes > 0;
+    },
+
+    async list(collection) {
+      return stmts.list.all(collection).map((row) => JSON.parse(row.data));
+    },
+
+    async nextSequence(name) {
+      return stmts.bump.get(name).value;
+    },
+  };
+}
+
+module.exports = { create };
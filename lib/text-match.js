@@ -0,0 +1,50 @@
+// ---------------------------------------------------------------------------
+// Phrase and keyword scoring for free-text messages
+//
+// Used for FAQ matching and contact topic classification. An entry is
+//   { intents: [RegExp], keywords: [word] }
+// and scores INTENT_SCORE per matching intent regex plus 1 per keyword
+// found as a whole word, at most MAX_KEYWORD_SCORE. Intents run against
+// normalized text: lowercase words separated by single spaces, with "?"
+// kept and apostrophes dropped ("what's" -> "whats").
+// ---------------------------------------------------------------------------
+const INTENT_SCORE = 3;
+const MAX_KEYWORD_SCORE = 3;
+
+const QUESTION = /\?|^(how|what|when|where|which|who|why|do|does|did|can|could|will|would|is|are|should)\b/;
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9?]+/g, " ")
+    .trim();
+}
+
+// Normalizes once for scoring against many entries
+function prepareText(text) {
+  const normalized = normalize(text);
+  return {
+    text: normalized,
+    words: new Set(normalized.replace(/\?/g, " ").split(" ").filter(Boolean)),
+    isQuestion: QUESTION.test(normalized),
+  };
+}
+
+function scoreEntry(entry, prepared) {
+  const intentHits = entry.intents.filter((intent) => intent.test(prepared.text)).length;
+  const keywordHits = entry.keywords.filter((keyword) => prepared.words.has(keyword)).length;
+  return intentHits * INTENT_SCORE + Math.min(keywordHits, MAX_KEYWORD_SCORE);
+}
+
+// Score as a 0-1 confidence (two decimals), full at `fullScore`
+function confidence(score, fullScore) {
+  return Math.round(Math.min(1, score / fullScore) * 100) / 100;
+}
+
+module.exports = {
+  INTENT_SCORE,
+  prepareText,
+  scoreEntry,
+  confidence,
+};
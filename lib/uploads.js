@@ -0,0 +1,308 @@
+const crypto = require("crypto");
+const path = require("path");
+const { signToken, verifyToken } = require("./signed-token");
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+// Vercel caps request bodies at 4.5 MB, so the total stays just under that.
+const MAX_FILE_BYTES = 4_000_000;
+const MAX_TOTAL_BYTES = 4_400_000;
+const MAX_FILES = 5;
+
+// Extensions the quote form offers, mapped to the content types we accept
+// for each. `.ai` files are either PDF-compatible or legacy PostScript.
+const ALLOWED_TYPES = {
+  ".stl": ["model/stl"],
+  ".obj": ["model/obj"],
+  ".png": ["image/png"],
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+  ".pdf": ["application/pdf"],
+  ".ai": ["application/pdf", "application/postscript"],
+  ".svg": ["image/svg+xml"],
+};
+
+// Each stored file is a metadata record in the shared store plus its bytes
+// under their own key in the blob store; submissions only keep the metadata.
+// The bytes are dropped after UPLOAD_RETENTION_DAYS (default 90).
+const UPLOAD_FILES = "upload-files";
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Staff download links (UPLOAD_LINK_SECRET) go out in team alerts and
+// fallback emails, and expire after this long. The admin API hands out
+// fresh ones.
+const UPLOAD_LINK_TTL_MS = 30 * 24 * 60 * 60_000;
+
+const DOWNLOAD_URL = "https://polypeopleprinting.com/api/uploads/download";
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Raw body reader
+// ---------------------------------------------------------------------------
+// Every route that calls this exports
+// `config = { api: { bodyParser: false } }` so the stream is still unread.
+function readRawBody(req, limit) {
+  if (req.readableEnded) {
+    if (!Buffer.isBuffer(req.body)) {
+      return Promise.reject(new UploadError(500, "Request body was already parsed"));
+    }
+    if (req.body.length > limit) {
+      return Promise.reject(new UploadError(413, "Upload too large"));
+    }
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.destroy();
+        reject(new UploadError(413, "Upload too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// multipart/form-data parser
+// ---------------------------------------------------------------------------
+function getBoundary(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  return match ? (match[1] || match[2]).trim() : "";
+}
+
+function parsePartHeaders(raw) {
+  const headers = {};
+  for (const line of raw.split("\r\n")) {
+    const idx = line.indexOf(":");
+    if (idx > 0) {
+      headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+    }
+  }
+  return headers;
+}
+
+function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let pos = buffer.indexOf(delimiter);
+  if (pos === -1) {
+    throw new UploadError(400, "Malformed multipart body");
+  }
+
+  while (pos !== -1) {
+    pos += delimiter.length;
+    // "--" after a delimiter marks the end of the body
+    if (buffer[pos] === 0x2d && buffer[pos + 1] === 0x2d) break;
+    pos += 2; // CRLF
+
+    const headerEnd = buffer.indexOf("\r\n\r\n", pos);
+    if (headerEnd === -1) {
+      throw new UploadError(400, "Malformed multipart body");
+    }
+    const headers = parsePartHeaders(buffer.toString("utf8", pos, headerEnd));
+    const next = buffer.indexOf(delimiter, headerEnd + 4);
+    if (next === -1) {
+      throw new UploadError(400, "Malformed multipart body");
+    }
+    const content = buffer.subarray(headerEnd + 4, next - 2); // strip trailing CRLF
+
+    const disposition = headers["content-disposition"] || "";
+    const name = (/\bname="([^"]*)"/i.exec(disposition) || [])[1];
+    const filename = (/\bfilename="([^"]*)"/i.exec(disposition) || [])[1];
+
+    if (name !== undefined) {
+      if (filename !== undefined) {
+        if (filename && content.length > 0) {
+          files.push({ field: name, filename, declaredType: headers["content-type"] || "", content });
+        }
+      } else {
+        fields[name] = content.toString("utf8");
+      }
+    }
+
+    pos = next;
+  }
+
+  return { fields, files };
+}
+
+// ---------------------------------------------------------------------------
+// Content sniffing
+// ---------------------------------------------------------------------------
+function startsWith(buf, bytes) {
+  return buf.length >= bytes.length && bytes.every((b, i) => buf[i] === b);
+}
+
+function isBinaryStl(buf) {
+  if (buf.length < 84) return false;
+  const triangles = buf.readUInt32LE(80);
+  return buf.length === 84 + triangles * 50;
+}
+
+function sniffType(buf) {
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (buf.toString("latin1", 0, 5) === "%PDF-") return "application/pdf";
+  if (buf.toString("latin1", 0, 4) === "%!PS") return "application/postscript";
+
+  // Binary STL headers may begin with "solid" too, so check its size first
+  if (isBinaryStl(buf)) return "model/stl";
+
+  const head = buf.toString("utf8", 0, Math.min(buf.length, 4096)).replace(/^\uFEFF/, "");
+  const trimmed = head.trimStart();
+
+  if (/^solid\b/i.test(trimmed) && /\bfacet\b/i.test(head)) return "model/stl";
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(trimmed)) {
+    return "image/svg+xml";
+  }
+  if (/^(v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(head) && !/\u0000/.test(head)) return "model/obj";
+
+  return "";
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+function validateFiles(files) {
+  if (files.length > MAX_FILES) {
+    throw new UploadError(400, `Too many files. Maximum is ${MAX_FILES}`);
+  }
+
+  let total = 0;
+  return files.map((file) => {
+    const ext = path.extname(file.filename).toLowerCase();
+    const allowed = ALLOWED_TYPES[ext];
+    if (!allowed) {
+      throw new UploadError(415, `Unsupported file type: ${file.filename}`);
+    }
+    if (file.content.length > MAX_FILE_BYTES) {
+      throw new UploadError(413, `File too large: ${file.filename}`);
+    }
+    total += file.content.length;
+    if (total > MAX_TOTAL_BYTES) {
+      throw new UploadError(413, "Total upload size too large");
+    }
+
+    const type = sniffType(file.content);
+    if (!allowed.includes(type)) {
+      throw new UploadError(415, `File contents do not match its extension: ${file.filename}`);
+    }
+
+    return { ...file, ext, type };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+function safeFilename(name) {
+  const base = path.basename(name).replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^\.+/, "");
+  return base.substring(0, 100) || "file";
+}
+
+function retentionMs() {
+  const days = Number(process.env.UPLOAD_RETENTION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS) * 24 * 60 * 60_000;
+}
+
+// Saves validated files; resolves to their metadata, without the contents
+async function storeFiles(store, blobs, files, prefix) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const ttlMs = retentionMs();
+
+  const stored = [];
+  for (const file of files) {
+    // validateFiles already checks this; the blob store never takes more
+    if (file.content.length > MAX_FILE_BYTES) {
+      throw new UploadError(413, `File too large: ${file.filename}`);
+    }
+    const id = crypto.randomUUID();
+    const meta = {
+      id,
+      key: path.posix.join(prefix, day, `${id}-${safeFilename(file.filename)}`),
+      name: file.filename,
+      type: file.type,
+      size: file.content.length,
+      sha256: crypto.createHash("sha256").update(file.content).digest("hex"),
+    };
+    await blobs.put(meta.key, file.content, { ttlMs });
+    await store.insert(UPLOAD_FILES, {
+      ...meta,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+    });
+    stored.push(meta);
+  }
+  return stored;
+}
+
+// Resolves to the stored metadata plus `content` as a Buffer, or null once
+// the file is unknown or past its retention
+async function loadFile(store, blobs, id) {
+  const record = await store.get(UPLOAD_FILES, id);
+  if (!record || Date.parse(record.expiresAt) <= Date.now()) return null;
+  const content = await blobs.get(record.key);
+  return content ? { ...record, content } : null;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// ---------------------------------------------------------------------------
+// Download links
+// ---------------------------------------------------------------------------
+// Signed link to one stored file, or null when UPLOAD_LINK_SECRET is unset.
+// "_" is percent-encoded so Discord's Markdown escaping can't break the link.
+function uploadLink(id, now = Date.now()) {
+  const secret = process.env.UPLOAD_LINK_SECRET;
+  if (!secret) return null;
+  const token = signToken({ u: id, exp: now + UPLOAD_LINK_TTL_MS }, secret);
+  return `${DOWNLOAD_URL}?token=${encodeURIComponent(token).replace(/_/g, "%5F")}`;
+}
+
+// Returns { ok, reason: "missing" | "invalid" | "expired", id }
+function verifyUploadToken(token, now = Date.now()) {
+  const secret = process.env.UPLOAD_LINK_SECRET;
+  if (!secret) return { ok: false, reason: "invalid" };
+  const check = verifyToken(token, secret, now);
+  if (check.reason === "missing" || check.reason === "invalid") return check;
+  if (typeof check.claims.u !== "string") return { ok: false, reason: "invalid" };
+  return { ok: check.ok, ...(check.reason && { reason: check.reason }), id: check.claims.u };
+}
+
+module.exports = {
+  MAX_FILE_BYTES,
+  MAX_TOTAL_BYTES,
+  MAX_FILES,
+  UploadError,
+  readRawBody,
+  getBoundary,
+  parseMultipart,
+  sniffType,
+  validateFiles,
+  storeFiles,
+  loadFile,
+  uploadLink,
+  verifyUploadToken,
+  formatBytes,
+};
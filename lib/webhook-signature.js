@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+// ---------------------------------------------------------------------------
+// Signed webhooks for /api/webhooks/new-order
+//
+//   X-Webhook-Signature: t=<unix seconds>,n=<nonce>,v1=<hex hmac>
+//
+// The HMAC-SHA256 covers "<t>.<n>.<raw body>". The receiver rejects
+// timestamps outside the tolerance window and nonces it has already seen, so
+// a captured request can't be replayed. Several secrets may be active at
+// once (WEBHOOK_SECRET="new,old") so senders can be moved over one by one.
+//
+// This module only uses Node built-ins; senders can require it directly or
+// copy signWebhook() — see scripts/sign-webhook.js for a CLI.
+// ---------------------------------------------------------------------------
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+function hmac(secret, timestamp, nonce, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(body)
+    .digest("hex");
+}
+
+// Returns the headers a sender should attach to the request
+function signWebhook(body, secret, { timestamp = Math.floor(Date.now() / 1000), nonce } = {}) {
+  const n = nonce || crypto.randomBytes(16).toString("hex");
+  return {
+    "X-Webhook-Signature": `t=${timestamp},n=${n},v1=${hmac(secret, timestamp, n, body)}`,
+  };
+}
+
+function parseSecrets(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseHeader(header) {
+  const parsed = { signatures: [] };
+  for (const part of header.split(",")) {
+    const idx = part.indexOf("=");
+    if (idx <= 0) continue;
+    const key = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (key === "t") parsed.timestamp = value;
+    else if (key === "n") parsed.nonce = value;
+    else if (key === "v1") parsed.signatures.push(value);
+  }
+  return parsed;
+}
+
+function safeEqualHex(a, b) {
+  if (!/^[0-9a-f]+$/i.test(a) || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+// Resolves the header against every active secret. Returns
+// { ok, reason, nonce, expiresAt }; the caller still has to check the
+// nonce against its cache. `allowLegacy` accepts the old bare-hex,
+// body-only signature while senders migrate.
+function verifyWebhookSignature(body, header, secrets, options = {}) {
+  const {
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+    allowLegacy = false,
+    now = Date.now(),
+  } = options;
+
+  if (!header) return { ok: false, reason: "Missing webhook signature" };
+
+  if (!header.includes("=")) {
+    if (!allowLegacy) return { ok: false, reason: "Unsupported webhook signature format" };
+    const ok = secrets.some((secret) =>
+      safeEqualHex(header, crypto.createHmac("sha256", secret).update(body).digest("hex"))
+    );
+    return ok ? { ok: true, legacy: true } : { ok: false, reason: "Invalid webhook signature" };
+  }
+
+  const { timestamp, nonce, signatures } = parseHeader(header);
+  if (!/^\d+$/.test(timestamp || "") || !NONCE_PATTERN.test(nonce || "") || signatures.length === 0) {
+    return { ok: false, reason: "Malformed webhook signature" };
+  }
+
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (age > toleranceSeconds) {
+    return { ok: false, reason: "Webhook timestamp outside tolerance" };
+  }
+
+  const ok = secrets.some((secret) => {
+    const expected = hmac(secret, timestamp, nonce, body);
+    return signatures.some((sig) => safeEqualHex(sig, expected));
+  });
+  if (!ok) return { ok: false, reason: "Invalid webhook signature" };
+
+  // A nonce only needs remembering for as long as its timestamp is accepted
+  return { ok: true, nonce, expiresAt: (Number(timestamp) + toleranceSeconds) * 1000 };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhook,
+  parseSecrets,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// ---------------------------------------------------------------------------
+// Replay SUBMISSION_RECOVERY records from exported Vercel logs
+//
+// When both the team notifications and email fail, the quote and contact
+// handlers log a `{"_fallback":"SUBMISSION_RECOVERY", ...}` line. This tool
+// pulls those records out of exported log files (JSON, NDJSON, CSV or plain
+// text), dedupes them and re-delivers them through the same alert and
+// confirmation email builders the handlers use.
+//
+//   node scripts/replay-recovery.js [options] <log-file>...
+//
+// Uses the same env vars as the handlers (DISCORD_WEBHOOK_*, NOTIFY_ROUTES,
+// EMAIL_PROVIDER and its credentials, STORE_BACKEND/STORE_DIR). Replayed
+// records are remembered in the store so a second run skips them unless
+// --force is given.
+// ---------------------------------------------------------------------------
+const crypto = require("crypto");
+const fs = require("fs");
+const { getStore } = require("../lib/store");
+const { DELIVERED, QUEUED, SKIPPED } = require("../lib/outbox");
+const { isEmailConfigured, sendEmail } = require("../lib/email");
+const { notify } = require("../lib/notifier");
+const { matchFAQ } = require("../lib/faq");
+const { classifyContact } = require("../lib/contact-topics");
+const { buildQuoteNotifications } = require("../lib/notifications/quote");
+const { buildContactNotifications } = require("../lib/notifications/contact");
+
+const MARKER = "SUBMISSION_RECOVERY";
+const REPLAYS = "recovery-replays";
+
+const USAGE = `Usage: node scripts/replay-recovery.js [options] <log-file>...
+
+Options:
+  --dry-run         List what would be replayed without sending anything
+  --type <type>     Only replay "quote" or "contact" records
+  --skip-discord    Don't post team notifications (Discord and NOTIFY_ROUTES)
+  --skip-email      Don't send customer confirmation emails
+  --force           Replay records that were already replayed
+  -h, --help        Show this help`;
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+function parseArgs(argv) {
+  const opts = { files: [], dryRun: false, type: "", skipDiscord: false, skipEmail: false, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") opts.dryRun = true;
+    else if (arg === "--skip-discord") opts.skipDiscord = true;
+    else if (arg === "--skip-email") opts.skipEmail = true;
+    else if (arg === "--force") opts.force = true;
+    else if (arg === "--type") opts.type = argv[++i] || "";
+    else if (arg.startsWith("--type=")) opts.type = arg.slice(7);
+    else if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+    else opts.files.push(arg);
+  }
+  if (opts.type && !["quote", "contact"].includes(opts.type)) {
+    throw new Error(`--type must be "quote" or "contact"`);
+  }
+  return opts;
+}
+
+// ---------------------------------------------------------------------------
+// Extraction
+// ---------------------------------------------------------------------------
+// Returns the balanced JSON object starting at `start`, or null
+function sliceObject(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "{") {
+      depth += 1;
+    } else if (ch === "}") {
+      depth -= 1;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+function scanText(text, found) {
+  // The record may be embedded verbatim, JSON-string-escaped, or CSV-quoted
+  const variants = [text];
+  if (text.includes('\\"_fallback\\"')) variants.push(text.replace(/\\\\/g, "\\").replace(/\\"/g, '"'));
+  if (text.includes('""_fallback""')) variants.push(text.replace(/""/g, '"'));
+
+  for (const variant of variants) {
+    let idx = variant.indexOf('{"_fallback"');
+    while (idx !== -1) {
+      const raw = sliceObject(variant, idx);
+      if (raw) {
+        try {
+          const record = JSON.parse(raw);
+          if (record._fallback === MARKER) found.push(record);
+        } catch {
+          // truncated or mangled line — skip it
+        }
+      }
+      idx = variant.indexOf('{"_fallback"', idx + 1);
+    }
+  }
+}
+
+function scanValue(value, found) {
+  if (typeof value === "string") {
+    if (value.includes("_fallback")) scanText(value, found);
+  } else if (Array.isArray(value)) {
+    value.forEach((v) => scanValue(v, found));
+  } else if (value && typeof value === "object") {
+    if (value._fallback === MARKER) found.push(value);
+    else Object.values(value).forEach((v) => scanValue(v, found));
+  }
+}
+
+function extractRecords(content) {
+  const found = [];
+  try {
+    scanValue(JSON.parse(content), found);
+    return found;
+  } catch {
+    // not a single JSON document; fall through to line-by-line
+  }
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.includes("_fallback")) continue;
+    try {
+      scanValue(JSON.parse(line), found);
+    } catch {
+      scanText(line, found);
+    }
+  }
+  return found;
+}
+
+function recordKey(record) {
+  if (record.reference) return `${record.type}:${record.reference}`;
+  const d = record.data || {};
+  const digest = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([record.type, d.email, d.timestamp, d.message || d.description || ""]))
+    .digest("hex")
+    .slice(0, 16);
+  return `${record.type}:${digest}`;
+}
+
+function dedupe(records) {
+  const byKey = new Map();
+  for (const record of records) {
+    if (!record.data || !["quote", "contact"].includes(record.type)) continue;
+    const key = recordKey(record);
+    if (!byKey.has(key)) byKey.set(key, { key, record });
+  }
+  return [...byKey.values()].sort((a, b) =>
+    (a.record.data.timestamp || "").localeCompare(b.record.data.timestamp || "")
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Delivery
+// ---------------------------------------------------------------------------
+function buildNotifications(record) {
+  if (record.type === "quote") {
+    return buildQuoteNotifications(
+      { reference: record.reference, data: record.data, files: record.files, estimate: record.estimate },
+      { replayed: true }
+    );
+  }
+  return buildContactNotifications(
+    {
+      reference: record.reference,
+      data: record.data,
+      // Older recovery logs have no topic and only an isFAQ flag, so
+      // classify and match again
+      topic: record.topic ?? classifyContact(record.data),
+      faqMatches:
+        record.faqMatches ?? matchFAQ(`${record.data.subject || ""}\n${record.data.message || ""}`),
+    },
+    { replayed: true }
+  );
+}
+
+async function replay(store, record, opts) {
+  const notifications = buildNotifications(record);
+  // Contact notifications name their topic's event
+  const event = notifications.event || record.type;
+  const delivery = opts.skipDiscord
+    ? {}
+    : await notify(store, event, notifications.alert, { ref: record.reference });
+
+  delivery.email =
+    opts.skipEmail || !isEmailConfigured()
+      ? SKIPPED
+      : await sendEmail(store, notifications.confirmation, { ref: record.reference });
+
+  return delivery;
+}
+
+function describe(record) {
+  const d = record.data;
+  const who = record.type === "quote" ? `${d.firstName} ${d.lastName}` : d.name;
+  const what = record.type === "quote" ? `${d.service} ×${d.quantity}` : d.subject || "(no subject)";
+  return `${(d.timestamp || "").padEnd(24)} ${record.type.padEnd(7)} ${(record.reference || "-").padEnd(16)} ${who} <${d.email}> — ${what}`;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help || opts.files.length === 0) {
+    console.log(USAGE);
+    return opts.help ? 0 : 2;
+  }
+
+  const raw = [];
+  for (const file of opts.files) {
+    const found = extractRecords(fs.readFileSync(file, "utf8"));
+    console.log(`${file}: ${found.length} recovery record(s)`);
+    raw.push(...found);
+  }
+
+  let entries = dedupe(raw);
+  if (opts.type) entries = entries.filter((e) => e.record.type === opts.type);
+
+  const store = getStore();
+  const pending = [];
+  for (const entry of entries) {
+    entry.replayed = opts.force ? null : await store.get(REPLAYS, entry.key);
+    if (!entry.replayed) pending.push(entry);
+  }
+
+  const counts = entries.reduce((acc, e) => ({ ...acc, [e.record.type]: (acc[e.record.type] || 0) + 1 }), {});
+  console.log(
+    `\n${raw.length} record(s) found, ${entries.length} unique ` +
+      `(${Object.entries(counts).map(([t, n]) => `${n} ${t}`).join(", ") || "none"}), ` +
+      `${entries.length - pending.length} already replayed\n`
+  );
+  for (const entry of entries) {
+    console.log(`${entry.replayed ? "  done " : "  todo "} ${describe(entry.record)}`);
+  }
+
+  if (opts.dryRun || pending.length === 0) {
+    if (opts.dryRun) console.log("\nDry run — nothing sent.");
+    return 0;
+  }
+
+  console.log("");
+  let failures = 0;
+  for (const entry of pending) {
+    const delivery = await replay(store, entry.record, opts);
+    const states = Object.values(delivery);
+    const ok = states.every((s) => s === DELIVERED || s === QUEUED || s === SKIPPED) &&
+      states.some((s) => s !== SKIPPED);
+    const summary = Object.entries(delivery).map(([channel, state]) => `${channel}=${state}`).join(" ");
+    console.log(`  ${ok ? "sent " : "FAIL "} ${entry.key}  ${summary}`);
+
+    if (ok) {
+      const ledger = { id: entry.key, replayedAt: new Date().toISOString(), delivery };
+      if (entry.replayed === null && (await store.get(REPLAYS, entry.key))) {
+        await store.update(REPLAYS, entry.key, () => ledger); // --force re-run
+      } else {
+        await store.insert(REPLAYS, ledger);
+      }
+    } else {
+      failures += 1;
+    }
+  }
+
+  console.log(`\n${pending.length - failures} replayed, ${failures} failed`);
+  return failures > 0 ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// ---------------------------------------------------------------------------
+// Sign a payload for /api/webhooks/new-order
+//
+// Prints the X-Webhook-Signature header for a JSON body read from a file (or
+// stdin), signed with the first secret in WEBHOOK_SECRET or --secret. The
+// signature is only valid for WEBHOOK_TOLERANCE_SECONDS and can be used once,
+// so sign right before sending:
+//
+//   curl -X POST https://polypeopleprinting.com/api/webhooks/new-order \
+//     -H "Content-Type: application/json" \
+//     -H "$(node scripts/sign-webhook.js order.json)" \
+//     --data-binary @order.json
+//
+// Node senders can call signWebhook() from lib/webhook-signature.js instead.
+// ---------------------------------------------------------------------------
+const fs = require("fs");
+const { signWebhook, parseSecrets } = require("../lib/webhook-signature");
+
+const USAGE = `Usage: node scripts/sign-webhook.js [--secret <secret>] [<body-file>]
+
+Reads the body from stdin when no file is given. The body is signed
+byte-for-byte, so send exactly the same bytes.`;
+
+function main(argv) {
+  let secret = parseSecrets(process.env.WEBHOOK_SECRET)[0] || "";
+  let file = "";
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--secret") secret = argv[++i] || "";
+    else if (arg.startsWith("--secret=")) secret = arg.slice(9);
+    else if (arg === "-h" || arg === "--help") {
+      console.log(USAGE);
+      return 0;
+    } else if (arg.startsWith("-")) {
+      console.error(`Unknown option: ${arg}\n\n${USAGE}`);
+      return 2;
+    } else file = arg;
+  }
+
+  if (!secret) {
+    console.error("No secret: set WEBHOOK_SECRET or pass --secret");
+    return 2;
+  }
+
+  const body = fs.readFileSync(file || 0);
+  for (const [name, value] of Object.entries(signWebhook(body, secret))) {
+    console.log(`${name}: ${value}`);
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { parseReply } = require("../lib/redis");
+const blobs = require("../lib/store/blobs");
+const fileStore = require("../lib/store/file");
+const { storeFiles, loadFile } = require("../lib/uploads");
+
+const BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x0d, 0x0a]);
+const UPLOAD = { filename: "logo.png", type: "image/png", content: BYTES };
+
+function scratchDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-blobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// ---------------------------------------------------------------------------
+// File backend
+// ---------------------------------------------------------------------------
+test("the file backend round-trips bytes under their key", async (t) => {
+  const dir = scratchDir(t);
+  const store = blobs.createFile({ dir });
+  await store.put("quotes/2026-03-01/abc-logo.png", BYTES, { ttlMs: 60_000 });
+  assert.ok(fs.existsSync(path.join(dir, "blobs", "quotes", "2026-03-01", "abc-logo.png")));
+  assert.deepEqual(await store.get("quotes/2026-03-01/abc-logo.png"), BYTES);
+  assert.equal(await store.remove("quotes/2026-03-01/abc-logo.png"), true);
+  assert.equal(await store.get("quotes/2026-03-01/abc-logo.png"), null);
+});
+
+test("the file backend drops expired blobs on read", async (t) => {
+  const dir = scratchDir(t);
+  const store = blobs.createFile({ dir });
+  await store.put("quotes/old", BYTES, { ttlMs: -1 });
+  assert.equal(await store.get("quotes/old"), null);
+  assert.equal(fs.existsSync(path.join(dir, "blobs", "quotes", "old")), false);
+});
+
+test("keys can't climb out of the blob directory", async (t) => {
+  const store = blobs.createFile({ dir: scratchDir(t) });
+  for (const key of ["../escape", "quotes/../../escape", "/abs", "quotes//x", ".hidden", ""]) {
+    await assert.rejects(store.put(key, BYTES, { ttlMs: 1000 }), /Invalid blob key/, key);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Redis backend
+// ---------------------------------------------------------------------------
+function encode(value) {
+  if (value === null) return "$-1\r\n";
+  if (Number.isInteger(value)) return `:${value}\r\n`;
+  if (value === "OK") return "+OK\r\n";
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+async function fakeRedis() {
+  const keys = new Map();
+  const calls = [];
+  const commands = {
+    SET: (key, value) => (keys.set(key, value), "OK"),
+    GET: (key) => keys.get(key) ?? null,
+    DEL: (key) => (keys.delete(key) ? 1 : 0),
+  };
+  const sockets = new Set();
+  const server = net.createServer((sock) => {
+    sockets.add(sock);
+    let buffer = Buffer.alloc(0);
+    sock.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed[1]);
+        const [name, ...args] = parsed[0];
+        calls.push([name, ...args]);
+        sock.write(encode(commands[name](...args)));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, sockets, keys, calls, url: `redis://127.0.0.1:${server.address().port}` };
+}
+
+test("the redis backend keeps each blob in its own expiring key", async (t) => {
+  const fake = await fakeRedis();
+  t.after(() => {
+    for (const sock of fake.sockets) sock.destroy();
+    fake.server.close();
+  });
+  const store = blobs.createRedis({ url: fake.url, prefix: "t:" });
+
+  await store.put("quotes/2026-03-01/abc-logo.png", BYTES, { ttlMs: 90_000 });
+  const [name, key, value, px, ttl] = fake.calls[0];
+  assert.deepEqual([name, key, px, ttl], ["SET", "t:blob:quotes/2026-03-01/abc-logo.png", "PX", "90000"]);
+  assert.equal(value, BYTES.toString("base64"));
+
+  assert.deepEqual(await store.get("quotes/2026-03-01/abc-logo.png"), BYTES);
+  assert.equal(await store.remove("quotes/2026-03-01/abc-logo.png"), true);
+  assert.equal(await store.get("quotes/2026-03-01/abc-logo.png"), null);
+});
+
+// ---------------------------------------------------------------------------
+// Uploads
+// ---------------------------------------------------------------------------
+test("stored uploads keep only metadata in the record", async (t) => {
+  const dir = scratchDir(t);
+  const store = fileStore.create({ dir });
+  const blobStore = blobs.createFile({ dir });
+
+  const [meta] = await storeFiles(store, blobStore, [UPLOAD], "quotes");
+  const record = await store.get("upload-files", meta.id);
+  assert.equal(record.content, undefined);
+  assert.equal(record.key, meta.key);
+  assert.ok(Date.parse(record.expiresAt) > Date.now());
+
+  const file = await loadFile(store, blobStore, meta.id);
+  assert.deepEqual(file.content, BYTES);
+  assert.equal(file.name, "logo.png");
+});
+
+test("files past their retention can't be loaded", async (t) => {
+  const dir = scratchDir(t);
+  const store = fileStore.create({ dir });
+  const blobStore = blobs.createFile({ dir });
+
+  const [meta] = await storeFiles(store, blobStore, [UPLOAD], "quotes");
+  const past = new Date(Date.now() - 1).toISOString();
+  await store.update("upload-files", meta.id, (r) => ({ ...r, expiresAt: past }));
+  assert.equal(await loadFile(store, blobStore, meta.id), null);
+});
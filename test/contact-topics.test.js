@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyContact, contactEvent } = require("../lib/contact-topics");
+
+const topicOf = (message, subject = "") => classifyContact({ subject, message }).topic;
+
+test("refund and return words need order context", () => {
+  assert.deepEqual(classifyContact({ subject: "", message: "return gift event" }), {
+    topic: "general",
+    confidence: 0,
+  });
+  assert.equal(topicOf("I'd like to return the favor sometime"), "general");
+  assert.equal(topicOf("Can we exchange ideas about a collab?"), "press");
+
+  assert.equal(topicOf("My order arrived damaged, can I get a refund?"), "order-problem");
+  assert.equal(topicOf("Can I return my order?"), "order-problem");
+  assert.equal(topicOf("I want a refund"), "order-problem");
+  assert.equal(topicOf("The shirts were the wrong size, I need an exchange"), "order-problem");
+});
+
+test("each topic is recognised from its usual phrasing", () => {
+  assert.equal(topicOf("Do you offer wholesale pricing for 500 pieces?"), "wholesale");
+  assert.equal(topicOf("Where is my package? Order number 1042"), "order-problem");
+  assert.equal(topicOf("I'm a reporter writing a feature on local makers", "Press inquiry"), "press");
+  assert.equal(topicOf("Are you hiring? My resume is attached"), "jobs");
+  assert.equal(topicOf("What colors of vinyl do you have?"), "general");
+});
+
+test("unknown topics notify as general", () => {
+  assert.equal(contactEvent("wholesale"), "contact.wholesale");
+  assert.equal(contactEvent("nope"), "contact.general");
+});
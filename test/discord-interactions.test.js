@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fileStore = require("../lib/store/file");
+const { initialStatus } = require("../lib/quote-status");
+const { verifyInteraction } = require("../lib/discord-interactions");
+const { TRIAGE_ACTIONS, applyTriageAction, parseTriageId, quoteActions } = require("../lib/quote-triage");
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+// The raw 32-byte key is the tail of the SPKI encoding
+const PUBLIC_KEY_HEX = publicKey.export({ format: "der", type: "spki" }).subarray(12).toString("hex");
+
+function sign(timestamp, body) {
+  return crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString("hex");
+}
+
+function scratchStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-triage-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return fileStore.create({ dir });
+}
+
+// ---------------------------------------------------------------------------
+// Signatures
+// ---------------------------------------------------------------------------
+test("verifyInteraction accepts a fresh signature over timestamp + raw body", () => {
+  const body = '{"type":1}';
+  const ts = String(Math.floor(Date.now() / 1000));
+  assert.equal(verifyInteraction(Buffer.from(body), sign(ts, body), ts, PUBLIC_KEY_HEX), true);
+  assert.equal(verifyInteraction(Buffer.from(`${body} `), sign(ts, body), ts, PUBLIC_KEY_HEX), false);
+  assert.equal(verifyInteraction(body, sign(ts, body), ts, PUBLIC_KEY_HEX), false);
+  assert.equal(verifyInteraction(Buffer.from(body), "ab".repeat(64), ts, PUBLIC_KEY_HEX), false);
+});
+
+test("verifyInteraction refuses timestamps outside the replay window", () => {
+  const body = '{"type":1}';
+  const now = Date.now();
+  const stale = String(Math.floor(now / 1000) - 301);
+  const future = String(Math.floor(now / 1000) + 301);
+  assert.equal(verifyInteraction(Buffer.from(body), sign(stale, body), stale, PUBLIC_KEY_HEX, now), false);
+  assert.equal(verifyInteraction(Buffer.from(body), sign(future, body), future, PUBLIC_KEY_HEX, now), false);
+  assert.equal(verifyInteraction(Buffer.from(body), sign("soon", body), "soon", PUBLIC_KEY_HEX, now), false);
+
+  const recent = String(Math.floor(now / 1000) - 60);
+  assert.equal(verifyInteraction(Buffer.from(body), sign(recent, body), recent, PUBLIC_KEY_HEX, now), true);
+});
+
+// ---------------------------------------------------------------------------
+// Triage actions
+// ---------------------------------------------------------------------------
+const KIM = { id: "42", name: "Kim", roles: [] };
+
+async function seedQuote(store, status = "received") {
+  const at = new Date().toISOString();
+  const record = { id: "PPP-Q-2026-0001", type: "quote", createdAt: at, ...initialStatus(at), data: {} };
+  if (status !== "received") record.status = status;
+  await store.insert("quotes", record);
+  return record;
+}
+
+test("the quoted button only records the status", () => {
+  assert.equal(TRIAGE_ACTIONS["mark-quoted"].label, "Mark Quoted");
+  assert.equal(TRIAGE_ACTIONS["send-quote"], undefined);
+  assert.deepEqual(parseTriageId("triage:mark-quoted:PPP-Q-2026-0001"), {
+    action: "mark-quoted",
+    reference: "PPP-Q-2026-0001",
+  });
+  const quoted = quoteActions("PPP-Q-2026-0001", "quoted").find((a) => a.label === "Mark Quoted");
+  assert.equal(quoted.disabled, true);
+});
+
+test("a triage action updates the record once, status and all", async (t) => {
+  const store = scratchStore(t);
+  await seedQuote(store);
+  let updates = 0;
+  const counting = { ...store, update: (...args) => (updates++, store.update(...args)) };
+
+  const record = await applyTriageAction(counting, "PPP-Q-2026-0001", "request-info", KIM, {
+    note: "Which color?",
+  });
+  assert.equal(updates, 1);
+  assert.equal(record.status, "awaiting-info");
+  assert.equal(record.lastTriage.action, "request-info");
+  assert.deepEqual(record.statusHistory.at(-1), {
+    status: "awaiting-info",
+    at: record.lastTriage.at,
+    note: "Which color?",
+    by: "discord:Kim",
+  });
+  assert.deepEqual(await store.get("quotes", "PPP-Q-2026-0001"), record);
+});
+
+test("a repeated info request still records its question", async (t) => {
+  const store = scratchStore(t);
+  await seedQuote(store);
+  await applyTriageAction(store, "PPP-Q-2026-0001", "request-info", KIM, { note: "Which color?" });
+  const record = await applyTriageAction(store, "PPP-Q-2026-0001", "request-info", KIM, { note: "And size?" });
+  assert.deepEqual(
+    record.statusHistory.map((h) => [h.status, h.note]),
+    [["received", undefined], ["awaiting-info", "Which color?"], ["awaiting-info", "And size?"]]
+  );
+});
+
+test("claiming never moves a quote backwards", async (t) => {
+  const store = scratchStore(t);
+  await seedQuote(store, "quoted");
+  const record = await applyTriageAction(store, "PPP-Q-2026-0001", "claim", KIM);
+  assert.equal(record.status, "quoted");
+  assert.equal(record.claimedBy.name, "Kim");
+  assert.equal(record.statusHistory.length, 1);
+});
+
+test("triage on an unknown quote resolves to null", async (t) => {
+  const store = scratchStore(t);
+  assert.equal(await applyTriageAction(store, "PPP-Q-2026-0404", "decline", KIM), null);
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { cleanText, escapeHtml, escapeMarkdown, escapeMrkdwn } = require("../lib/escape");
+const discord = require("../lib/notifier/discord");
+
+// Every length Discord checks against its limits
+function embedText(payload) {
+  let total = 0;
+  for (const embed of payload.embeds) {
+    total += (embed.title || "").length + (embed.footer?.text || "").length;
+    for (const field of embed.fields) total += field.name.length + field.value.length;
+  }
+  return total;
+}
+
+function assertWithinLimits(payload) {
+  assert.ok(payload.embeds.length <= 10);
+  assert.ok(embedText(payload) <= 6000, `${embedText(payload)} characters`);
+  for (const embed of payload.embeds) {
+    assert.ok(embed.fields.length <= 25);
+    for (const field of embed.fields) {
+      assert.ok(field.name.length <= 256);
+      assert.ok(field.value.length > 0 && field.value.length <= 1024);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Escaping
+// ---------------------------------------------------------------------------
+test("cleanText strips control characters and caps length", () => {
+  assert.equal(cleanText("  Ada\u0000 \u0007Lovelace\r\n  "), "Ada Lovelace");
+  assert.equal(cleanText("one\r\n\r\n\r\n\r\ntwo", { multiline: true }), "one\n\ntwo");
+  assert.equal(cleanText("abcdef", { max: 3 }), "abc");
+  assert.equal(cleanText(null), "");
+});
+
+test("escapeMarkdown keeps customer text literal in Discord", () => {
+  assert.equal(
+    escapeMarkdown("**bold** _it_ ~~x~~ `code` ||spoiler||"),
+    "\\*\\*bold\\*\\* \\_it\\_ \\~\\~x\\~\\~ \\`code\\` \\|\\|spoiler\\|\\|"
+  );
+  assert.equal(escapeMarkdown("[free](https://evil.example)"), "\\[free\\](https://evil.example)");
+  assert.equal(escapeMarkdown("<@123> <#456> <t:0:R>"), "\\<@123\\> \\<#456\\> \\<t:0:R\\>");
+  assert.equal(
+    escapeMarkdown("# Big\n-# small\n- item\n2. item"),
+    "\\# Big\n\\-# small\n\\- item\n2\\. item"
+  );
+  assert.equal(escapeMarkdown("hi @everyone and @here"), "hi @\u200beveryone and @\u200bhere");
+  assert.equal(escapeMarkdown("C:\\temp"), "C:\\\\temp");
+});
+
+test("escapeHtml and escapeMrkdwn cover their own syntax", () => {
+  assert.equal(
+    escapeHtml(`<a href="x">Tom's & Co</a>`),
+    "&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; Co&lt;/a&gt;"
+  );
+  assert.equal(
+    escapeMrkdwn("<!channel> & <https://evil.example|free>"),
+    "&lt;!channel&gt; &amp; &lt;https://evil.example|free&gt;"
+  );
+});
+
+// ---------------------------------------------------------------------------
+// Embeds
+// ---------------------------------------------------------------------------
+test("alerts map onto an escaped embed with mentions disabled", () => {
+  const payload = discord.render({
+    title: "New quote from *Ada*",
+    color: 0x9333ea,
+    fields: [{ name: "Email", value: "ada@example.com", inline: true }, { name: "Notes", value: "" }],
+    timestamp: "2026-10-19T00:00:00.000Z",
+    footer: "Poly People Printing Quote Form",
+  });
+  assert.deepEqual(payload, {
+    embeds: [
+      {
+        color: 0x9333ea,
+        title: "New quote from \\*Ada\\*",
+        fields: [
+          { name: "Email", value: "ada@example.com", inline: true },
+          { name: "Notes", value: "—", inline: undefined },
+        ],
+        timestamp: "2026-10-19T00:00:00.000Z",
+        footer: { text: "Poly People Printing Quote Form" },
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  });
+});
+
+test("long values continue in further fields", () => {
+  const lines = Array.from({ length: 60 }, (_, i) => `Line ${i + 1}: ${"x".repeat(20)}`);
+  const payload = discord.render({
+    title: "Long",
+    fields: [{ name: "Description", value: lines.join("\n") }],
+  });
+  const fields = payload.embeds[0].fields;
+  assert.deepEqual(fields.map((f) => f.name), ["Description", "Description (cont.)"]);
+  assert.equal(fields.map((f) => f.value).join("\n"), lines.join("\n"));
+  assertWithinLimits(payload);
+});
+
+test("oversized alerts are cut to fit and say so", () => {
+  const fields = Array.from({ length: 40 }, (_, i) => ({ name: `Field ${i}`, value: "y".repeat(400) }));
+  const payload = discord.render({ title: "t".repeat(300), fields, footer: "Footer" });
+  assertWithinLimits(payload);
+  assert.equal(payload.embeds[0].title.length, 256);
+  assert.ok(payload.embeds[0].title.endsWith("…"));
+  assert.equal(payload.embeds.at(-1).footer.text, "Footer · truncated to fit Discord's limits");
+
+  const many = Array.from({ length: 30 }, (_, i) => ({ name: `F${i}`, value: "ok" }));
+  const spread = discord.render({ title: "Many", fields: many });
+  assert.deepEqual(spread.embeds.map((e) => e.fields.length), [25, 5]);
+  assert.equal(spread.embeds[1].title, undefined);
+});
+
+test("cuts never leave a dangling escape", () => {
+  const payload = discord.render({ title: `${"a".repeat(254)}*b`, fields: [] });
+  assert.equal(payload.embeds[0].title, `${"a".repeat(254)}…`);
+});
+
+// ---------------------------------------------------------------------------
+// Buttons
+// ---------------------------------------------------------------------------
+test("actions become buttons and the webhook is asked to keep them", () => {
+  const actions = Array.from({ length: 6 }, (_, i) => ({ id: `triage:${i}`, label: `Action ${i}` }));
+  actions[0].style = "success";
+  actions[1].disabled = true;
+  const payload = discord.render({ title: "Quote", fields: [], actions });
+
+  assert.deepEqual(payload.components.map((row) => row.components.length), [5, 1]);
+  assert.deepEqual(payload.components[0].components[0], {
+    type: 2,
+    style: 3,
+    label: "Action 0",
+    custom_id: "triage:0",
+  });
+  assert.equal(payload.components[0].components[1].disabled, true);
+  const url = "https://discord.com/api/webhooks/1/abc";
+  assert.equal(discord.endpoint(url, payload), `${url}?with_components=true`);
+  assert.equal(discord.endpoint(url, {}), url);
+});
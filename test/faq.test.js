@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { FAQ_ENTRIES, matchFAQ } = require("../lib/faq");
+
+const ids = (message) => matchFAQ(message).map((match) => match.id);
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+test("each entry matches the usual ways of asking", () => {
+  assert.deepEqual(ids("When are you open on Saturdays?"), ["hours"]);
+  assert.deepEqual(ids("How long does a batch of 50 shirts take?"), ["turnaround"]);
+  assert.deepEqual(ids("Do you ship to Oregon?"), ["shipping"]);
+  assert.deepEqual(ids("What file formats do you accept for logos?"), ["file-formats"]);
+  assert.deepEqual(ids("Can I order just one keychain?"), ["minimums"]);
+  assert.deepEqual(ids("How much would 20 mugs cost?"), ["pricing"]);
+});
+
+test("plain price questions match pricing", () => {
+  for (const message of ["what is the price?", "What are your rates?", "whats the cost", "price list please"]) {
+    assert.equal(ids(message)[0], "pricing", message);
+  }
+});
+
+test("at most two answers, strongest first, with capped confidence", () => {
+  const matches = matchFAQ("How much is a rush order, and how long will shipping to Texas take?");
+  // Pricing matches too, but ranks third
+  assert.deepEqual(matches.map((m) => m.id), ["turnaround", "shipping"]);
+  assert.ok(matches[0].confidence >= matches[1].confidence);
+  for (const { confidence } of matches) assert.ok(confidence > 0 && confidence <= 1);
+});
+
+test("messages that ask nothing we answer match nothing", () => {
+  assert.deepEqual(matchFAQ(""), []);
+  assert.deepEqual(matchFAQ("Thanks so much, the banner looks great!"), []);
+  assert.deepEqual(matchFAQ("Hi, I'm Ada."), []);
+});
+
+// ---------------------------------------------------------------------------
+// Contact page
+// ---------------------------------------------------------------------------
+test("answers match the FAQ section on the contact page", () => {
+  const html = fs.readFileSync(path.join(__dirname, "..", "public", "poly-contact.html"), "utf8");
+  const page = {};
+  for (const [, question, answer] of html.matchAll(/<h3[^>]*>([^<]+)<\/h3>\s*<p[^>]*>([\s\S]*?)<\/p>/g)) {
+    page[question.trim()] = answer.replace(/<[^>]+>/g, "").trim();
+  }
+  for (const entry of Object.values(FAQ_ENTRIES)) {
+    assert.equal(page[entry.question], entry.answer, entry.question);
+  }
+  assert.match(FAQ_ENTRIES.hours.answer, /Monday through Friday, 9am to 6pm PST/);
+});
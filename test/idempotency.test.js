@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-idempotency-"));
+process.env.STORE_BACKEND = "file";
+process.env.STORE_DIR = scratch;
+process.env.LOG_LEVEL = "error";
+delete process.env.VERCEL;
+
+const { IdempotencyError, fingerprint, claimRequest } = require("../lib/idempotency");
+
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const FIELDS = { email: "ada@example.com", message: "Do you print on canvas?" };
+
+// ---------------------------------------------------------------------------
+// Fingerprints
+// ---------------------------------------------------------------------------
+test("fingerprints ignore case, spacing, field order and per-attempt fields", () => {
+  const base = fingerprint(FIELDS);
+  assert.equal(fingerprint({ message: "  do you PRINT on   canvas? ", email: "Ada@Example.com" }), base);
+  assert.equal(fingerprint({ ...FIELDS, formToken: "abc", website: "", timestamp: "now" }), base);
+  assert.notEqual(fingerprint({ ...FIELDS, message: "Do you print on vinyl?" }), base);
+  assert.notEqual(fingerprint(FIELDS, [{ content: Buffer.from("logo") }]), base);
+});
+
+// ---------------------------------------------------------------------------
+// Claims
+// ---------------------------------------------------------------------------
+test("a completed key replays its response", async () => {
+  const first = await claimRequest("contact", { key: "key-replay", fields: FIELDS });
+  assert.equal(first.replay, null);
+  await first.complete(200, { success: true, reference: "PPP-C-2026-0001" });
+
+  const repeat = await claimRequest("contact", { key: "key-replay", fields: FIELDS });
+  assert.deepEqual(repeat.replay, { status: 200, body: { success: true, reference: "PPP-C-2026-0001" } });
+});
+
+test("a key in flight or reused for another payload is refused", async () => {
+  const first = await claimRequest("contact", { key: "key-busy", fields: FIELDS });
+  await assert.rejects(claimRequest("contact", { key: "key-busy", fields: FIELDS }), { status: 409 });
+
+  const other = { ...FIELDS, message: "Something else" };
+  await assert.rejects(claimRequest("contact", { key: "key-busy", fields: other }), { status: 422 });
+  await first.release();
+});
+
+test("failed responses release the key for a retry", async () => {
+  const first = await claimRequest("contact", { key: "key-failed", fields: FIELDS });
+  await first.complete(502, { error: "Upstream error" });
+  const retry = await claimRequest("contact", { key: "key-failed", fields: FIELDS });
+  assert.equal(retry.replay, null);
+  await retry.release();
+});
+
+test("keys are scoped to their route and must be printable ASCII", async () => {
+  const quote = await claimRequest("quote", { key: "key-shared", fields: FIELDS });
+  await quote.complete(200, { success: true });
+  assert.equal((await claimRequest("contact", { key: "key-shared", fields: FIELDS })).replay, null);
+
+  for (const key of ["", "has space", "é", "x".repeat(256)]) {
+    await assert.rejects(claimRequest("contact", { key, fields: FIELDS }), (err) => {
+      assert.ok(err instanceof IdempotencyError);
+      assert.equal(err.status, 400);
+      return true;
+    });
+  }
+});
+
+test("without a key, the same payload from the same email is a repeat", async () => {
+  const first = await claimRequest("quote", { email: "grace@example.com", fields: FIELDS });
+  await first.complete(200, { success: true, reference: "PPP-Q-2026-0002" });
+
+  const again = await claimRequest("quote", { email: "GRACE@example.com ", fields: FIELDS });
+  assert.deepEqual(again.replay.body, { success: true, reference: "PPP-Q-2026-0002" });
+
+  const anonymous = await claimRequest("quote", { fields: FIELDS });
+  assert.equal(anonymous.replay, null);
+  await anonymous.complete(200, {});
+  assert.equal((await claimRequest("quote", { fields: FIELDS })).replay, null);
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "info";
+const { log, redact, annotate, logRecovery, withRequestLog } = require("../lib/log");
+
+// Lines written to the console during `fn`, parsed
+async function captureLines(t, fn) {
+  const lines = [];
+  for (const method of ["log", "warn", "error"]) {
+    t.mock.method(console, method, (line) => lines.push(JSON.parse(line)));
+  }
+  await fn();
+  for (const method of ["log", "warn", "error"]) console[method].mock.restore();
+  return lines;
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200, headers: {}, body: null, headersSent: false };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), (res.headersSent = true), res);
+  res.setHeader = (name, value) => ((res.headers[name.toLowerCase()] = value), res);
+  return res;
+}
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+test("emails are masked wherever they appear", () => {
+  assert.equal(redact("from ada.lovelace@example.com"), "from a***@example.com");
+  assert.deepEqual(redact({ to: ["ada@example.com", "grace@example.org"] }), {
+    to: ["a***@example.com", "g***@example.org"],
+  });
+});
+
+test("name, contact and free-text fields are dropped at any depth", () => {
+  const record = {
+    reference: "PPP-Q-2026-0001",
+    data: {
+      first_name: "Ada",
+      lastName: "Lovelace",
+      customerName: "Ada Lovelace",
+      Phone: "555-0100",
+      message: "Call me",
+      notes: "Gate code 1234",
+      city: "Auburn",
+      quantity: 2,
+      shippingAddress: { address1: "1 Main St", zip: "98001" },
+    },
+    customer: { email: "ada@example.com" },
+  };
+  assert.deepEqual(redact(record), {
+    reference: "PPP-Q-2026-0001",
+    data: {
+      first_name: "[redacted]",
+      lastName: "[redacted]",
+      customerName: "[redacted]",
+      Phone: "[redacted]",
+      message: "[redacted]",
+      notes: "[redacted]",
+      city: "[redacted]",
+      quantity: 2,
+      shippingAddress: "[redacted]",
+    },
+    customer: "[redacted]",
+  });
+});
+
+test("generic words only count as the whole field name", () => {
+  const counts = { noteCount: 3, cityTax: 0.1, velocity: 2 };
+  assert.deepEqual(redact(counts), counts);
+});
+
+test("IPs lose their last part", () => {
+  assert.deepEqual(redact({ ip: "203.0.113.7", requestIp: "2001:db8:85a3:8d3:1319:8a2e:370:7348" }), {
+    ip: "203.0.113.x",
+    requestIp: "2001:db8:85a3:x",
+  });
+});
+
+test("errors keep their shape, with emails masked", () => {
+  const err = Object.assign(new Error("No mailbox for ada@example.com"), { code: "EENVELOPE", status: 550 });
+  const shape = { name: "Error", message: "No mailbox for a***@example.com", code: "EENVELOPE", status: 550 };
+  // Even under a field name that would otherwise be redacted
+  assert.deepEqual(redact({ err, contactError: err }), { err: shape, contactError: shape });
+});
+
+test("deeply nested values are cut off", () => {
+  const deep = { a: { b: { c: { d: { e: { f: { g: "too deep" } } } } } } };
+  assert.equal(redact(deep).a.b.c.d.e.f, "[truncated]");
+});
+
+// ---------------------------------------------------------------------------
+// Logger
+// ---------------------------------------------------------------------------
+test("lines are JSON with masked messages, filtered by LOG_LEVEL", async (t) => {
+  const lines = await captureLines(t, () => {
+    log.debug("hidden");
+    log.info("Sent to ada@example.com", { phone: "555-0100" });
+    log.error("Store error", { err: new Error("boom") });
+  });
+  assert.equal(lines.length, 2);
+  const { time, ...info } = lines[0];
+  assert.ok(!Number.isNaN(Date.parse(time)));
+  assert.deepEqual(info, { level: "info", msg: "Sent to a***@example.com", phone: "[redacted]" });
+  assert.deepEqual(lines[1].err, { name: "Error", message: "boom" });
+});
+
+test("recovery lines keep the full submission, _fallback first", async (t) => {
+  const [line] = await captureLines(t, () => logRecovery({ type: "quote", data: { firstName: "Ada" } }));
+  assert.equal(Object.keys(line)[0], "_fallback");
+  assert.equal(line._fallback, "SUBMISSION_RECOVERY");
+  assert.deepEqual(line.data, { firstName: "Ada" });
+});
+
+// ---------------------------------------------------------------------------
+// Request wrapper
+// ---------------------------------------------------------------------------
+test("each request gets an id and one summary line", async (t) => {
+  const handler = withRequestLog("contact-submission", async (req, res) => {
+    log.warn("Inside the request", { email: "ada@example.com" });
+    annotate({ topic: "general" });
+    res.status(400).json({ error: "Please enter your name" });
+  });
+  const req = { method: "POST", headers: { "x-forwarded-for": "203.0.113.7, 10.0.0.1" } };
+  const res = fakeResponse();
+  const [inner, summary] = await captureLines(t, () => handler(req, res));
+
+  const requestId = res.headers["x-request-id"];
+  assert.match(requestId, /^[0-9a-f-]{36}$/);
+  assert.deepEqual(res.body, { error: "Please enter your name", requestId });
+  assert.deepEqual(
+    [inner.route, inner.requestId, inner.email],
+    ["contact-submission", requestId, "a***@example.com"]
+  );
+  assert.equal(summary.msg, "Request completed");
+  assert.deepEqual(
+    [summary.status, summary.outcome, summary.ip, summary.topic],
+    [400, "rejected", "203.0.113.x", "general"]
+  );
+});
+
+test("a valid incoming request id is kept; crashes become a logged 500", async (t) => {
+  const handler = withRequestLog("quote-status", async () => {
+    throw new Error("lookup failed for ada@example.com");
+  });
+  const req = {
+    method: "GET",
+    headers: { "x-request-id": "upstream-1234" },
+    socket: { remoteAddress: "::1" },
+  };
+  const res = fakeResponse();
+  const [crash, summary] = await captureLines(t, () => handler(req, res));
+
+  assert.equal(res.headers["x-request-id"], "upstream-1234");
+  assert.deepEqual(res.body, {
+    error: "Something went wrong. Please try again.",
+    requestId: "upstream-1234",
+  });
+  assert.equal(crash.msg, "Unhandled error");
+  assert.equal(crash.err.message, "lookup failed for a***@example.com");
+  assert.deepEqual([summary.level, summary.status, summary.outcome], ["error", 500, "error"]);
+});
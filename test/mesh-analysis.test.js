@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+delete process.env.PRINTER_BED_MM;
+const { analyzeMesh, formatAnalysis } = require("../lib/mesh-analysis");
+
+// ---------------------------------------------------------------------------
+// Fixtures — an axis-aligned cube with outward (counter-clockwise) winding
+// ---------------------------------------------------------------------------
+const CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const QUADS = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [2, 3, 7, 6], [0, 4, 7, 3], [1, 2, 6, 5]];
+
+function cubeTriangles(size, quads = QUADS) {
+  const corner = (i) => CORNERS[i].map((c) => c * size);
+  return quads.flatMap(([a, b, c, d]) => [
+    [corner(a), corner(b), corner(c)],
+    [corner(a), corner(c), corner(d)],
+  ]);
+}
+
+function binaryStl(triangles) {
+  const buf = Buffer.alloc(84 + triangles.length * 50);
+  buf.writeUInt32LE(triangles.length, 80);
+  triangles.forEach((tri, i) => {
+    tri.flat().forEach((n, j) => buf.writeFloatLE(n, 84 + i * 50 + 12 + j * 4));
+  });
+  return buf;
+}
+
+function asciiStl(triangles) {
+  const facets = triangles.map((tri) => {
+    const vertices = tri.map((v) => `  vertex ${v.join(" ")}\n`).join("");
+    return `facet normal 0 0 0\n outer loop\n${vertices} endloop\nendfacet`;
+  });
+  return Buffer.from(`solid cube\n${facets.join("\n")}\nendsolid cube\n`);
+}
+
+function objCube(size) {
+  const vertices = CORNERS.map((c) => `v ${c.map((n) => n * size).join(" ")}`);
+  const faces = QUADS.map((quad) => `f ${quad.map((i) => `${i + 1}/${i + 1}`).join(" ")}`);
+  return Buffer.from(`# cube\n${vertices.join("\n")}\n${faces.join("\n")}\n`);
+}
+
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${actual} to be close to ${expected}`);
+}
+
+// ---------------------------------------------------------------------------
+// Analysis
+// ---------------------------------------------------------------------------
+test("a closed cube measures the same from each format", () => {
+  for (const [buffer, type] of [
+    [binaryStl(cubeTriangles(10)), "model/stl"],
+    [asciiStl(cubeTriangles(10)), "model/stl"],
+    [objCube(10), "model/obj"],
+  ]) {
+    const analysis = analyzeMesh(buffer, type);
+    assert.equal(analysis.triangleCount, 12);
+    assert.equal(analysis.vertexCount, 8);
+    assert.deepEqual(analysis.boundingBox.size, [10, 10, 10]);
+    assertNear(analysis.volume, 1000);
+    assertNear(analysis.surfaceArea, 600);
+    assert.equal(analysis.manifold, true);
+    assert.equal(analysis.fitsBed, true);
+    assert.deepEqual(analysis.issues, []);
+  }
+});
+
+test("an open mesh has no volume and is flagged", () => {
+  const analysis = analyzeMesh(binaryStl(cubeTriangles(10, QUADS.slice(1))), "model/stl");
+  assert.equal(analysis.manifold, false);
+  assert.equal(analysis.volume, null);
+  assert.deepEqual(analysis.issues, ["4 open edge(s) — mesh is not watertight"]);
+});
+
+test("inside-out meshes and oversized models are flagged", () => {
+  const inverted = QUADS.map((quad) => [...quad].reverse());
+  const analysis = analyzeMesh(binaryStl(cubeTriangles(10, inverted)), "model/stl");
+  assert.equal(analysis.inverted, true);
+  assertNear(analysis.volume, 1000);
+  assert.deepEqual(analysis.issues, ["Normals are inverted (inside-out mesh)"]);
+
+  const oversized = analyzeMesh(objCube(300), "model/obj");
+  assert.equal(oversized.fitsBed, false);
+  assert.match(formatAnalysis(oversized), /^Size: 300\.0 × 300\.0 × 300\.0 mm ⚠️ exceeds bed$/m);
+});
+
+test("a file without triangles reports just that", () => {
+  const analysis = analyzeMesh(Buffer.from("solid empty\nendsolid empty\n"), "model/stl");
+  assert.deepEqual(analysis, { triangleCount: 0, issues: ["No triangles found"] });
+  assert.equal(formatAnalysis(analysis), "No triangles found");
+  assert.throws(() => analyzeMesh(Buffer.alloc(0), "image/png"), /Unsupported mesh type/);
+});
+
+test("formatAnalysis summarises size, volume and area", () => {
+  assert.equal(
+    formatAnalysis(analyzeMesh(objCube(10), "model/obj")),
+    "Size: 10.0 × 10.0 × 10.0 mm\nTriangles: 12\nVolume: 1.00 cm³\nSurface area: 6.00 cm²"
+  );
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fileStore = require("../lib/store/file");
+
+process.env.NEWSLETTER_SECRET = "test-newsletter-secret";
+const newsletter = require("../lib/newsletter");
+
+function scratchStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-newsletter-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return fileStore.create({ dir });
+}
+
+function tokenOf(link) {
+  return new URL(link).searchParams.get("token");
+}
+
+// ---------------------------------------------------------------------------
+// Links
+// ---------------------------------------------------------------------------
+test("confirm links verify for their own action only", () => {
+  const token = tokenOf(newsletter.subscriberLink("confirm", "ada@example.com"));
+  assert.deepEqual(newsletter.verifySubscriberToken(token, "confirm"), { ok: true, email: "ada@example.com" });
+  assert.deepEqual(newsletter.verifySubscriberToken(token, "unsubscribe"), { ok: false, reason: "invalid" });
+  assert.equal(newsletter.verifySubscriberToken(`${token}x`, "confirm").reason, "invalid");
+  assert.equal(newsletter.verifySubscriberToken("", "confirm").reason, "missing");
+});
+
+test("confirm links expire after a week; unsubscribe links don't", () => {
+  const weekAgo = Date.now() - 8 * 24 * 60 * 60_000;
+  const confirm = tokenOf(newsletter.subscriberLink("confirm", "ada@example.com", weekAgo));
+  assert.deepEqual(newsletter.verifySubscriberToken(confirm, "confirm"), {
+    ok: false,
+    reason: "expired",
+    email: "ada@example.com",
+  });
+  const unsubscribe = tokenOf(newsletter.subscriberLink("unsubscribe", "ada@example.com", weekAgo));
+  assert.equal(newsletter.verifySubscriberToken(unsubscribe, "unsubscribe").ok, true);
+});
+
+// ---------------------------------------------------------------------------
+// Subscriber records
+// ---------------------------------------------------------------------------
+test("a signup is pending until confirmed, and repeats are throttled", async (t) => {
+  const store = scratchStore(t);
+  const signup = { email: "Ada@Example.com", source: "signup-form", ip: "203.0.113.7" };
+
+  const first = await newsletter.requestSubscription(store, signup);
+  assert.equal(first.outcome, "requested");
+  assert.equal(first.record.id, "ada@example.com");
+  assert.equal(first.record.status, "pending");
+
+  assert.equal((await newsletter.requestSubscription(store, signup)).outcome, "throttled");
+  assert.equal((await newsletter.confirmSubscription(store, "ada@example.com")).outcome, "confirmed");
+  assert.equal((await newsletter.requestSubscription(store, signup)).outcome, "subscribed");
+});
+
+test("a signup that loses the insert race updates the winner's record", async (t) => {
+  const store = scratchStore(t);
+  const signup = { email: "grace@example.com", source: "quote-form" };
+
+  // The other instance inserts between this signup's update and insert
+  const racing = {
+    ...store,
+    update: async () => {
+      racing.update = store.update;
+      await store.insert("subscribers", {
+        id: "grace@example.com",
+        email: "grace@example.com",
+        status: "subscribed",
+        history: [],
+      });
+      return null;
+    },
+  };
+
+  const result = await newsletter.requestSubscription(racing, signup);
+  assert.equal(result.outcome, "subscribed");
+  assert.equal((await store.list("subscribers")).length, 1);
+});
+
+test("concurrent signups for one address leave a single record", async (t) => {
+  const store = scratchStore(t);
+  const signup = { email: "lin@example.com", source: "signup-form" };
+  const results = await Promise.all([1, 2, 3].map(() => newsletter.requestSubscription(store, signup)));
+  assert.deepEqual(results.map((r) => r.outcome).sort(), ["requested", "throttled", "throttled"]);
+  assert.equal((await store.list("subscribers")).length, 1);
+});
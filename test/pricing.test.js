@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+delete process.env.VERCEL;
+
+const { estimateQuote, formatEstimate } = require("../lib/pricing");
+const handler = require("../api/quote-estimate");
+
+function fakeResponse() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  res.setHeader = (name, value) => ((res.headers[name.toLowerCase()] = value), res);
+  return res;
+}
+
+async function estimate(body) {
+  const req = { method: "POST", headers: {}, body, socket: { remoteAddress: "203.0.113.7" } };
+  const res = fakeResponse();
+  await handler(req, res);
+  return res;
+}
+
+// ---------------------------------------------------------------------------
+// estimateQuote
+// ---------------------------------------------------------------------------
+test("a standard order is unit price times quantity plus setup", () => {
+  assert.deepEqual(estimateQuote({ service: "3d-printing", quantity: 10, timeline: "standard" }), {
+    currency: "USD",
+    low: 90,
+    high: 260,
+    quantityDiscount: 0,
+    timelineAdjustment: 0,
+    setupFee: 10,
+  });
+});
+
+test("quantity discounts and rush fees combine, rounded to $5", () => {
+  const rush = estimateQuote({ service: "3d-printing", quantity: 100, timeline: "rush" });
+  assert.equal(rush.quantityDiscount, 0.2);
+  assert.equal(rush.timelineAdjustment, 0.5);
+  assert.deepEqual([rush.low, rush.high], [970, 3010]);
+
+  const bulk = estimateQuote({ service: "sublimation", quantity: 250, timeline: "standard" });
+  assert.equal(bulk.quantityDiscount, 0.3);
+});
+
+test("small orders never go below the minimum", () => {
+  const small = estimateQuote({ service: "dtf-transfers", quantity: 1, timeline: "flexible" });
+  assert.deepEqual([small.low, small.high], [25, 25]);
+  assert.equal(formatEstimate(small), "$25");
+  assert.equal(formatEstimate({ low: 1200, high: 3400 }), "$1,200 – $3,400");
+  assert.equal(estimateQuote({ service: "embroidery", quantity: 10, timeline: "standard" }), null);
+});
+
+// ---------------------------------------------------------------------------
+// Endpoint
+// ---------------------------------------------------------------------------
+test("the estimate endpoint prices a valid request", async () => {
+  const res = await estimate({ service: "laser-services", quantity: "20", timeline: "standard" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.estimate.quantity, 20);
+  assert.equal(res.body.estimate.display, "$140 – $420");
+});
+
+test("the estimate endpoint rejects what it can't price", async () => {
+  const bad = [
+    [{ service: "embroidery", quantity: 1, timeline: "standard" }, /^Invalid service/],
+    [{ service: "3d-printing", quantity: 1, timeline: "yesterday" }, /^Invalid timeline/],
+    [{ service: "3d-printing", quantity: "0", timeline: "standard" }, /^Quantity must be at least 1$/],
+    ["{not json", /^Invalid JSON body$/],
+  ];
+  for (const [body, error] of bad) {
+    const res = await estimate(body);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, error);
+  }
+  assert.equal((await estimate({ notes: "x".repeat(60_000) })).statusCode, 413);
+});
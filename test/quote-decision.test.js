@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fileStore = require("../lib/store/file");
+
+process.env.QUOTE_LINK_SECRET = "test-quote-secret";
+const decision = require("../lib/quote-decision");
+
+const SECRET = process.env.QUOTE_LINK_SECRET;
+
+const PRICED = { issuedAt: "2026-10-19T12:00:00.000Z", validUntil: "2026-11-15", total: 27.5 };
+
+function scratchStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-decision-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return fileStore.create({ dir });
+}
+
+function tokenOf(link) {
+  return new URL(link).searchParams.get("token");
+}
+
+async function seedQuote(store) {
+  const at = "2026-10-19T12:00:00.000Z";
+  const record = {
+    id: "PPP-Q-2026-0001",
+    type: "quote",
+    createdAt: at,
+    status: "quoted",
+    statusHistory: [{ status: "quoted", at }],
+    pricedQuote: PRICED,
+    data: {},
+  };
+  await store.insert("quotes", record);
+  return record;
+}
+
+function claimsFor(which, version = PRICED.issuedAt) {
+  return { reference: "PPP-Q-2026-0001", decision: which, version, expiresAt: Date.now() + 60_000 };
+}
+
+// ---------------------------------------------------------------------------
+// Links and tokens
+// ---------------------------------------------------------------------------
+test("each decision link carries its own signed claims", () => {
+  const links = decision.decisionLinks("PPP-Q-2026-0001", PRICED);
+  assert.ok(links.accept.startsWith("https://polypeopleprinting.com/poly-quote-response.html?token="));
+
+  const now = Date.parse("2026-10-20T00:00:00Z");
+  for (const which of ["accept", "decline"]) {
+    assert.deepEqual(decision.verifyDecisionToken(tokenOf(links[which]), SECRET, now), {
+      ok: true,
+      claims: {
+        reference: "PPP-Q-2026-0001",
+        decision: which,
+        version: PRICED.issuedAt,
+        expiresAt: Date.parse("2026-11-15T23:59:59.999Z"),
+      },
+    });
+  }
+});
+
+test("links expire after the valid-until day", () => {
+  const token = tokenOf(decision.decisionLinks("PPP-Q-2026-0001", PRICED).accept);
+  assert.equal(decision.verifyDecisionToken(token, SECRET, Date.parse("2026-11-15T23:00:00Z")).ok, true);
+  const expired = decision.verifyDecisionToken(token, SECRET, Date.parse("2026-11-16T00:00:00Z"));
+  assert.equal(expired.reason, "expired");
+  assert.equal(expired.claims.decision, "accept");
+});
+
+test("forged, foreign and malformed tokens are invalid", () => {
+  const token = tokenOf(decision.decisionLinks("PPP-Q-2026-0001", PRICED).accept);
+  assert.deepEqual(decision.verifyDecisionToken(token, "another-secret"), { ok: false, reason: "invalid" });
+  assert.deepEqual(decision.verifyDecisionToken(`x${token}`, SECRET), { ok: false, reason: "invalid" });
+  assert.deepEqual(decision.verifyDecisionToken(undefined, SECRET), { ok: false, reason: "missing" });
+
+  const bogus = decision.issueDecisionToken(claimsFor("haggle"), SECRET);
+  assert.deepEqual(decision.verifyDecisionToken(bogus, SECRET), { ok: false, reason: "invalid" });
+});
+
+test("links are off without QUOTE_LINK_SECRET", (t) => {
+  delete process.env.QUOTE_LINK_SECRET;
+  t.after(() => (process.env.QUOTE_LINK_SECRET = SECRET));
+  assert.equal(decision.isDecisionLinksEnabled(), false);
+  assert.equal(decision.decisionLinks("PPP-Q-2026-0001", PRICED), null);
+});
+
+// ---------------------------------------------------------------------------
+// Applying a decision
+// ---------------------------------------------------------------------------
+test("an answer is recorded once and moves the quote on", async (t) => {
+  const store = scratchStore(t);
+  await seedQuote(store);
+
+  const first = await decision.applyDecision(store, claimsFor("accept"), { ip: "203.0.113.7" });
+  assert.equal(first.outcome, "recorded");
+  assert.equal(first.record.status, "accepted");
+  assert.equal(first.record.decision.ip, "203.0.113.7");
+  assert.equal(first.record.statusHistory.at(-1).note, "Quote accepted by customer");
+
+  const second = await decision.applyDecision(store, claimsFor("decline"));
+  assert.equal(second.outcome, "decided");
+  assert.equal(second.record.status, "accepted");
+});
+
+test("links from an earlier or closed quote can't decide", async (t) => {
+  const store = scratchStore(t);
+  await seedQuote(store);
+  const old = await decision.applyDecision(store, claimsFor("accept", "2026-10-01T09:00:00.000Z"));
+  assert.equal(old.outcome, "superseded");
+
+  await store.update("quotes", "PPP-Q-2026-0001", (record) => ({ ...record, status: "declined" }));
+  assert.equal((await decision.applyDecision(store, claimsFor("accept"))).outcome, "closed");
+  assert.equal((await store.get("quotes", "PPP-Q-2026-0001")).decision, undefined);
+
+  const unknown = { ...claimsFor("accept"), reference: "PPP-Q-2026-0404" };
+  assert.deepEqual(await decision.applyDecision(store, unknown), { outcome: "not-found", record: null });
+});
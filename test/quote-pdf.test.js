@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { createPdf, textWidth, wrapText } = require("../lib/pdf");
+const { PricedQuoteError, buildPricedQuote, formatDate } = require("../lib/priced-quote");
+const { renderQuotePdf } = require("../lib/quote-pdf");
+
+// Content streams of every page, inflated back to their operators
+function pageContents(pdf) {
+  const text = pdf.toString("latin1");
+  const contents = [];
+  for (const match of text.matchAll(/\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)) {
+    const start = match.index + match[0].length;
+    const stream = pdf.subarray(start, start + Number(match[1]));
+    contents.push(zlib.inflateSync(stream).toString("latin1"));
+  }
+  return contents;
+}
+
+// The xref table must point at each object's header for readers to open it
+function assertXref(pdf) {
+  const text = pdf.toString("latin1");
+  const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+  assert.equal(text.slice(startxref, startxref + 4), "xref");
+  const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+  offsets.forEach((offset, i) => {
+    assert.equal(text.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// PDF writer
+// ---------------------------------------------------------------------------
+test("a document is a valid PDF with one content stream per page", () => {
+  const doc = createPdf();
+  doc.addPage().text("Hello (world) \\ café — 10€ ✓", 50, 700);
+  doc.addPage().rect(0, 0, 100, 100, "#764ba2").line(0, 0, 612, 792);
+  const pdf = doc.toBuffer({ Title: "Quote (draft)" });
+
+  assert.equal(pdf.toString("latin1", 0, 9), "%PDF-1.4\n");
+  assert.match(pdf.toString("latin1"), /\/Type \/Pages \/Kids \[\d+ 0 R \d+ 0 R\] \/Count 2/);
+  assert.match(pdf.toString("latin1"), /\/Title \(Quote \\\(draft\\\)\)/);
+  assertXref(pdf);
+
+  const [first, second] = pageContents(pdf);
+  assert.ok(first.includes("(Hello \\(world\\) \\\\ caf\xe9 \x97 10\x80 ?) Tj"));
+  assert.equal(second, "0.463 0.294 0.635 rg 0 0 100 100 re f\n0.000 0.000 0.000 RG 0.5 w 0 0 m 612 792 l S");
+});
+
+test("text is measured with the Helvetica metrics and wrapped to fit", () => {
+  assert.equal(textWidth("Hi", 10), 9.44);
+  assert.equal(textWidth("Hi", 10, "bold"), 10);
+
+  const lines = wrapText("Custom keychains with a two colour logo, printed in PETG", 100, 10);
+  assert.ok(lines.length > 1);
+  for (const line of lines) assert.ok(textWidth(line, 10) <= 100, line);
+  assert.equal(lines.join(" "), "Custom keychains with a two colour logo, printed in PETG");
+
+  assert.deepEqual(wrapText("one\ntwo", 500, 10), ["one", "two"]);
+  assert.ok(wrapText("x".repeat(100), 50, 10).every((line) => textWidth(line, 10) <= 50));
+});
+
+// ---------------------------------------------------------------------------
+// Priced quotes
+// ---------------------------------------------------------------------------
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+
+test("priced quote totals are computed in cents", () => {
+  const quote = buildPricedQuote(
+    {
+      lineItems: [
+        { description: "Keychain", quantity: 3, unitPrice: 4.335 },
+        { description: "Setup", quantity: 1, unitPrice: "10" },
+      ],
+      taxRate: 10.1,
+      validUntil: "2026-11-15",
+    },
+    NOW
+  );
+  assert.deepEqual(quote.lineItems.map((item) => item.amount), [13.01, 10]);
+  assert.equal(quote.subtotal, 23.01);
+  assert.equal(quote.tax, 2.32);
+  assert.equal(quote.total, 25.33);
+  assert.equal(quote.issuedAt, "2026-10-19T12:00:00.000Z");
+  assert.equal(formatDate(quote.validUntil), "November 15, 2026");
+});
+
+test("priced quotes refuse bad items, tax rates and dates", () => {
+  const item = { description: "Keychain", quantity: 1, unitPrice: 5 };
+  const validUntil = "2026-11-15";
+  const cases = [
+    [{ lineItems: [], validUntil }, /lineItems must list 1-50 items/],
+    [{ lineItems: [{ ...item, quantity: 0 }], validUntil }, /quantity must be a positive number/],
+    [{ lineItems: [{ ...item, description: " " }], validUntil }, /description is required/],
+    [{ lineItems: [item], taxRate: 101, validUntil }, /taxRate must be a percentage/],
+    [{ lineItems: [item], validUntil: "2026-10-18" }, /can't be in the past/],
+    [{ lineItems: [item], validUntil: "2028-01-01" }, /within 365 days/],
+    [{ lineItems: [item], validUntil: "11/15/2026" }, /YYYY-MM-DD/],
+  ];
+  for (const [input, message] of cases) {
+    assert.throws(() => buildPricedQuote(input, NOW), (err) => {
+      assert.ok(err instanceof PricedQuoteError);
+      assert.equal(err.status, 400);
+      assert.match(err.message, message);
+      return true;
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Quote document
+// ---------------------------------------------------------------------------
+const RECORD = {
+  id: "PPP-Q-2026-0001",
+  data: {
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "ada@example.com",
+    phone: "555-0100",
+    service: "3d-printing",
+    quantity: 2,
+    timeline: "standard",
+  },
+};
+
+test("the quote PDF lists the customer, items and totals", () => {
+  const priced = buildPricedQuote(
+    {
+      lineItems: [{ description: "Bracket (PETG)", quantity: 2, unitPrice: 12.5 }],
+      taxRate: 10,
+      validUntil: "2026-11-15",
+      notes: "Ships in 5 days.",
+    },
+    NOW
+  );
+  const pdf = renderQuotePdf(RECORD, priced);
+  assertXref(pdf);
+  assert.match(pdf.toString("latin1"), /\/Title \(Quote PPP-Q-2026-0001\)/);
+
+  const [page] = pageContents(pdf);
+  const expected = [
+    "Ada Lovelace",
+    "Reference: PPP-Q-2026-0001",
+    "Bracket \\(PETG\\)",
+    "$25.00",
+    "$2.50",
+    "$27.50",
+    "Ships in 5 days.",
+    "This quote is valid until November 15, 2026.",
+  ];
+  for (const text of expected) {
+    assert.ok(page.includes(`(${text}) Tj`), text);
+  }
+});
+
+test("long quotes continue onto numbered pages", () => {
+  const lineItems = Array.from({ length: 50 }, (_, i) => ({
+    description: `Part ${i + 1}, printed in PLA with a sanded finish and a clear coat`,
+    quantity: 1,
+    unitPrice: 5,
+  }));
+  const pdf = renderQuotePdf(RECORD, buildPricedQuote({ lineItems, validUntil: "2026-11-15" }, NOW));
+  const pages = pageContents(pdf);
+  assert.ok(pages.length > 1);
+  assertXref(pdf);
+  assert.ok(pages.every((page) => page.includes("(PPP-Q-2026-0001) Tj")));
+  assert.ok(pages[1].includes("(Page 2) Tj"));
+  assert.ok(pages.at(-1).includes("($250.00) Tj"));
+});
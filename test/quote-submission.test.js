@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+// Each test file runs in its own process, so the handler's store and email
+// sink can point at a scratch directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-quote-"));
+process.env.STORE_BACKEND = "file";
+process.env.STORE_DIR = path.join(scratch, "data");
+process.env.EMAIL_PROVIDER = "file";
+process.env.EMAIL_SINK_DIR = path.join(scratch, "mail");
+process.env.NOTIFY_ROUTES = JSON.stringify({ quote: [{ type: "email", to: "team@example.com" }] });
+process.env.LOG_LEVEL = "error";
+delete process.env.FORM_TOKEN_SECRET;
+delete process.env.VERCEL;
+
+const handler = require("../api/quote-submission");
+
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+// ---------------------------------------------------------------------------
+// Fake request/response: the request is an unread stream, as it is on
+// Vercel with the body parser off
+// ---------------------------------------------------------------------------
+function fakeRequest(body, headers) {
+  const req = Readable.from([Buffer.from(body)]);
+  req.method = "POST";
+  req.headers = headers;
+  req.query = {};
+  req.socket = { remoteAddress: "203.0.113.7" };
+  return req;
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  res.setHeader = (name, value) => ((res.headers[name.toLowerCase()] = value), res);
+  return res;
+}
+
+const FIELDS = {
+  service: "3d-printing",
+  quantity: "2",
+  timeline: "standard",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  email: "ada@example.com",
+  phone: "555-0100",
+};
+
+function multipart(boundary, fields, files) {
+  const parts = Object.entries(fields).map(
+    ([name, value]) =>
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+  );
+  const buffers = parts.map((p) => Buffer.from(p));
+  for (const file of files) {
+    buffers.push(
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="${file.name}"\r\n` +
+          `Content-Type: ${file.type}\r\n\r\n`
+      ),
+      file.content,
+      Buffer.from("\r\n")
+    );
+  }
+  buffers.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(buffers);
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+test("the route asks Vercel to leave the body unparsed", () => {
+  assert.deepEqual(handler.config, { api: { bodyParser: false } });
+});
+
+test("every route that reads the raw body turns the body parser off", () => {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.name.endsWith(".js")) files.push(full);
+    }
+  };
+  walk(path.join(__dirname, "..", "api"));
+
+  const readers = files.filter((file) => fs.readFileSync(file, "utf8").includes("readRawBody("));
+  assert.ok(readers.length >= 3);
+  for (const file of readers) {
+    assert.match(
+      fs.readFileSync(file, "utf8"),
+      /module\.exports\.config = \{ api: \{ bodyParser: false \} \};/,
+      path.relative(path.join(__dirname, ".."), file)
+    );
+  }
+});
+
+test("a JSON submission is parsed from the raw stream", async () => {
+  const res = fakeResponse();
+  await handler(
+    fakeRequest(JSON.stringify({ ...FIELDS, details: "JSON path" }), {
+      "content-type": "application/json",
+    }),
+    res
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.match(res.body.reference, /^PPP-Q-\d{4}-\d{4}$/);
+  assert.equal(res.body.delivery, undefined);
+});
+
+test("a multipart submission stores its design files", async () => {
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.alloc(32),
+  ]);
+  const boundary = "test-boundary";
+  const res = fakeResponse();
+  await handler(
+    fakeRequest(
+      multipart(boundary, { ...FIELDS, email: "grace@example.com" }, [
+        { name: "logo.png", type: "image/png", content: png },
+      ]),
+      { "content-type": `multipart/form-data; boundary=${boundary}` }
+    ),
+    res
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+
+  const { getStore } = require("../lib/store");
+  const record = await getStore().get("quotes", res.body.reference);
+  assert.equal(record.files.length, 1);
+  assert.equal(record.files[0].name, "logo.png");
+  assert.equal(record.files[0].size, png.length);
+});
+
+test("an oversized JSON body is refused before parsing", async () => {
+  const res = fakeResponse();
+  await handler(
+    fakeRequest(JSON.stringify({ ...FIELDS, details: "x".repeat(60_000) }), {
+      "content-type": "application/json",
+    }),
+    res
+  );
+  assert.equal(res.statusCode, 413);
+});
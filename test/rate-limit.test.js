@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { parseReply } = require("../lib/redis");
+
+// ---------------------------------------------------------------------------
+// Fake Redis that answers the limiter's MULTI/EXEC pipeline with "one hit
+// in the window" and counts the connections it gets
+// ---------------------------------------------------------------------------
+// EXEC reply: ZREMRANGEBYSCORE, ZADD, ZCARD, ZRANGE … WITHSCORES, PEXPIRE
+function execReply() {
+  const now = String(Date.now());
+  return `*5\r\n:0\r\n:1\r\n:1\r\n*2\r\n$1\r\nm\r\n$${now.length}\r\n${now}\r\n:1\r\n`;
+}
+
+async function fakeRedis() {
+  const fake = { connections: 0, commands: [], sockets: new Set() };
+  fake.server = net.createServer((sock) => {
+    fake.connections += 1;
+    fake.sockets.add(sock);
+    let buffer = Buffer.alloc(0);
+    sock.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed[1]);
+        const [name] = parsed[0];
+        fake.commands.push(name);
+        if (name === "MULTI") sock.write("+OK\r\n");
+        else if (name === "EXEC") sock.write(execReply());
+        else sock.write("+QUEUED\r\n");
+      }
+    });
+  });
+  await new Promise((resolve) => fake.server.listen(0, "127.0.0.1", resolve));
+  fake.url = `redis://127.0.0.1:${fake.server.address().port}`;
+  return fake;
+}
+
+// The backend is picked once per module instance, so each check loads a
+// fresh copy under `env` (undefined deletes a variable)
+async function checkWith(env) {
+  const saved = { ...process.env };
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  delete require.cache[require.resolve("../lib/rate-limit")];
+  try {
+    return await require("../lib/rate-limit").checkRateLimit("quote-submission", { ip: "203.0.113.7" });
+  } finally {
+    process.env = saved;
+  }
+}
+
+test("Vercel with REDIS_URL defaults to the shared Redis limiter", async (t) => {
+  const fake = await fakeRedis();
+  t.after(() => {
+    for (const sock of fake.sockets) sock.destroy();
+    fake.server.close();
+  });
+
+  const result = await checkWith({ VERCEL: "1", REDIS_URL: fake.url, RATE_LIMIT_BACKEND: undefined });
+  assert.equal(result.allowed, true);
+  assert.deepEqual(fake.commands.slice(0, 2), ["MULTI", "ZREMRANGEBYSCORE"]);
+});
+
+test("local runs keep the in-memory limiter even with REDIS_URL set", async (t) => {
+  const fake = await fakeRedis();
+  t.after(() => fake.server.close());
+
+  const result = await checkWith({ VERCEL: undefined, REDIS_URL: fake.url, RATE_LIMIT_BACKEND: undefined });
+  assert.equal(result.allowed, true);
+  assert.equal(fake.connections, 0);
+});
+
+test("RATE_LIMIT_BACKEND still overrides the default on Vercel", async (t) => {
+  const fake = await fakeRedis();
+  t.after(() => fake.server.close());
+
+  await checkWith({ VERCEL: "1", REDIS_URL: fake.url, RATE_LIMIT_BACKEND: "memory" });
+  assert.equal(fake.connections, 0);
+});
@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { EventEmitter } = require("events");
+const { RedisError, createClient, encodeCommand, parseReply } = require("../lib/redis");
+
+// ---------------------------------------------------------------------------
+// Fake server: answers every command with `respond(args)`. Returns the
+// server, its redis:// URL and the sockets it accepted.
+// ---------------------------------------------------------------------------
+async function fakeServer(respond) {
+  const sockets = [];
+  const server = net.createServer((sock) => {
+    sockets.push(sock);
+    let buffer = Buffer.alloc(0);
+    sock.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed[1]);
+        const reply = respond(parsed[0], sock);
+        if (reply !== undefined) sock.write(reply);
+      }
+    });
+    sock.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, sockets, url: `redis://127.0.0.1:${server.address().port}` };
+}
+
+// ---------------------------------------------------------------------------
+// Reply parser
+// ---------------------------------------------------------------------------
+test("parseReply reads each RESP2 type", () => {
+  assert.deepEqual(parseReply(Buffer.from("+OK\r\n"), 0), ["OK", 5]);
+  assert.deepEqual(parseReply(Buffer.from(":42\r\n"), 0), [42, 5]);
+  assert.deepEqual(parseReply(Buffer.from("$5\r\nhello\r\n"), 0), ["hello", 11]);
+  assert.deepEqual(parseReply(Buffer.from("$-1\r\n"), 0), [null, 5]);
+  assert.deepEqual(parseReply(Buffer.from("*-1\r\n"), 0), [null, 5]);
+  assert.deepEqual(parseReply(Buffer.from("*2\r\n:1\r\n$1\r\na\r\n"), 0), [[1, "a"], 15]);
+
+  const [error] = parseReply(Buffer.from("-ERR wrong type\r\n"), 0);
+  assert.ok(error instanceof RedisError);
+  assert.equal(error.message, "ERR wrong type");
+});
+
+test("parseReply measures bulk strings in bytes", () => {
+  const reply = Buffer.from("$3\r\né!\r\n+OK\r\n");
+  const [value, next] = parseReply(reply, 0);
+  assert.equal(value, "é!");
+  assert.deepEqual(parseReply(reply, next), ["OK", reply.length]);
+});
+
+test("parseReply waits for incomplete replies", () => {
+  assert.equal(parseReply(Buffer.from("+OK"), 0), null);
+  assert.equal(parseReply(Buffer.from("$5\r\nhel"), 0), null);
+  assert.equal(parseReply(Buffer.from("*2\r\n:1\r\n"), 0), null);
+});
+
+test("parseReply throws on malformed input", () => {
+  assert.throws(() => parseReply(Buffer.from("?what\r\n"), 0), RedisError);
+  assert.throws(() => parseReply(Buffer.from("$abc\r\n"), 0), RedisError);
+  assert.throws(() => parseReply(Buffer.from("*x\r\n"), 0), RedisError);
+});
+
+test("encodeCommand round-trips through parseReply", () => {
+  const encoded = Buffer.from(encodeCommand(["SET", "kéy", 12]));
+  assert.deepEqual(parseReply(encoded, 0), [["SET", "kéy", "12"], encoded.length]);
+});
+
+// ---------------------------------------------------------------------------
+// Client
+// ---------------------------------------------------------------------------
+test("client pipelines commands and matches replies in order", async () => {
+  const { server, url } = await fakeServer(([name, ...args]) =>
+    name === "ECHO" ? `$${Buffer.byteLength(args[0])}\r\n${args[0]}\r\n` : "-ERR unknown\r\n"
+  );
+  const client = createClient(url);
+  try {
+    const replies = await client.pipeline([["ECHO", "a"], ["NOPE"], ["ECHO", "b"]]);
+    assert.equal(replies[0], "a");
+    assert.ok(replies[1] instanceof RedisError);
+    assert.equal(replies[2], "b");
+    await assert.rejects(client.command("NOPE"), RedisError);
+  } finally {
+    client.close();
+    server.close();
+  }
+});
+
+test("client sends AUTH and SELECT from the URL", async () => {
+  const seen = [];
+  const { server, url } = await fakeServer((args) => {
+    seen.push(args);
+    return "+OK\r\n";
+  });
+  const client = createClient(url.replace("redis://", "redis://user:p%40ss@") + "/3");
+  try {
+    await client.command("PING");
+    assert.deepEqual(seen, [["AUTH", "user", "p@ss"], ["SELECT", "3"], ["PING"]]);
+  } finally {
+    client.close();
+    server.close();
+  }
+});
+
+test("client reconnects on the next command after a dropped connection", async () => {
+  const { server, sockets, url } = await fakeServer(() => "+PONG\r\n");
+  const client = createClient(url);
+  try {
+    assert.equal(await client.command("PING"), "PONG");
+    sockets[0].destroy();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(await client.command("PING"), "PONG");
+    assert.equal(sockets.length, 2);
+  } finally {
+    client.close();
+    server.close();
+  }
+});
+
+test("a late close from a replaced connection doesn't fail the new one", async () => {
+  // Scripted sockets, so the old one's close can arrive exactly while the
+  // new one has a command in flight
+  const sockets = [];
+  const connect = net.connect;
+  net.connect = () => {
+    const sock = new EventEmitter();
+    sock.written = [];
+    sock.write = (data) => sock.written.push(data);
+    sock.destroy = () => {};
+    sock.unref = () => {};
+    sockets.push(sock);
+    process.nextTick(() => sock.emit("connect"));
+    return sock;
+  };
+  const client = createClient("redis://127.0.0.1:6379");
+  try {
+    const first = client.command("PING");
+    await new Promise(setImmediate);
+    sockets[0].emit("data", Buffer.from("+PONG\r\n"));
+    assert.equal(await first, "PONG");
+
+    sockets[0].emit("error", new Error("ECONNRESET"));
+    const second = client.command("GET", "k");
+    await new Promise(setImmediate);
+    assert.equal(sockets.length, 2);
+    sockets[0].emit("close");
+    sockets[1].emit("data", Buffer.from("$1\r\nv\r\n"));
+    assert.equal(await second, "v");
+  } finally {
+    net.connect = connect;
+  }
+});
+
+test("a malformed reply rejects pending commands instead of throwing", async () => {
+  const { server, url } = await fakeServer(() => "?garbage\r\n");
+  const client = createClient(url);
+  const uncaught = [];
+  const onUncaught = (err) => uncaught.push(err);
+  process.on("uncaughtException", onUncaught);
+  try {
+    await assert.rejects(client.command("PING"), /Unexpected RESP type/);
+    assert.deepEqual(uncaught, []);
+  } finally {
+    process.off("uncaughtException", onUncaught);
+    client.close();
+    server.close();
+  }
+});
@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+
+process.env.LOG_LEVEL = "error";
+const { SCHEMA_NAMES, validate, validationErrorBody, publicSchema } = require("../lib/schemas");
+const schemaHandler = require("../api/schema/[name]");
+
+const QUOTE = {
+  service: "3d-printing",
+  quantity: "2",
+  timeline: "standard",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  email: " Ada@Example.COM ",
+  phone: "(555) 010-0100",
+};
+
+function fakeRequest(method, name) {
+  return Object.assign(Readable.from([]), {
+    method,
+    headers: {},
+    query: { name },
+    socket: { remoteAddress: "203.0.113.7" },
+  });
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200, headers: {}, body: null, headersSent: false };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), (res.headersSent = true), res);
+  res.setHeader = (name, value) => ((res.headers[name.toLowerCase()] = value), res);
+  return res;
+}
+
+// ---------------------------------------------------------------------------
+// Quote payloads
+// ---------------------------------------------------------------------------
+test("quote fields are coerced and unknown fields dropped", () => {
+  const { value, errors } = validate("quote", {
+    ...QUOTE,
+    description: "Line one\r\n\r\n\r\n\r\nLine two\u0000",
+    materials: "  PETG,\n  black  ",
+    newsletter: "false",
+    isAdmin: true,
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    service: "3d-printing",
+    quantity: 2,
+    timeline: "standard",
+    dimensions: "",
+    materials: "PETG, black",
+    budget: "",
+    description: "Line one\n\nLine two",
+    referral: "",
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "ada@example.com",
+    phone: "(555) 010-0100",
+    contactMethod: "email",
+    newsletter: false,
+  });
+});
+
+test("checkboxes read multipart strings as booleans", () => {
+  const newsletter = (raw) => validate("quote", { ...QUOTE, newsletter: raw }).value.newsletter;
+  assert.equal(newsletter("true"), true);
+  assert.equal(newsletter("on"), true);
+  assert.equal(newsletter(true), true);
+  for (const raw of ["false", "0", "off", "No", false, undefined]) {
+    assert.equal(newsletter(raw), false, String(raw));
+  }
+});
+
+test("bad quote fields report invalid, range and required in schema order", () => {
+  const { value, errors } = validate("quote", {
+    ...QUOTE,
+    service: "embroidery",
+    quantity: "1.5",
+    timeline: "",
+    firstName: "\u0000 ",
+    email: "ada@example",
+    phone: "call me",
+    contactMethod: "pigeon",
+  });
+  assert.deepEqual(
+    errors.map(({ field, code }) => [field, code]),
+    [
+      ["service", "invalid"],
+      ["quantity", "invalid"],
+      ["timeline", "required"],
+      ["firstName", "required"],
+      ["email", "invalid"],
+      ["phone", "invalid"],
+      ["contactMethod", "invalid"],
+    ]
+  );
+  assert.equal(errors[0].message, "Please select a service before continuing");
+  // Failed fields fall back to their empty value
+  assert.equal(value.service, "");
+  assert.equal(value.contactMethod, "email");
+
+  assert.equal(validate("quote", { ...QUOTE, quantity: "0" }).errors[0].code, "range");
+  assert.equal(validate("quote", { ...QUOTE, quantity: " 12 " }).value.quantity, 12);
+});
+
+test("text fields are capped at their max length", () => {
+  const { value } = validate("quote", { ...QUOTE, dimensions: "x".repeat(1200) });
+  assert.equal(value.dimensions.length, 1000);
+  assert.equal(validate("quote", { ...QUOTE, phone: `+1 ${"5".repeat(30)}` }).value.phone.length, 20);
+});
+
+// ---------------------------------------------------------------------------
+// Legacy order payloads
+// ---------------------------------------------------------------------------
+test("legacy orders keep range quantities and pass contact details through", () => {
+  const order = {
+    ...QUOTE,
+    email: " Ada@Example ",
+    phone: "ask for Ada",
+    contactMethod: "Carrier pigeon",
+  };
+  for (const quantity of ["50-100", "100+", "2"]) {
+    const { value, errors } = validate("order", { ...order, quantity });
+    assert.deepEqual(errors, []);
+    assert.equal(value.quantity, quantity);
+    assert.equal(value.email, "ada@example");
+    assert.equal(value.phone, "ask for Ada");
+    assert.equal(value.contactMethod, "Carrier pigeon");
+  }
+  assert.equal(validate("order", { ...order, contactMethod: undefined }).value.contactMethod, "");
+});
+
+test("legacy orders still need the required fields", () => {
+  const { errors } = validate("order", { service: "3d-printing", timeline: "rush" });
+  assert.deepEqual(
+    errors.map((error) => error.field),
+    ["quantity", "firstName", "lastName", "email", "phone"]
+  );
+  assert.deepEqual(validationErrorBody("order", errors.slice(0, 2)), {
+    error: "Please check these fields: Quantity, First name",
+    errors: errors.slice(0, 2),
+  });
+});
+
+test("unknown schemas throw", () => {
+  assert.throws(() => validate("invoice", {}), /Unknown schema: invoice/);
+});
+
+// ---------------------------------------------------------------------------
+// Published schemas
+// ---------------------------------------------------------------------------
+test("published schemas are JSON-safe with defaults filled in", () => {
+  const quote = publicSchema("quote");
+  assert.equal(quote.name, "quote");
+  assert.equal(quote.fields.dimensions.maxLength, 1000);
+  assert.equal(new RegExp(quote.fields.email.pattern).test("ada@example.com"), true);
+  assert.deepEqual(JSON.parse(JSON.stringify(quote)), quote);
+  assert.equal(publicSchema("invoice"), null);
+});
+
+test("the schema endpoint serves each schema and rejects the rest", async () => {
+  for (const name of SCHEMA_NAMES) {
+    const res = fakeResponse();
+    await schemaHandler(fakeRequest("GET", name), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { success: true, ...publicSchema(name) });
+  }
+
+  const missing = fakeResponse();
+  await schemaHandler(fakeRequest("GET", "invoice"), missing);
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.error, "Unknown schema. Must be one of: quote, order, contact");
+
+  const post = fakeResponse();
+  await schemaHandler(fakeRequest("POST", "quote"), post);
+  assert.equal(post.statusCode, 405);
+});
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-shopify-"));
+process.env.STORE_BACKEND = "file";
+process.env.STORE_DIR = path.join(scratch, "data");
+process.env.EMAIL_PROVIDER = "file";
+process.env.EMAIL_SINK_DIR = path.join(scratch, "mail");
+process.env.NOTIFY_ROUTES = JSON.stringify({ order: [{ type: "email", to: "team@example.com" }] });
+process.env.LOG_LEVEL = "error";
+delete process.env.VERCEL;
+
+const { verifyShopifyHmac, normalizeShopifyOrder } = require("../lib/shopify");
+const fileStore = require("../lib/store/file");
+const handler = require("../api/webhooks/new-order");
+
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const SECRET = "test-shopify-secret";
+
+function hmac(body, secret = SECRET) {
+  return crypto.createHmac("sha256", secret).update(body).digest("base64");
+}
+
+// Each delivery comes from its own address so the per-IP limit stays out of
+// the way
+let deliveries = 0;
+
+function fakeRequest(body, headers) {
+  const req = Readable.from([body]);
+  req.method = "POST";
+  req.headers = headers;
+  req.query = {};
+  req.socket = { remoteAddress: `198.51.100.${++deliveries}` };
+  return req;
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  res.setHeader = (name, value) => ((res.headers[name.toLowerCase()] = value), res);
+  return res;
+}
+
+async function deliver(order, { topic = "orders/create", signature } = {}) {
+  const body = Buffer.from(JSON.stringify(order));
+  const res = fakeResponse();
+  await handler(
+    fakeRequest(body, {
+      "x-shopify-topic": topic,
+      "x-shopify-hmac-sha256": signature === undefined ? hmac(body) : signature,
+      "x-shopify-webhook-id": crypto.randomUUID(),
+    }),
+    res
+  );
+  return res;
+}
+
+function withEnv(t, env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[key];
+  }
+  t.after(() => (process.env = saved));
+}
+
+const ORDER = {
+  id: 5551001,
+  name: "#1001",
+  email: "Ada@Example.com",
+  currency: "USD",
+  customer: { first_name: "Ada", last_name: "Lovelace" },
+  line_items: [{ title: "Sticker pack", quantity: 2, price: "6.00", requires_shipping: true }],
+  total_price: "12.00",
+};
+
+// ---------------------------------------------------------------------------
+// Signature
+// ---------------------------------------------------------------------------
+test("verifyShopifyHmac covers the raw bytes", () => {
+  const body = Buffer.from(JSON.stringify(ORDER));
+  assert.equal(verifyShopifyHmac(body, hmac(body), SECRET), true);
+  assert.equal(verifyShopifyHmac(Buffer.from(JSON.stringify(ORDER, null, 2)), hmac(body), SECRET), false);
+  assert.equal(verifyShopifyHmac(body, hmac(body, "another-secret"), SECRET), false);
+  assert.equal(verifyShopifyHmac(body, "", SECRET), false);
+  assert.equal(verifyShopifyHmac(body, "c2hvcnQ=", SECRET), false);
+  assert.equal(verifyShopifyHmac(JSON.stringify(ORDER), hmac(body), SECRET), false);
+});
+
+test("a bad Shopify signature is refused", async (t) => {
+  withEnv(t, { SHOPIFY_WEBHOOK_SECRET: SECRET, WEBHOOK_SECRET: undefined });
+  const res = await deliver(ORDER, { signature: hmac(Buffer.from("{}")) });
+  assert.equal(res.statusCode, 401);
+});
+
+test("WEBHOOK_SECRET alone doesn't let Shopify deliveries through unsigned", async (t) => {
+  withEnv(t, { SHOPIFY_WEBHOOK_SECRET: undefined, WEBHOOK_SECRET: "test-webhook-secret" });
+  const res = await deliver(ORDER, { signature: "" });
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.error, "Shopify webhooks are not configured");
+});
+
+// ---------------------------------------------------------------------------
+// Orders
+// ---------------------------------------------------------------------------
+test("create and paid deliveries for one order share a record", async (t) => {
+  withEnv(t, { SHOPIFY_WEBHOOK_SECRET: SECRET });
+  const created = await deliver(ORDER);
+  assert.equal(created.statusCode, 200);
+  const { reference } = created.body;
+  assert.match(reference, /-\d{4}-\d{4}$/);
+
+  const paid = await deliver({ ...ORDER, financial_status: "paid" }, { topic: "orders/paid" });
+  assert.equal(paid.body.reference, reference);
+
+  const store = fileStore.create({ dir: process.env.STORE_DIR });
+  const record = await store.get("orders", reference);
+  assert.equal(record.data.financialStatus, "paid");
+  assert.equal(record.data.email, "ada@example.com");
+});
+
+test("concurrent deliveries for a new order agree on one reference", async (t) => {
+  withEnv(t, { SHOPIFY_WEBHOOK_SECRET: SECRET });
+  const order = { ...ORDER, id: 5551002, name: "#1002" };
+  const results = await Promise.all([
+    deliver(order),
+    deliver({ ...order, financial_status: "paid" }, { topic: "orders/paid" }),
+  ]);
+  assert.deepEqual(results.map((r) => r.statusCode), [200, 200]);
+  assert.equal(results[0].body.reference, results[1].body.reference);
+});
+
+test("other topics are acknowledged and ignored", async (t) => {
+  withEnv(t, { SHOPIFY_WEBHOOK_SECRET: SECRET });
+  const res = await deliver({ id: 1 }, { topic: "products/update" });
+  assert.deepEqual([res.statusCode, res.body], [200, { success: true, ignored: "products/update" }]);
+});
+
+test("normalizeShopifyOrder sums shipping lines when there's no total", () => {
+  const data = normalizeShopifyOrder(
+    { ...ORDER, shipping_lines: [{ title: "USPS", price: "4.50" }, { title: "Insurance", price: "1.25" }] },
+    "2026-10-19T00:00:00.000Z"
+  );
+  assert.equal(data.shopifyId, "5551001");
+  assert.equal(data.fulfillmentMethod, "USPS, Insurance");
+  assert.equal(data.totals.shipping, "5.75");
+  assert.equal(data.lineItems[0].quantity, 2);
+});
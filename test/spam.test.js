@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Nonces are consumed through getStore(), so it points at a scratch directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-spam-"));
+process.env.STORE_BACKEND = "file";
+process.env.STORE_DIR = scratch;
+process.env.FORM_TOKEN_SECRET = "test-form-secret";
+process.env.LOG_LEVEL = "error";
+delete process.env.VERCEL;
+
+const spam = require("../lib/spam");
+
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const SECRET = process.env.FORM_TOKEN_SECRET;
+const MINUTE = 60_000;
+
+// A token fetched when the visitor opened the form `ageMs` ago
+function tokenFrom(ageMs, form = "contact") {
+  return spam.issueFormToken(form, SECRET, Date.now() - ageMs);
+}
+
+function assess(fields, text = "Hi, do you print on canvas bags?") {
+  return spam.assessSubmission({ form: "contact", fields, text });
+}
+
+// ---------------------------------------------------------------------------
+// Form tokens
+// ---------------------------------------------------------------------------
+test("verifyFormToken checks signature, form and age", () => {
+  const now = Date.now();
+  const token = spam.issueFormToken("quote", SECRET, now);
+
+  assert.equal(spam.verifyFormToken(token, "quote", SECRET, now + MINUTE).ok, true);
+  assert.equal(spam.verifyFormToken(token, "quote", SECRET, now + 1_000).reason, "too-fast");
+  assert.equal(spam.verifyFormToken(token, "quote", SECRET, now + 25 * 60 * MINUTE).reason, "expired");
+  assert.equal(spam.verifyFormToken(token, "contact", SECRET, now + MINUTE).reason, "invalid");
+  assert.equal(spam.verifyFormToken(token, "quote", "another-secret", now + MINUTE).reason, "invalid");
+  assert.equal(spam.verifyFormToken(`x${token}`, "quote", SECRET, now + MINUTE).reason, "invalid");
+  assert.equal(spam.verifyFormToken("abc.def", "quote", SECRET, now).reason, "invalid");
+  assert.equal(spam.verifyFormToken(undefined, "quote", SECRET, now).reason, "missing");
+});
+
+// ---------------------------------------------------------------------------
+// Assessment
+// ---------------------------------------------------------------------------
+test("a fresh token with ordinary text passes", async () => {
+  assert.deepEqual(await assess({ formToken: tokenFrom(MINUTE) }), {
+    score: 0,
+    reasons: [],
+    suspicious: false,
+    retry: false,
+  });
+});
+
+test("a reused token on its own asks the form to retry", async () => {
+  const formToken = tokenFrom(MINUTE);
+  await assess({ formToken });
+  const replay = await assess({ formToken });
+  assert.deepEqual(replay.reasons, ["form token replayed"]);
+  assert.equal(replay.suspicious, false);
+  assert.equal(replay.retry, true);
+  assert.deepEqual(spam.formTokenRetry(), {
+    status: 409,
+    body: { error: "Please wait a moment and submit again.", code: "form-token-retry", retryAfterMs: 3_000 },
+  });
+});
+
+test("a too-fast token is consumed, so resubmitting it counts as a replay", async () => {
+  const formToken = tokenFrom(0);
+  const first = await assess({ formToken });
+  assert.deepEqual([first.reasons, first.retry], [["submitted too quickly"], true]);
+  assert.deepEqual((await assess({ formToken })).reasons, ["form token replayed"]);
+});
+
+test("timing failures alongside other signals are quarantined, not retried", async () => {
+  const result = await assess({ formToken: tokenFrom(0), website: "http://spam.example" });
+  assert.deepEqual(result.reasons, ["honeypot filled", "submitted too quickly"]);
+  assert.equal(result.suspicious, true);
+  assert.equal(result.retry, false);
+
+  const linky = await assess({ formToken: tokenFrom(0) }, "Great SEO service http://a.example http://b.example");
+  assert.equal(linky.suspicious, true);
+  assert.equal(linky.retry, false);
+});
+
+test("missing and forged tokens are suspicious on their own; stale ones are not", async () => {
+  for (const [formToken, reason] of [
+    [undefined, "no form token"],
+    [`${tokenFrom(MINUTE).split(".")[0]}.${"0".repeat(64)}`, "invalid form token"],
+  ]) {
+    const result = await assess({ formToken });
+    assert.deepEqual(result.reasons, [reason]);
+    assert.equal(result.suspicious, true);
+    assert.equal(result.retry, false);
+  }
+
+  const stale = await assess({ formToken: tokenFrom(25 * 60 * MINUTE) });
+  assert.deepEqual([stale.reasons, stale.suspicious, stale.retry], [["expired form token"], false, false]);
+});
+
+// ---------------------------------------------------------------------------
+// Content scoring
+// ---------------------------------------------------------------------------
+test("scoreContent weighs links, markup, phrases and shouting", () => {
+  assert.deepEqual(spam.scoreContent("See https://example.com for my logo"), { score: 0, reasons: [] });
+  assert.deepEqual(spam.scoreContent("http://a.example www.b.example http://c.example"), {
+    score: 4,
+    reasons: ["3 links"],
+  });
+  assert.equal(spam.scoreContent('<a href="x">cheap</a>').score, 4);
+  assert.deepEqual(spam.scoreContent("Bitcoin and forex and casino offers").reasons, [
+    "spam phrases: casino, bitcoin, forex",
+  ]);
+  assert.equal(spam.scoreContent("Bitcoin and forex and casino offers").score, 6);
+  assert.equal(spam.scoreContent("PLEASE CALL ME BACK ABOUT MY ORDER NOW").score, 2);
+});
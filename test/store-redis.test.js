@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { parseReply } = require("../lib/redis");
+const redisStore = require("../lib/store/redis");
+
+// ---------------------------------------------------------------------------
+// In-memory server for the commands the store uses. EVAL only understands
+// the store's compare-and-set script.
+// ---------------------------------------------------------------------------
+function encode(value) {
+  if (value === null) return "$-1\r\n";
+  if (Number.isInteger(value)) return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join("")}`;
+  if (value === "OK" || value === "QUEUED") return `+${value}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function fakeRedis() {
+  const hashes = new Map();
+  const zsets = new Map();
+  const counters = new Map();
+  const hash = (key) => hashes.get(key) || hashes.set(key, new Map()).get(key);
+  const zset = (key) => zsets.get(key) || zsets.set(key, new Map()).get(key);
+  const state = { beforeEval: null };
+
+  const commands = {
+    INCR: (key) => {
+      counters.set(key, (counters.get(key) || 0) + 1);
+      return counters.get(key);
+    },
+    HSETNX: (key, field, value) => (hash(key).has(field) ? 0 : (hash(key).set(field, value), 1)),
+    HGET: (key, field) => hash(key).get(field) ?? null,
+    HDEL: (key, field) => (hash(key).delete(field) ? 1 : 0),
+    HMGET: (key, ...fields) => fields.map((f) => hash(key).get(f) ?? null),
+    ZADD: (key, nx, score, member) => (zset(key).has(member) ? 0 : (zset(key).set(member, Number(score)), 1)),
+    ZREM: (key, member) => (zset(key).delete(member) ? 1 : 0),
+    ZRANGE: (key) => [...zset(key)].sort((a, b) => a[1] - b[1]).map(([m]) => m),
+    EVAL: (script, numKeys, key, field, expected, next) => {
+      if (state.beforeEval) state.beforeEval();
+      if (hash(key).get(field) !== expected) return 0;
+      hash(key).set(field, next);
+      return 1;
+    },
+  };
+
+  const sockets = new Set();
+  const server = net.createServer((sock) => {
+    sockets.add(sock);
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+    sock.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed[1]);
+        const [name, ...args] = parsed[0];
+        if (name === "MULTI") {
+          queued = [];
+          sock.write(encode("OK"));
+        } else if (name === "EXEC") {
+          sock.write(encode(queued.map(([n, a]) => commands[n](...a))));
+          queued = null;
+        } else if (queued) {
+          queued.push([name, args]);
+          sock.write(encode("QUEUED"));
+        } else {
+          sock.write(encode(commands[name](...args)));
+        }
+      }
+    });
+  });
+  return { server, sockets, hashes, state };
+}
+
+async function withStore(fn) {
+  const fake = fakeRedis();
+  await new Promise((resolve) => fake.server.listen(0, "127.0.0.1", resolve));
+  const store = redisStore.create({ url: `redis://127.0.0.1:${fake.server.address().port}` });
+  try {
+    await fn(store, fake);
+  } finally {
+    fake.sockets.forEach((sock) => sock.destroy());
+    fake.server.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Store API
+// ---------------------------------------------------------------------------
+test("insert, get and list keep records in insertion order", async () => {
+  await withStore(async (store) => {
+    await store.insert("quotes", { id: "b", n: 1 });
+    await store.insert("quotes", { id: "a", n: 2 });
+    assert.deepEqual(await store.get("quotes", "a"), { id: "a", n: 2 });
+    assert.equal(await store.get("quotes", "zzz"), null);
+    assert.deepEqual((await store.list("quotes")).map((r) => r.id), ["b", "a"]);
+    assert.deepEqual(await store.list("contacts"), []);
+  });
+});
+
+test("insert rejects a duplicate id", async () => {
+  await withStore(async (store) => {
+    await store.insert("quotes", { id: "a", n: 1 });
+    await assert.rejects(store.insert("quotes", { id: "a", n: 2 }), /Duplicate id/);
+    assert.deepEqual(await store.get("quotes", "a"), { id: "a", n: 1 });
+  });
+});
+
+test("update applies fn and returns null for a missing record", async () => {
+  await withStore(async (store) => {
+    await store.insert("quotes", { id: "a", n: 1 });
+    assert.deepEqual(await store.update("quotes", "a", (r) => ({ ...r, n: r.n + 1 })), { id: "a", n: 2 });
+    assert.equal(await store.update("quotes", "missing", (r) => r), null);
+  });
+});
+
+test("update retries when another writer changed the record", async () => {
+  await withStore(async (store, fake) => {
+    await store.insert("quotes", { id: "a", n: 1 });
+    // Another instance bumps n between our read and our write, once
+    fake.state.beforeEval = () => {
+      fake.state.beforeEval = null;
+      fake.hashes.get("ppp:quotes").set("a", JSON.stringify({ id: "a", n: 10 }));
+    };
+    const updated = await store.update("quotes", "a", (r) => ({ ...r, n: r.n + 1 }));
+    assert.deepEqual(updated, { id: "a", n: 11 });
+    assert.deepEqual(await store.get("quotes", "a"), { id: "a", n: 11 });
+  });
+});
+
+test("remove deletes the record and its list entry", async () => {
+  await withStore(async (store) => {
+    await store.insert("quotes", { id: "a" });
+    assert.equal(await store.remove("quotes", "a"), true);
+    assert.equal(await store.remove("quotes", "a"), false);
+    assert.deepEqual(await store.list("quotes"), []);
+  });
+});
+
+test("nextSequence counts per name across store instances", async () => {
+  await withStore(async (store, fake) => {
+    const other = redisStore.create({ url: `redis://127.0.0.1:${fake.server.address().port}` });
+    assert.equal(await store.nextSequence("quote-2026"), 1);
+    assert.equal(await other.nextSequence("quote-2026"), 2);
+    assert.equal(await store.nextSequence("contact-2026"), 1);
+  });
+});
+
+test("collection names are validated", async () => {
+  await withStore(async (store) => {
+    await assert.rejects(store.get("../etc", "a"), /Invalid collection name/);
+  });
+});
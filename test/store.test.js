@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// getStore() caches its backend, so each call loads a fresh copy of the
+// module under `env` (undefined deletes a variable)
+function getStoreWith(env) {
+  const saved = { ...process.env };
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  delete require.cache[require.resolve("../lib/store")];
+  try {
+    return require("../lib/store").getStore();
+  } finally {
+    process.env = saved;
+  }
+}
+
+test("the local backends refuse to start on Vercel", () => {
+  for (const backend of ["file", "sqlite"]) {
+    assert.throws(() => getStoreWith({ VERCEL: "1", STORE_BACKEND: backend }), /use STORE_BACKEND=redis/);
+  }
+});
+
+test("Vercel defaults to the Redis backend", () => {
+  assert.throws(
+    () => getStoreWith({ VERCEL: "1", STORE_BACKEND: undefined, REDIS_URL: undefined }),
+    /STORE_BACKEND=redis requires REDIS_URL/
+  );
+});
+
+test("local runs default to the file backend", () => {
+  const store = getStoreWith({ VERCEL: undefined, STORE_BACKEND: undefined, STORE_DIR: "/nonexistent/ppp" });
+  assert.equal(typeof store.nextSequence, "function");
+});
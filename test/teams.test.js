@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeTeamsMarkdown } = require("../lib/escape");
+const teams = require("../lib/notifier/teams");
+
+test("escapeTeamsMarkdown keeps emphasis, links and lists literal", () => {
+  assert.equal(escapeTeamsMarkdown("**bold** _it_ ~x~ `code`"), "\\*\\*bold\\*\\* \\_it\\_ \\~x\\~ \\`code\\`");
+  assert.equal(escapeTeamsMarkdown("[click](https://evil.example)"), "\\[click\\](https://evil.example)");
+  assert.equal(escapeTeamsMarkdown("a\\b"), "a\\\\b");
+  assert.equal(escapeTeamsMarkdown("- one\n+ two\n3. three"), "\\- one\n\\+ two\n3\\. three");
+  assert.equal(escapeTeamsMarkdown("PPP-Q-2026-0001 costs 3.50 - 4.00"), "PPP-Q-2026-0001 costs 3.50 - 4.00");
+});
+
+test("every customer-supplied string in a Teams card is escaped", () => {
+  const card = teams.render({
+    title: "New quote from *Ada*",
+    color: 0x5865f2,
+    fields: [
+      { name: "Name", value: "[Ada](https://evil.example)", inline: true },
+      { name: "Details", value: "line one\n- not a list" },
+    ],
+    footer: "Ref _PPP-Q-2026-0001_",
+  });
+  const [title, facts, label, details, footer] = card.attachments[0].content.body;
+
+  assert.equal(title.text, "New quote from \\*Ada\\*");
+  assert.deepEqual(facts.facts, [{ title: "Name", value: "\\[Ada\\](https://evil.example)" }]);
+  assert.equal(label.text, "Details");
+  assert.equal(details.text, "line one\n\n\\- not a list");
+  assert.equal(footer.text, "Ref \\_PPP-Q-2026-0001\\_");
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { TemplateError, renderEmail } = require("../lib/email/templates");
+
+const QUOTE = {
+  firstName: "Ada <script>",
+  reference: "PPP-Q-2026-0001",
+  statusUrl: "https://polypeopleprinting.com/poly-status.html",
+  service: "3D Printing & Design",
+  quantity: "2",
+  timeline: "Standard (1-2 weeks)",
+  files: [
+    { name: "part.stl", size: "1.2 MB" },
+    { name: "logo.png", size: "12.0 KB" },
+  ],
+};
+
+function renderQuote(context, partials = { service: "services/3d-printing" }) {
+  return renderEmail("quote-confirmation", context, { partials });
+}
+
+test("values are escaped in HTML and left alone in plain text", () => {
+  const email = renderQuote(QUOTE);
+  assert.match(email.html, /<p>Hi Ada &lt;script&gt;,<\/p>/);
+  assert.match(email.html, /<strong>3D Printing &amp; Design<\/strong>/);
+  assert.match(email.text, /^Hi Ada <script>,$/m);
+  assert.match(email.text, /request for 3D Printing & Design\.$/m);
+});
+
+test("sections follow their value: shown, repeated or skipped", () => {
+  const email = renderQuote(QUOTE);
+  assert.equal(email.subject, "Quote Request PPP-Q-2026-0001 Received - Poly People Printing");
+  assert.match(email.text, /FILES WE RECEIVED\n- part\.stl \(1\.2 MB\)\n- logo\.png \(12\.0 KB\)\n/);
+
+  const bare = renderQuote({ ...QUOTE, reference: "", files: [] });
+  assert.equal(bare.subject, "Quote Request Received - Poly People Printing");
+  assert.doesNotMatch(bare.text, /reference number|FILES WE RECEIVED/);
+  assert.doesNotMatch(bare.html, /reference number|Files We Received/);
+});
+
+test("lines holding only a tag leave no blank line behind", () => {
+  const { text } = renderQuote({ ...QUOTE, reference: "", files: [] });
+  assert.match(text, /- Timeline: Standard \(1-2 weeks\)\n\n[^\n]/);
+});
+
+test("partials are remapped per render and missing ones render as nothing", () => {
+  const laser = renderQuote(QUOTE, { service: "services/laser-services" });
+  const printing = renderQuote(QUOTE);
+  assert.match(printing.text, /GETTING YOUR MODEL PRINT-READY/);
+  assert.doesNotMatch(laser.text, /PRINT-READY/);
+
+  const none = renderQuote({ ...QUOTE, files: [] }, { service: "services/embroidery" });
+  assert.doesNotMatch(none.text, /PRINT-READY/);
+  assert.match(none.text, /- Timeline: Standard \(1-2 weeks\)\n\nWe'll review your request/);
+});
+
+test("unknown templates and paths outside the template directory throw", () => {
+  assert.throws(() => renderEmail("no-such-email", {}), TemplateError);
+  assert.throws(() => renderEmail("../../lib", {}), /Invalid template path/);
+  assert.throws(() => renderQuote(QUOTE, { service: "../../../package" }), TemplateError);
+});
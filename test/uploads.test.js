@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.UPLOAD_LINK_SECRET = "test-upload-secret";
+const uploads = require("../lib/uploads");
+
+const BOUNDARY = "----pppBoundary7MA4YWxk";
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+function multipart(parts) {
+  const chunks = [];
+  for (const part of parts) {
+    const filename = part.filename !== undefined ? `; filename="${part.filename}"` : "";
+    const disposition = `form-data; name="${part.name}"${filename}`;
+    chunks.push(Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: ${disposition}\r\n`));
+    if (part.type) chunks.push(Buffer.from(`Content-Type: ${part.type}\r\n`));
+    chunks.push(Buffer.from("\r\n"), Buffer.from(part.content), Buffer.from("\r\n"));
+  }
+  chunks.push(Buffer.from(`--${BOUNDARY}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+function binaryStl(triangles) {
+  const buf = Buffer.alloc(84 + triangles * 50);
+  buf.write("solid but actually binary", 0, "latin1");
+  buf.writeUInt32LE(triangles, 80);
+  return buf;
+}
+
+function tokenOf(link) {
+  return new URL(link).searchParams.get("token");
+}
+
+// ---------------------------------------------------------------------------
+// multipart/form-data
+// ---------------------------------------------------------------------------
+test("getBoundary reads quoted and bare boundaries", () => {
+  assert.equal(uploads.getBoundary(`multipart/form-data; boundary=${BOUNDARY}`), BOUNDARY);
+  assert.equal(uploads.getBoundary('multipart/form-data; boundary="a b"; charset=utf-8'), "a b");
+  assert.equal(uploads.getBoundary("application/json"), "");
+  assert.equal(uploads.getBoundary(undefined), "");
+});
+
+test("parseMultipart splits fields from files and keeps bytes intact", () => {
+  const body = multipart([
+    { name: "name", content: "Ada Lovelace" },
+    { name: "notes", content: "line one\r\nline two" },
+    { name: "files", filename: "logo.png", type: "image/png", content: PNG },
+    { name: "files", filename: "", content: "" },
+  ]);
+  const { fields, files } = uploads.parseMultipart(body, BOUNDARY);
+
+  assert.deepEqual(fields, { name: "Ada Lovelace", notes: "line one\r\nline two" });
+  assert.equal(files.length, 1);
+  assert.equal(files[0].field, "files");
+  assert.equal(files[0].filename, "logo.png");
+  assert.equal(files[0].declaredType, "image/png");
+  assert.deepEqual(files[0].content, PNG);
+});
+
+test("parseMultipart refuses bodies without a closing delimiter", () => {
+  const body = multipart([{ name: "name", content: "Ada" }]);
+  for (const broken of [Buffer.from("no delimiter here"), body.subarray(0, body.length - 20)]) {
+    assert.throws(() => uploads.parseMultipart(broken, BOUNDARY), { status: 400 });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Content sniffing
+// ---------------------------------------------------------------------------
+test("sniffType recognises each accepted format by its contents", () => {
+  assert.equal(uploads.sniffType(PNG), "image/png");
+  assert.equal(uploads.sniffType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), "image/jpeg");
+  assert.equal(uploads.sniffType(Buffer.from("%PDF-1.7\n")), "application/pdf");
+  assert.equal(uploads.sniffType(Buffer.from("%!PS-Adobe-3.0\n")), "application/postscript");
+  assert.equal(uploads.sniffType(Buffer.from("solid part\nfacet normal 0 0 1\n")), "model/stl");
+  assert.equal(uploads.sniffType(binaryStl(2)), "model/stl");
+  assert.equal(uploads.sniffType(Buffer.from("# cube\nv 0 0 0\nv 1 0 0\nf 1 2 3\n")), "model/obj");
+  assert.equal(
+    uploads.sniffType(Buffer.from('<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="x"></svg>')),
+    "image/svg+xml"
+  );
+  assert.equal(uploads.sniffType(Buffer.from("MZ\x90\x00 not a design")), "");
+});
+
+test("validateFiles rejects renamed files and oversized uploads", () => {
+  const file = (filename, content) => ({ filename, content });
+
+  assert.deepEqual(
+    uploads.validateFiles([file("Logo.PNG", PNG)]).map((f) => [f.ext, f.type]),
+    [[".png", "image/png"]]
+  );
+  assert.throws(() => uploads.validateFiles([file("logo.exe", PNG)]), { status: 415 });
+  assert.throws(() => uploads.validateFiles([file("logo.jpg", PNG)]), {
+    status: 415,
+    message: "File contents do not match its extension: logo.jpg",
+  });
+  assert.throws(() => uploads.validateFiles(Array(6).fill(file("logo.png", PNG))), { status: 400 });
+
+  const big = Buffer.concat([PNG, Buffer.alloc(uploads.MAX_FILE_BYTES)]);
+  assert.throws(() => uploads.validateFiles([file("big.png", big)]), { status: 413 });
+  const half = Buffer.concat([PNG, Buffer.alloc(uploads.MAX_TOTAL_BYTES / 2)]);
+  assert.throws(() => uploads.validateFiles([file("a.png", half), file("b.png", half)]), {
+    status: 413,
+    message: "Total upload size too large",
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Download links
+// ---------------------------------------------------------------------------
+test("upload links verify to their file id until they expire", () => {
+  const link = uploads.uploadLink("f_abc123");
+  assert.ok(link.startsWith("https://polypeopleprinting.com/api/uploads/download?token="));
+  assert.ok(!link.includes("_"), "underscores are percent-encoded for Discord");
+
+  const token = tokenOf(link);
+  assert.deepEqual(uploads.verifyUploadToken(token), { ok: true, id: "f_abc123" });
+  assert.deepEqual(uploads.verifyUploadToken(token, Date.now() + 31 * 24 * 60 * 60_000), {
+    ok: false,
+    reason: "expired",
+    id: "f_abc123",
+  });
+  assert.equal(uploads.verifyUploadToken(`x${token}`).reason, "invalid");
+  assert.equal(uploads.verifyUploadToken("").reason, "missing");
+});
+
+test("upload links are off without UPLOAD_LINK_SECRET", (t) => {
+  const token = tokenOf(uploads.uploadLink("f_abc123"));
+  delete process.env.UPLOAD_LINK_SECRET;
+  t.after(() => (process.env.UPLOAD_LINK_SECRET = "test-upload-secret"));
+
+  assert.equal(uploads.uploadLink("f_abc123"), null);
+  assert.deepEqual(uploads.verifyUploadToken(token), { ok: false, reason: "invalid" });
+});
@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "ppp-webhook-"));
+process.env.STORE_BACKEND = "file";
+process.env.STORE_DIR = path.join(scratch, "data");
+process.env.EMAIL_PROVIDER = "file";
+process.env.EMAIL_SINK_DIR = path.join(scratch, "mail");
+process.env.NOTIFY_ROUTES = JSON.stringify({ order: [{ type: "email", to: "team@example.com" }] });
+process.env.WEBHOOK_SECRET = "new-secret, old-secret";
+process.env.LOG_LEVEL = "error";
+delete process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES;
+delete process.env.VERCEL;
+
+const { signWebhook, parseSecrets, verifyWebhookSignature } = require("../lib/webhook-signature");
+const handler = require("../api/webhooks/new-order");
+
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const BODY = Buffer.from('{"service":"3d-printing"}');
+const SECRETS = ["new-secret", "old-secret"];
+
+function headerFor(body, secret, options) {
+  return signWebhook(body, secret, options)["X-Webhook-Signature"];
+}
+
+// ---------------------------------------------------------------------------
+// verifyWebhookSignature
+// ---------------------------------------------------------------------------
+test("a fresh signature verifies with its nonce and expiry", () => {
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+  const header = headerFor(BODY, "new-secret", { timestamp, nonce: "nonce-0001" });
+  assert.match(header, /^t=\d+,n=nonce-0001,v1=[0-9a-f]{64}$/);
+  assert.deepEqual(verifyWebhookSignature(BODY, header, SECRETS, { now }), {
+    ok: true,
+    nonce: "nonce-0001",
+    expiresAt: (timestamp + 300) * 1000,
+  });
+});
+
+test("any active secret verifies while senders rotate", () => {
+  assert.deepEqual(parseSecrets(" new-secret, old-secret ,"), SECRETS);
+  assert.equal(verifyWebhookSignature(BODY, headerFor(BODY, "old-secret"), SECRETS).ok, true);
+  assert.deepEqual(verifyWebhookSignature(BODY, headerFor(BODY, "retired-secret"), SECRETS), {
+    ok: false,
+    reason: "Invalid webhook signature",
+  });
+});
+
+test("the signature covers the body, timestamp and nonce", () => {
+  const header = headerFor(BODY, "new-secret", { nonce: "nonce-0002" });
+  const changed = [
+    [Buffer.from('{"service":"laser-services"}'), header],
+    [BODY, header.replace(/t=(\d+)/, (_, t) => `t=${Number(t) - 1}`)],
+    [BODY, header.replace("nonce-0002", "nonce-0003")],
+  ];
+  for (const [body, h] of changed) {
+    assert.equal(verifyWebhookSignature(body, h, SECRETS).reason, "Invalid webhook signature");
+  }
+});
+
+test("timestamps outside the tolerance are refused", () => {
+  const now = Date.now();
+  const old = headerFor(BODY, "new-secret", { timestamp: Math.floor(now / 1000) - 301 });
+  assert.deepEqual(verifyWebhookSignature(BODY, old, SECRETS, { now }), {
+    ok: false,
+    reason: "Webhook timestamp outside tolerance",
+  });
+  assert.equal(verifyWebhookSignature(BODY, old, SECRETS, { now, toleranceSeconds: 600 }).ok, true);
+});
+
+test("missing, malformed and legacy headers", () => {
+  const legacy = crypto.createHmac("sha256", "old-secret").update(BODY).digest("hex");
+  const cases = [
+    [undefined, "Missing webhook signature"],
+    [legacy, "Unsupported webhook signature format"],
+    ["t=now,n=nonce-0004,v1=abc", "Malformed webhook signature"],
+    [`t=${Math.floor(Date.now() / 1000)},n=short,v1=abc`, "Malformed webhook signature"],
+    [`t=${Math.floor(Date.now() / 1000)},n=nonce-0004`, "Malformed webhook signature"],
+  ];
+  for (const [header, reason] of cases) {
+    assert.deepEqual(verifyWebhookSignature(BODY, header, SECRETS), { ok: false, reason });
+  }
+
+  assert.deepEqual(verifyWebhookSignature(BODY, legacy, SECRETS, { allowLegacy: true }), {
+    ok: true,
+    legacy: true,
+  });
+  assert.equal(verifyWebhookSignature(BODY, "ab".repeat(32), SECRETS, { allowLegacy: true }).ok, false);
+});
+
+// ---------------------------------------------------------------------------
+// /api/webhooks/new-order
+// ---------------------------------------------------------------------------
+const ORDER = {
+  service: "3d-printing",
+  quantity: "50-100",
+  timeline: "standard",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  email: "ada@example.com",
+  phone: "555-0100",
+};
+
+async function post(body, signature) {
+  const req = Readable.from([body]);
+  req.method = "POST";
+  req.headers = signature ? { "x-webhook-signature": signature } : {};
+  req.query = {};
+  req.socket = { remoteAddress: "203.0.113.7" };
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (json) => ((res.body = json), res);
+  res.setHeader = (name, value) => ((res.headers[name.toLowerCase()] = value), res);
+  await handler(req, res);
+  return res;
+}
+
+test("a signed order is accepted once and its replay refused", async () => {
+  const body = Buffer.from(JSON.stringify(ORDER));
+  const signature = headerFor(body, "old-secret");
+
+  assert.equal((await post(body, signature)).statusCode, 200);
+  const replay = await post(body, signature);
+  assert.equal(replay.statusCode, 401);
+  assert.equal(replay.body.error, "Webhook nonce already used");
+});
+
+test("unsigned and legacy-signed orders are refused by default", async () => {
+  const body = Buffer.from(JSON.stringify(ORDER));
+  assert.equal((await post(body)).body.error, "Missing webhook signature");
+
+  const legacy = crypto.createHmac("sha256", "new-secret").update(body).digest("hex");
+  assert.equal((await post(body, legacy)).body.error, "Unsupported webhook signature format");
+});